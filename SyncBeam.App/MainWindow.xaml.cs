@@ -14,6 +14,15 @@ namespace SyncBeam.App;
 
 public partial class MainWindow : Window
 {
+    // Version of the host <-> UI message protocol; bump when event payloads change
+    private const int UiProtocolVersion = 2;
+
+    // Larger clipboard payloads are announced to the UI without their content
+    private const int MaxClipboardPreviewBytes = 8 * 1024 * 1024;
+
+    // Snippets travel in a single message; larger text should be sent as a file
+    private const int MaxSnippetBytes = 1024 * 1024;
+
     private PeerManager? _peerManager;
     private FileTransferEngine? _transferEngine;
     private ClipboardWatcher? _clipboardWatcher;
@@ -185,7 +194,8 @@ public partial class MainWindow : Window
             SendToUI("peerConnected", new
             {
                 peerId = e.PeerId,
-                isIncoming = e.Peer.IsIncoming
+                isIncoming = e.Peer.IsIncoming,
+                fingerprint = e.Peer.RemotePeer.Fingerprint
             });
         };
 
@@ -212,13 +222,34 @@ public partial class MainWindow : Window
                 hasSyncBeam = e.Device.HasSyncBeam,
                 peerId = e.Device.SyncBeamPeerId,
                 isConnected = e.Device.IsConnected,
-                deviceType = e.Device.DeviceType.ToString()
+                deviceType = e.Device.DeviceType.ToString(),
+                macAddress = e.Device.MacAddress,
+                vendor = e.Device.Vendor
             });
         };
 
-        _peerManager.NetworkScanCompleted += (_, _) =>
+        _peerManager.NetworkScanStarted += (_, e) =>
+        {
+            SendToUI("networkScanStarted", new { scanId = e.ScanId, subnets = e.Subnets, total = e.Total });
+        };
+
+        _peerManager.NetworkScanProgress += (_, e) =>
+        {
+            SendToUI("networkScanProgress", new { scanId = e.ScanId, probed = e.Probed, total = e.Total, found = e.Found });
+        };
+
+        _peerManager.NetworkScanCompleted += (_, e) =>
         {
-            SendToUI("networkScanCompleted", new { });
+            SendToUI("networkScanCompleted", new
+            {
+                scanId = e.ScanId,
+                subnets = e.Subnets,
+                probed = e.Probed,
+                total = e.Total,
+                found = e.Found,
+                cancelled = e.Cancelled,
+                error = e.Error
+            });
         };
 
         _peerManager.NetworkStatusChanged += (_, e) =>
@@ -290,7 +321,8 @@ public partial class MainWindow : Window
             {
                 peerId = e.PeerId,
                 contentType = e.ContentType.ToString(),
-                dataSize = e.DataSize
+                dataSize = e.DataSize,
+                content = GetClipboardPreview(e.ContentType, e.Data)
             });
         };
 
@@ -316,7 +348,9 @@ public partial class MainWindow : Window
         var networkStatus = _peerManager.GetNetworkStatus();
         SendToUI("initialized", new
         {
+            protocolVersion = UiProtocolVersion,
             localPeerId = _peerManager.LocalPeerId,
+            localFingerprint = _peerManager.LocalFingerprint,
             listenPort = _peerManager.ListenPort,
             inboxPath = Path.Combine(_syncBeamPath, "inbox"),
             outboxPath = outboxPath,
@@ -325,6 +359,17 @@ public partial class MainWindow : Window
         });
     }
 
+    private static string? GetClipboardPreview(ClipboardContentType contentType, byte[] data)
+    {
+        if (data.Length > MaxClipboardPreviewBytes)
+            return null;
+
+        // Images travel as PNG bytes; everything else is UTF-8 text
+        return contentType == ClipboardContentType.Image
+            ? "data:image/png;base64," + Convert.ToBase64String(data)
+            : System.Text.Encoding.UTF8.GetString(data);
+    }
+
     private void OnPeerMessage(object? sender, MessageReceivedEventArgs e)
     {
         switch (e.Type)
@@ -350,6 +395,29 @@ public partial class MainWindow : Window
                     fileSize = announceMsg.FileSize
                 });
                 break;
+
+            case MessageType.Snippet:
+                var snippetMsg = MessagePackSerializer.Deserialize<SnippetMessage>(e.Payload);
+                // Oversized snippets from a peer are dropped without an acknowledgment
+                if (System.Text.Encoding.UTF8.GetByteCount(snippetMsg.Content) > MaxSnippetBytes)
+                    break;
+                SendToUI("snippetReceived", new
+                {
+                    peerId = e.PeerId,
+                    snippetId = snippetMsg.SnippetId,
+                    kind = snippetMsg.Kind,
+                    content = snippetMsg.Content,
+                    language = snippetMsg.Language,
+                    openOnArrival = snippetMsg.OpenOnArrival,
+                    timestamp = snippetMsg.Timestamp
+                });
+                // The UI acknowledges once the snippet is in its history
+                break;
+
+            case MessageType.SnippetAck:
+                var snippetAck = MessagePackSerializer.Deserialize<SnippetAckMessage>(e.Payload);
+                SendToUI("snippetAcknowledged", new { peerId = e.PeerId, snippetId = snippetAck.SnippetId });
+                break;
         }
     }
 
@@ -378,6 +446,9 @@ public partial class MainWindow : Window
     {
         if (_peerManager == null) return;
 
+        // Replies echo the id so the UI can match them to the request that caused them
+        var requestId = ReadRequestId(data);
+
         switch (action)
         {
             case "connect":
@@ -386,18 +457,63 @@ public partial class MainWindow : Window
                     await _peerManager.ConnectToPeerAsync(peerId);
                 break;
 
+            case "disconnectPeer":
+                var disconnectPeerId = data.GetProperty("peerId").GetString();
+                if (disconnectPeerId != null)
+                    _peerManager.DisconnectPeer(disconnectPeerId);
+                break;
+
             case "refresh":
                 _peerManager.RefreshDiscovery();
                 break;
 
             case "scanNetwork":
-                _peerManager.ScanNetwork();
+                // An empty or missing list scans every local interface
+                var scanSubnets = data.TryGetProperty("subnets", out var subnetsElement) &&
+                    subnetsElement.ValueKind == JsonValueKind.Array
+                        ? subnetsElement.EnumerateArray().Select(s => s.GetString()).OfType<string>().ToList()
+                        : null;
+                _peerManager.ScanNetwork(scanSubnets);
+                break;
+
+            case "cancelScan":
+                _peerManager.CancelNetworkScan();
+                break;
+
+            case "getScanSubnets":
+                SendToUI("scanSubnets", new
+                {
+                    requestId,
+                    subnets = _peerManager.GetScanSubnets().Select(s => new
+                    {
+                        cidr = s.Cidr,
+                        interfaceName = s.InterfaceName,
+                        localAddress = s.LocalAddress
+                    })
+                });
                 break;
 
             case "connectToIp":
                 var ip = data.GetProperty("ip").GetString();
+                int? connectPort = data.TryGetProperty("port", out var connectPortElement) &&
+                    connectPortElement.ValueKind == JsonValueKind.Number
+                        ? connectPortElement.GetInt32()
+                        : null;
                 if (ip != null)
-                    await _peerManager.ConnectToIpAsync(ip);
+                {
+                    var connectResult = await _peerManager.ConnectToIpAsync(ip, connectPort);
+                    SendToUI("connectToIpResult", new
+                    {
+                        requestId,
+                        success = connectResult.PeerId != null,
+                        ip,
+                        port = connectPort ?? _peerManager.ListenPort,
+                        peerId = connectResult.PeerId,
+                        message = connectResult.PeerId != null
+                            ? null
+                            : connectResult.ErrorMessage ?? $"Could not connect to {ip}"
+                    });
+                }
                 break;
 
             case "acceptFile":
@@ -417,11 +533,33 @@ public partial class MainWindow : Window
             case "setClipboardSync":
                 var enabled = data.GetProperty("enabled").GetBoolean();
                 if (_clipboardWatcher != null)
+                {
                     _clipboardWatcher.IsEnabled = enabled;
+                    if (data.TryGetProperty("sendDisabled", out var sendDisabled) &&
+                        data.TryGetProperty("receiveDisabled", out var receiveDisabled))
+                    {
+                        _clipboardWatcher.SetPeerRules(ReadStringArray(sendDisabled), ReadStringArray(receiveDisabled));
+                    }
+                    if (data.TryGetProperty("privacy", out var privacy) && privacy.ValueKind == JsonValueKind.Object)
+                    {
+                        _clipboardWatcher.SetPrivacyRules(new ClipboardPrivacyRules(
+                            privacy.TryGetProperty("blocklist", out var blocklist) ? ReadStringArray(blocklist) : Array.Empty<string>(),
+                            privacy.TryGetProperty("detectors", out var detectors) ? ReadStringArray(detectors) : Array.Empty<string>(),
+                            privacy.TryGetProperty("maxBytes", out var maxBytes) && maxBytes.TryGetInt64(out var max) ? max : 0));
+                    }
+                }
+                break;
+
+            case "pushClipboard":
+                await PushClipboardAsync(data, requestId);
+                break;
+
+            case "sendSnippet":
+                await SendSnippetAsync(data, requestId);
                 break;
 
             case "getState":
-                SendCurrentState();
+                SendCurrentState(requestId);
                 break;
 
             case "openInbox":
@@ -434,6 +572,16 @@ public partial class MainWindow : Window
                 System.Diagnostics.Process.Start("explorer.exe", outboxPath);
                 break;
 
+            case "acknowledgeSnippet":
+                var ackPeerId = data.GetProperty("peerId").GetString();
+                var ackSnippetId = data.GetProperty("snippetId").GetString();
+                if (!string.IsNullOrEmpty(ackPeerId) && !string.IsNullOrEmpty(ackSnippetId) && _peerManager != null)
+                {
+                    await _peerManager.SendAsync(ackPeerId, MessageType.SnippetAck,
+                        new SnippetAckMessage { SnippetId = ackSnippetId });
+                }
+                break;
+
             case "openUrl":
                 var url = data.GetProperty("url").GetString();
                 if (!string.IsNullOrEmpty(url))
@@ -447,19 +595,19 @@ public partial class MainWindow : Window
                 break;
 
             case "configureFirewall":
-                await ConfigureFirewallAsync();
+                await ConfigureFirewallAsync(requestId);
                 break;
 
             case "configureUpnp":
-                await ConfigureUpnpAsync();
+                await ConfigureUpnpAsync(requestId);
                 break;
 
             case "runDiagnostics":
-                await RunDiagnosticsAsync();
+                await RunDiagnosticsAsync(requestId);
                 break;
 
             case "getNetworkStatus":
-                SendNetworkStatus();
+                SendNetworkStatus(requestId);
                 break;
 
             case "checkPeerConnectivity":
@@ -468,32 +616,162 @@ public partial class MainWindow : Window
                     ? portElement.GetInt32()
                     : _peerManager?.ListenPort ?? 42420;
                 if (!string.IsNullOrEmpty(checkIp))
-                    await CheckPeerConnectivityAsync(checkIp, checkPort);
+                    await CheckPeerConnectivityAsync(checkIp, checkPort, requestId);
                 break;
 
             case "savePort":
                 var newPort = data.GetProperty("port").GetInt32();
-                SavePortSetting(newPort);
+                SavePortSetting(newPort, requestId);
                 break;
 
             case "getSettings":
-                SendCurrentSettings();
+                SendCurrentSettings(requestId);
                 break;
 
             case "requestFirewallSetup":
-                RequestFirewallElevation();
+                RequestFirewallElevation(requestId);
                 break;
         }
     }
 
-    private void RequestFirewallElevation()
+    private static string? ReadRequestId(JsonElement data)
+    {
+        return data.ValueKind == JsonValueKind.Object
+            && data.TryGetProperty("requestId", out var requestId)
+            && requestId.ValueKind == JsonValueKind.String
+                ? requestId.GetString()
+                : null;
+    }
+
+    private static IEnumerable<string> ReadStringArray(JsonElement element)
+    {
+        if (element.ValueKind != JsonValueKind.Array)
+            return Array.Empty<string>();
+
+        return element.EnumerateArray()
+            .Where(e => e.ValueKind == JsonValueKind.String)
+            .Select(e => e.GetString()!)
+            .ToList();
+    }
+
+    private async Task PushClipboardAsync(JsonElement data, string? requestId)
+    {
+        var peerId = data.GetProperty("peerId").GetString();
+        var content = data.GetProperty("content").GetString();
+        if (peerId == null || content == null || _clipboardWatcher == null)
+        {
+            SendToUI("clipboardPushResult", new { requestId, success = false, peerId, message = "Invalid clipboard push" });
+            return;
+        }
+
+        if (!Enum.TryParse<ClipboardContentType>(data.GetProperty("contentType").GetString(), true, out var contentType))
+            contentType = ClipboardContentType.Text;
+
+        try
+        {
+            // Images arrive from the UI as data URLs
+            byte[] bytes;
+            if (contentType == ClipboardContentType.Image)
+            {
+                var comma = content.IndexOf(',');
+                bytes = Convert.FromBase64String(comma >= 0 ? content[(comma + 1)..] : content);
+            }
+            else
+            {
+                bytes = System.Text.Encoding.UTF8.GetBytes(content);
+            }
+
+            // A push skips the per-peer sync rules but not the privacy rules; secrets
+            // only go out when the user revealed them before pushing
+            var verdict = _clipboardWatcher.EvaluatePrivacy(contentType, bytes);
+            var allowSensitive = data.TryGetProperty("allowSensitive", out var allow) && allow.ValueKind == JsonValueKind.True;
+            if (verdict == ClipboardPrivacyVerdict.Block || (verdict == ClipboardPrivacyVerdict.Sensitive && !allowSensitive))
+            {
+                SendToUI("clipboardPushResult", new { requestId, success = false, peerId, message = "Blocked by clipboard privacy rules" });
+                return;
+            }
+
+            var sent = await _clipboardWatcher.PushToPeerAsync(peerId, contentType, bytes);
+            SendToUI("clipboardPushResult", new
+            {
+                requestId,
+                success = sent,
+                peerId,
+                message = sent ? null : "Peer is not connected"
+            });
+        }
+        catch (Exception ex)
+        {
+            SendToUI("clipboardPushResult", new { requestId, success = false, peerId, message = ex.Message });
+        }
+    }
+
+    private async Task SendSnippetAsync(JsonElement data, string? requestId)
+    {
+        var snippetId = data.GetProperty("snippetId").GetString();
+        var content = data.GetProperty("content").GetString();
+        if (snippetId == null || content == null || _peerManager == null)
+        {
+            SendToUI("snippetSendResult", new { requestId, success = false, snippetId, message = "Invalid snippet" });
+            return;
+        }
+
+        if (System.Text.Encoding.UTF8.GetByteCount(content) > MaxSnippetBytes)
+        {
+            SendToUI("snippetSendResult", new { requestId, success = false, snippetId, message = "Snippet is too large" });
+            return;
+        }
+
+        var message = new SnippetMessage
+        {
+            SnippetId = snippetId,
+            Kind = data.TryGetProperty("kind", out var kind) && kind.ValueKind == JsonValueKind.String
+                ? kind.GetString()!
+                : "text",
+            Content = content,
+            Language = data.TryGetProperty("language", out var language) && language.ValueKind == JsonValueKind.String
+                ? language.GetString()
+                : null,
+            OpenOnArrival = data.TryGetProperty("openOnArrival", out var open) && open.ValueKind == JsonValueKind.True,
+            Timestamp = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()
+        };
+
+        var sent = new List<string>();
+        var failed = new List<string>();
+        foreach (var peerId in ReadStringArray(data.GetProperty("peerIds")))
+        {
+            try
+            {
+                if (await _peerManager.SendAsync(peerId, MessageType.Snippet, message))
+                    sent.Add(peerId);
+                else
+                    failed.Add(peerId);
+            }
+            catch
+            {
+                failed.Add(peerId);
+            }
+        }
+
+        SendToUI("snippetSendResult", new
+        {
+            requestId,
+            success = sent.Count > 0,
+            snippetId,
+            sent,
+            failed,
+            message = sent.Count > 0 ? null : "No device received the snippet"
+        });
+    }
+
+    private void RequestFirewallElevation(string? requestId)
     {
         try
         {
             var exePath = System.Diagnostics.Process.GetCurrentProcess().MainModule?.FileName;
             if (exePath == null)
             {
-                SendToUI("firewallSetupResult", new { success = false, message = "Could not find application path" });
+                SendToUI("firewallSetupResult", new { requestId, success = false, message = "Could not find application path" });
                 return;
             }
 
@@ -515,22 +793,24 @@ public partial class MainWindow : Window
             // User cancelled UAC prompt
             SendToUI("firewallSetupResult", new
             {
+                requestId,
                 success = false,
                 message = "Administrator permission was denied. You can configure firewall manually in Settings."
             });
         }
         catch (Exception ex)
         {
-            SendToUI("firewallSetupResult", new { success = false, message = ex.Message });
+            SendToUI("firewallSetupResult", new { requestId, success = false, message = ex.Message });
         }
     }
 
-    private void SavePortSetting(int newPort)
+    private void SavePortSetting(int newPort, string? requestId)
     {
         if (newPort < 1024 || newPort > 65535)
         {
             SendToUI("portSaveResult", new
             {
+                requestId,
                 success = false,
                 message = "Port must be between 1024 and 65535"
             });
@@ -545,6 +825,7 @@ public partial class MainWindow : Window
 
         SendToUI("portSaveResult", new
         {
+            requestId,
             success = true,
             port = newPort,
             needsRestart,
@@ -554,22 +835,24 @@ public partial class MainWindow : Window
         });
     }
 
-    private void SendCurrentSettings()
+    private void SendCurrentSettings(string? requestId)
     {
         SendToUI("settings", new
         {
+            requestId,
             listenPort = _settings.ListenPort,
             currentListenPort = _peerManager?.ListenPort ?? _settings.ListenPort
         });
     }
 
-    private async Task ConfigureFirewallAsync()
+    private async Task ConfigureFirewallAsync(string? requestId)
     {
         if (_peerManager == null) return;
 
         var result = await _peerManager.ConfigureFirewallAsync();
         SendToUI("firewallConfigResult", new
         {
+            requestId,
             success = result.Success,
             requiresElevation = result.RequiresElevation,
             message = result.Message
@@ -585,7 +868,7 @@ public partial class MainWindow : Window
         }
     }
 
-    private async Task ConfigureUpnpAsync()
+    private async Task ConfigureUpnpAsync(string? requestId)
     {
         if (_peerManager == null) return;
 
@@ -594,6 +877,7 @@ public partial class MainWindow : Window
 
         SendToUI("upnpConfigResult", new
         {
+            requestId,
             success,
             externalIp = status.ExternalIp?.ToString(),
             portMapped = status.PortMapped,
@@ -601,7 +885,7 @@ public partial class MainWindow : Window
         });
     }
 
-    private async Task RunDiagnosticsAsync()
+    private async Task RunDiagnosticsAsync(string? requestId)
     {
         if (_peerManager == null) return;
 
@@ -611,6 +895,7 @@ public partial class MainWindow : Window
 
         SendToUI("diagnosticResult", new
         {
+            requestId,
             portAvailable = report.PortAvailable,
             internetConnected = report.InternetConnectivity.IsConnected,
             internetLatency = report.InternetConnectivity.Latency,
@@ -638,13 +923,14 @@ public partial class MainWindow : Window
         });
     }
 
-    private void SendNetworkStatus()
+    private void SendNetworkStatus(string? requestId)
     {
         if (_peerManager == null) return;
 
         var status = _peerManager.GetNetworkStatus();
         SendToUI("networkStatusFull", new
         {
+            requestId,
             firewallConfigured = status.FirewallConfigured,
             upnpAvailable = status.UpnpAvailable,
             portMapped = status.PortMapped,
@@ -657,7 +943,7 @@ public partial class MainWindow : Window
         });
     }
 
-    private async Task CheckPeerConnectivityAsync(string ipAddress, int port)
+    private async Task CheckPeerConnectivityAsync(string ipAddress, int port, string? requestId)
     {
         if (_peerManager == null) return;
 
@@ -665,6 +951,7 @@ public partial class MainWindow : Window
         {
             SendToUI("peerConnectivityResult", new
             {
+                requestId,
                 success = false,
                 diagnosis = "Invalid IP address"
             });
@@ -676,6 +963,7 @@ public partial class MainWindow : Window
 
         SendToUI("peerConnectivityResult", new
         {
+            requestId,
             endpoint = endpoint.ToString(),
             pingSuccessful = result.PingSuccessful,
             pingLatency = result.PingLatency,
@@ -685,21 +973,24 @@ public partial class MainWindow : Window
         });
     }
 
-    private void SendCurrentState()
+    private void SendCurrentState(string? requestId)
     {
         if (_peerManager == null) return;
 
         var peers = _peerManager.ConnectedPeers.Select(p => new
         {
             peerId = p.Key,
-            isIncoming = p.Value.IsIncoming
+            isIncoming = p.Value.IsIncoming,
+            fingerprint = p.Value.RemotePeer.Fingerprint
         }).ToList();
 
         var networkStatus = _peerManager.GetNetworkStatus();
 
         SendToUI("state", new
         {
+            requestId,
             localPeerId = _peerManager.LocalPeerId,
+            localFingerprint = _peerManager.LocalFingerprint,
             listenPort = _peerManager.ListenPort,
             connectedPeers = peers,
             clipboardSyncEnabled = _clipboardWatcher?.IsEnabled ?? false,
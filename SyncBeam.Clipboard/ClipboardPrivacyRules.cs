@@ -0,0 +1,128 @@
+using System.Text;
+using System.Text.RegularExpressions;
+using SyncBeam.P2P.Transport;
+
+namespace SyncBeam.Clipboard;
+
+public enum ClipboardPrivacyVerdict
+{
+    Allow,
+    Block,
+    Sensitive
+}
+
+/// <summary>
+/// Host-side copy of the UI clipboard privacy rules: a size cap, a user
+/// blocklist and the enabled secret detectors. Content that is blocked or
+/// looks like a secret never leaves this machine and is never written to
+/// the local clipboard from a peer.
+/// </summary>
+public sealed class ClipboardPrivacyRules
+{
+    private static readonly TimeSpan MatchTimeout = TimeSpan.FromMilliseconds(250);
+
+    // Mirrors SECRET_DETECTORS in the UI; keep the ids and patterns in sync
+    private static readonly IReadOnlyDictionary<string, (Regex Pattern, Func<string, bool>? Validate)> Detectors =
+        new Dictionary<string, (Regex, Func<string, bool>?)>
+        {
+            ["creditCard"] = (Detector(@"(?:\d[ -]?){12,18}\d"), match => LuhnValid(new string(match.Where(char.IsDigit).ToArray()))),
+            ["awsKey"] = (Detector(@"\b(?:AKIA|ASIA)[0-9A-Z]{16}\b"), null),
+            ["githubToken"] = (Detector(@"\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b"), null),
+            ["slackToken"] = (Detector(@"\bxox[abprs]-[A-Za-z0-9-]{10,}"), null),
+            ["apiKey"] = (Detector(@"\b(?:[sr]k_(?:live|test)_[A-Za-z0-9]{16,}|sk-[A-Za-z0-9_-]{20,})"), null),
+            ["privateKey"] = (Detector(@"-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----"), null),
+            ["jwt"] = (Detector(@"\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}"), null),
+            ["password"] = (Detector(@"\b(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token)\s*[:=]\s*\S{4,}", RegexOptions.IgnoreCase), null)
+        };
+
+    private readonly IReadOnlyList<Regex> _blocklist;
+    private readonly IReadOnlyList<string> _detectors;
+    private readonly long _maxBytes;
+
+    /// <summary>
+    /// Rules that let everything through, used until the UI sends its settings.
+    /// </summary>
+    public static ClipboardPrivacyRules AllowAll { get; } = new(Array.Empty<string>(), Array.Empty<string>(), long.MaxValue);
+
+    /// <summary>
+    /// Builds the rules from the UI settings. Blocklist patterns that do not
+    /// compile are skipped, as are unknown detector ids.
+    /// </summary>
+    public ClipboardPrivacyRules(IEnumerable<string> blocklist, IEnumerable<string> detectors, long maxBytes)
+    {
+        var patterns = new List<Regex>();
+        foreach (var pattern in blocklist)
+        {
+            try
+            {
+                patterns.Add(new Regex(pattern, RegexOptions.IgnoreCase, MatchTimeout));
+            }
+            catch (ArgumentException)
+            {
+                // The UI rejects invalid patterns; skip anything that slipped through
+            }
+        }
+
+        _blocklist = patterns;
+        _detectors = detectors.Where(Detectors.ContainsKey).Distinct().ToList();
+        _maxBytes = maxBytes > 0 ? maxBytes : long.MaxValue;
+    }
+
+    public ClipboardPrivacyVerdict Evaluate(ClipboardContentType contentType, byte[] data)
+    {
+        if (data.LongLength > _maxBytes)
+            return ClipboardPrivacyVerdict.Block;
+
+        // Images only have a size; text, RTF and HTML are matched as raw text
+        if (contentType == ClipboardContentType.Image)
+            return ClipboardPrivacyVerdict.Allow;
+
+        var text = Encoding.UTF8.GetString(data);
+        try
+        {
+            if (_blocklist.Any(pattern => pattern.IsMatch(text)))
+                return ClipboardPrivacyVerdict.Block;
+
+            foreach (var id in _detectors)
+            {
+                var (pattern, validate) = Detectors[id];
+                foreach (Match match in pattern.Matches(text))
+                {
+                    if (validate == null || validate(match.Value))
+                        return ClipboardPrivacyVerdict.Sensitive;
+                }
+            }
+        }
+        catch (RegexMatchTimeoutException)
+        {
+            // Content we cannot check in time is not synced
+            return ClipboardPrivacyVerdict.Block;
+        }
+
+        return ClipboardPrivacyVerdict.Allow;
+    }
+
+    private static Regex Detector(string pattern, RegexOptions options = RegexOptions.None)
+    {
+        return new Regex(pattern, options | RegexOptions.Compiled | RegexOptions.CultureInvariant, MatchTimeout);
+    }
+
+    private static bool LuhnValid(string digits)
+    {
+        if (digits.Length < 13 || digits.Length > 19)
+            return false;
+
+        var sum = 0;
+        for (var i = 0; i < digits.Length; i++)
+        {
+            var digit = digits[digits.Length - 1 - i] - '0';
+            if (i % 2 == 1)
+            {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 == 0;
+    }
+}
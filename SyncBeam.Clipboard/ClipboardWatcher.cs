@@ -23,6 +23,9 @@ public sealed class ClipboardWatcher : IDisposable
     private string? _lastClipboardHash;
     private bool _isEnabled = true;
     private bool _disposed;
+    private volatile IReadOnlySet<string> _sendDisabledPeers = new HashSet<string>();
+    private volatile IReadOnlySet<string> _receiveDisabledPeers = new HashSet<string>();
+    private volatile ClipboardPrivacyRules _privacyRules = ClipboardPrivacyRules.AllowAll;
 
     public bool IsEnabled
     {
@@ -32,6 +35,49 @@ public sealed class ClipboardWatcher : IDisposable
 
     public event EventHandler<ClipboardReceivedEventArgs>? ClipboardReceived;
 
+    /// <summary>
+    /// Restricts clipboard sync per peer. Peers that are not listed keep
+    /// sending and receiving clipboard changes.
+    /// </summary>
+    public void SetPeerRules(IEnumerable<string> sendDisabled, IEnumerable<string> receiveDisabled)
+    {
+        _sendDisabledPeers = new HashSet<string>(sendDisabled);
+        _receiveDisabledPeers = new HashSet<string>(receiveDisabled);
+    }
+
+    /// <summary>
+    /// Replaces the privacy rules checked before a local change is sent and
+    /// before content from a peer is written to the clipboard.
+    /// </summary>
+    public void SetPrivacyRules(ClipboardPrivacyRules rules)
+    {
+        _privacyRules = rules;
+    }
+
+    /// <summary>
+    /// Checks content against the current privacy rules, for callers that send
+    /// clipboard content outside the automatic sync.
+    /// </summary>
+    public ClipboardPrivacyVerdict EvaluatePrivacy(ClipboardContentType contentType, byte[] data)
+    {
+        return _privacyRules.Evaluate(contentType, data);
+    }
+
+    /// <summary>
+    /// Sends clipboard content to a single peer on request, regardless of the sync rules.
+    /// </summary>
+    public Task<bool> PushToPeerAsync(string peerId, ClipboardContentType contentType, byte[] data)
+    {
+        var message = new ClipboardDataMessage
+        {
+            ClipboardId = Guid.NewGuid().ToString(),
+            ContentType = contentType,
+            Data = data,
+            Timestamp = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()
+        };
+        return _peerManager.SendAsync(peerId, MessageType.ClipboardData, message);
+    }
+
     public ClipboardWatcher(PeerManager peerManager)
     {
         _peerManager = peerManager;
@@ -243,9 +289,15 @@ public sealed class ClipboardWatcher : IDisposable
                 }
             }
 
-            if (message != null)
+            // Blocked and secret-looking content stays on this machine
+            if (message != null && _privacyRules.Evaluate(message.ContentType, message.Data) == ClipboardPrivacyVerdict.Allow)
             {
-                _ = _peerManager.BroadcastAsync(MessageType.ClipboardData, message);
+                var sendDisabled = _sendDisabledPeers;
+                foreach (var peerId in _peerManager.ConnectedPeers.Keys)
+                {
+                    if (!sendDisabled.Contains(peerId))
+                        _ = _peerManager.SendAsync(peerId, MessageType.ClipboardData, message);
+                }
             }
         }
         catch
@@ -259,49 +311,63 @@ public sealed class ClipboardWatcher : IDisposable
         if (e.Type != MessageType.ClipboardData || !_isEnabled)
             return;
 
+        if (e.PeerId != null && _receiveDisabledPeers.Contains(e.PeerId))
+            return;
+
         try
         {
             var msg = MessagePackSerializer.Deserialize<ClipboardDataMessage>(e.Payload);
 
+            // Blocked content is dropped; secrets are handed to the UI, which
+            // masks and expires them, but never written to the clipboard
+            var verdict = _privacyRules.Evaluate(msg.ContentType, msg.Data);
+            if (verdict == ClipboardPrivacyVerdict.Block)
+                return;
+
             // Update last hash to prevent echo
-            _lastClipboardHash = ComputeHash(msg.Data);
+            if (verdict == ClipboardPrivacyVerdict.Allow)
+                _lastClipboardHash = ComputeHash(msg.Data);
 
             // Set clipboard content
             _hwndSource?.Dispatcher.InvokeAsync(() =>
             {
                 try
                 {
-                    switch (msg.ContentType)
+                    if (verdict == ClipboardPrivacyVerdict.Allow)
                     {
-                        case ClipboardContentType.Text:
-                            var text = System.Text.Encoding.UTF8.GetString(msg.Data);
-                            System.Windows.Clipboard.SetText(text);
-                            break;
-
-                        case ClipboardContentType.Image:
-                            var image = BytesToBitmapSource(msg.Data);
-                            if (image != null)
-                            {
-                                System.Windows.Clipboard.SetImage(image);
-                            }
-                            break;
-
-                        case ClipboardContentType.Rtf:
-                            var rtf = System.Text.Encoding.UTF8.GetString(msg.Data);
-                            System.Windows.Clipboard.SetData(DataFormats.Rtf, rtf);
-                            break;
-
-                        case ClipboardContentType.Html:
-                            var html = System.Text.Encoding.UTF8.GetString(msg.Data);
-                            System.Windows.Clipboard.SetData(DataFormats.Html, html);
-                            break;
+                        switch (msg.ContentType)
+                        {
+                            case ClipboardContentType.Text:
+                                var text = System.Text.Encoding.UTF8.GetString(msg.Data);
+                                System.Windows.Clipboard.SetText(text);
+                                break;
+
+                            case ClipboardContentType.Image:
+                                var image = BytesToBitmapSource(msg.Data);
+                                if (image != null)
+                                {
+                                    System.Windows.Clipboard.SetImage(image);
+                                }
+                                break;
+
+                            case ClipboardContentType.Rtf:
+                                var rtf = System.Text.Encoding.UTF8.GetString(msg.Data);
+                                System.Windows.Clipboard.SetData(DataFormats.Rtf, rtf);
+                                break;
+
+                            case ClipboardContentType.Html:
+                                var html = System.Text.Encoding.UTF8.GetString(msg.Data);
+                                System.Windows.Clipboard.SetData(DataFormats.Html, html);
+                                break;
+                        }
                     }
 
                     ClipboardReceived?.Invoke(this, new ClipboardReceivedEventArgs
                     {
                         PeerId = e.PeerId!,
                         ContentType = msg.ContentType,
-                        DataSize = msg.Data.Length
+                        DataSize = msg.Data.Length,
+                        Data = msg.Data
                     });
                 }
                 catch
@@ -375,4 +441,5 @@ public class ClipboardReceivedEventArgs : EventArgs
     public required string PeerId { get; init; }
     public required ClipboardContentType ContentType { get; init; }
     public required int DataSize { get; init; }
+    public required byte[] Data { get; init; }
 }
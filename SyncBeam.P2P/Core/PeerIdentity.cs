@@ -15,6 +15,11 @@ public sealed class PeerIdentity : IDisposable
     public byte[] PublicKeyBytes => PublicKey.Export(KeyBlobFormat.RawPublicKey);
     public string PeerId => Convert.ToHexString(SHA256.HashData(PublicKeyBytes)[..16]).ToLowerInvariant();
 
+    /// <summary>
+    /// Full SHA-256 of the public key, for users to compare out of band.
+    /// </summary>
+    public string Fingerprint => Convert.ToHexString(SHA256.HashData(PublicKeyBytes)).ToLowerInvariant();
+
     private PeerIdentity(Key privateKey)
     {
         _privateKey = privateKey;
@@ -89,11 +94,14 @@ public sealed class RemotePeerIdentity
 {
     public byte[] PublicKeyBytes { get; }
     public string PeerId { get; }
+    public string Fingerprint { get; }
 
     public RemotePeerIdentity(byte[] publicKeyBytes)
     {
         PublicKeyBytes = publicKeyBytes;
-        PeerId = Convert.ToHexString(SHA256.HashData(publicKeyBytes)[..16]).ToLowerInvariant();
+        var hash = SHA256.HashData(publicKeyBytes);
+        PeerId = Convert.ToHexString(hash[..16]).ToLowerInvariant();
+        Fingerprint = Convert.ToHexString(hash).ToLowerInvariant();
     }
 
     public bool Verify(ReadOnlySpan<byte> data, ReadOnlySpan<byte> signature)
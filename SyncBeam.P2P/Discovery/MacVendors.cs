@@ -0,0 +1,65 @@
+namespace SyncBeam.P2P.Discovery;
+
+/// <summary>
+/// Maps MAC address prefixes (OUIs) to hardware vendors.
+/// Only a small built-in table of common home and lab hardware and virtual
+/// machines is included; other addresses report no vendor.
+/// </summary>
+public static class MacVendors
+{
+    private static readonly Dictionary<string, string> Vendors = new(StringComparer.OrdinalIgnoreCase)
+    {
+        // Virtual machines
+        ["00:50:56"] = "VMware",
+        ["00:0C:29"] = "VMware",
+        ["00:05:69"] = "VMware",
+        ["00:1C:14"] = "VMware",
+        ["08:00:27"] = "VirtualBox",
+        ["00:15:5D"] = "Hyper-V",
+        ["52:54:00"] = "QEMU/KVM",
+        ["00:16:3E"] = "Xen",
+        ["00:1C:42"] = "Parallels",
+
+        // Single-board computers and IoT modules
+        ["B8:27:EB"] = "Raspberry Pi",
+        ["DC:A6:32"] = "Raspberry Pi",
+        ["E4:5F:01"] = "Raspberry Pi",
+        ["D8:3A:DD"] = "Raspberry Pi",
+        ["28:CD:C1"] = "Raspberry Pi",
+        ["24:0A:C4"] = "Espressif",
+        ["30:AE:A4"] = "Espressif",
+
+        // Consumer hardware
+        ["00:03:93"] = "Apple",
+        ["00:0A:95"] = "Apple",
+        ["00:1B:63"] = "Apple",
+        ["00:1E:C2"] = "Apple",
+        ["00:25:00"] = "Apple",
+        ["00:1A:11"] = "Google",
+        ["18:B4:30"] = "Nest",
+        ["44:65:0D"] = "Amazon",
+        ["00:17:88"] = "Philips Hue",
+        ["00:0E:58"] = "Sonos",
+        ["B8:E9:37"] = "Sonos",
+        ["00:04:4B"] = "NVIDIA",
+        ["00:09:BF"] = "Nintendo",
+
+        // Network and storage
+        ["00:11:32"] = "Synology",
+        ["00:08:9B"] = "QNAP",
+        ["00:27:22"] = "Ubiquiti",
+        ["24:A4:3C"] = "Ubiquiti",
+        ["50:C7:BF"] = "TP-Link"
+    };
+
+    /// <summary>
+    /// Returns the vendor for a MAC address in "AA:BB:CC:DD:EE:FF" form, or null when unknown.
+    /// </summary>
+    public static string? Lookup(string? macAddress)
+    {
+        if (string.IsNullOrEmpty(macAddress) || macAddress.Length < 8)
+            return null;
+
+        return Vendors.TryGetValue(macAddress[..8], out var vendor) ? vendor : null;
+    }
+}
@@ -1,6 +1,8 @@
 using System.Net;
 using System.Net.NetworkInformation;
 using System.Net.Sockets;
+using System.Numerics;
+using System.Runtime.InteropServices;
 using System.Collections.Concurrent;
 
 namespace SyncBeam.P2P.Discovery;
@@ -10,23 +12,65 @@ namespace SyncBeam.P2P.Discovery;
 /// </summary>
 public sealed class NetworkScanner
 {
+    private const int BatchSize = 50;
+    private const int MinPrefixLength = 20; // 4094 hosts; wider ranges take too long to ping
+
     private readonly ConcurrentDictionary<string, NetworkDevice> _devices = new();
     private CancellationTokenSource? _scanCts;
     private Task? _scanTask;
+    private int _scanId;
 
     public event EventHandler<NetworkDeviceEventArgs>? DeviceDiscovered;
-    public event EventHandler? ScanCompleted;
+    public event EventHandler<NetworkScanEventArgs>? ScanStarted;
+    public event EventHandler<NetworkScanEventArgs>? ScanProgress;
+    public event EventHandler<NetworkScanEventArgs>? ScanCompleted;
 
     public IReadOnlyDictionary<string, NetworkDevice> Devices => _devices;
 
     /// <summary>
     /// Start scanning the local network for devices.
+    /// Scans the given CIDR subnets, or every local interface's subnet when none are given.
+    /// When subnets are given but none of them is valid, the scan completes at once with an error.
     /// </summary>
-    public void StartScan()
+    public void StartScan(IEnumerable<string>? subnets = null)
     {
         StopScan();
+
+        var requested = subnets?.ToList() ?? new List<string>();
+        var ranges = requested.Select(ParseCidr).OfType<ScanRange>().ToList();
+        if (requested.Count > 0 && ranges.Count == 0)
+        {
+            // Scanning the local interfaces instead would probe networks nobody asked for
+            ScanCompleted?.Invoke(this, new NetworkScanEventArgs
+            {
+                ScanId = Interlocked.Increment(ref _scanId),
+                Subnets = requested,
+                Error = $"No valid IPv4 subnet to scan (at most /{MinPrefixLength})"
+            });
+            return;
+        }
+        if (ranges.Count == 0)
+            ranges = GetLocalSubnets().Select(s => ParseCidr(s.Cidr)).OfType<ScanRange>().ToList();
+
         _scanCts = new CancellationTokenSource();
-        _scanTask = ScanNetworkAsync(_scanCts.Token);
+        _scanTask = ScanNetworkAsync(Interlocked.Increment(ref _scanId), ranges, _scanCts.Token);
+    }
+
+    /// <summary>
+    /// Subnets of the local interfaces, as offered for scanning.
+    /// Subnets wider than a /24 are narrowed to the /24 around our own address.
+    /// </summary>
+    public static IReadOnlyList<ScanSubnet> GetLocalSubnets()
+    {
+        var subnets = new List<ScanSubnet>();
+        foreach (var (localIp, subnetMask, interfaceName) in GetLocalNetworkInfo())
+        {
+            var prefix = Math.Max(BitOperations.PopCount(IpToUint(subnetMask)), 24);
+            var range = ParseCidr($"{localIp}/{prefix}");
+            if (range != null && subnets.All(s => s.Cidr != range.Cidr))
+                subnets.Add(new ScanSubnet(range.Cidr, interfaceName, localIp.ToString()));
+        }
+        return subnets;
     }
 
     /// <summary>
@@ -44,21 +88,53 @@ public sealed class NetworkScanner
         _scanCts = null;
     }
 
-    private async Task ScanNetworkAsync(CancellationToken ct)
+    private async Task ScanNetworkAsync(int scanId, IReadOnlyList<ScanRange> ranges, CancellationToken ct)
     {
+        var subnets = ranges.Select(r => r.Cidr).ToList();
+        var total = ranges.Sum(r => (int)(r.Last - r.First + 1));
+        var probed = 0;
+        var found = 0;
+
+        NetworkScanEventArgs Snapshot(bool cancelled = false) => new()
+        {
+            ScanId = scanId,
+            Subnets = subnets,
+            Total = total,
+            Probed = probed,
+            Found = found,
+            Cancelled = cancelled
+        };
+
+        ScanStarted?.Invoke(this, Snapshot());
+
         try
         {
-            var localAddresses = GetLocalNetworkInfo();
+            var localAddresses = GetLocalNetworkInfo().Select(info => info.ip).ToHashSet();
 
-            foreach (var (localIp, subnetMask) in localAddresses)
+            foreach (var range in ranges)
             {
-                if (ct.IsCancellationRequested) break;
+                System.Diagnostics.Debug.WriteLine($"[NetworkScanner] Scanning network: {range.Cidr}");
 
-                System.Diagnostics.Debug.WriteLine($"[NetworkScanner] Scanning network: {localIp}/{subnetMask}");
-                await ScanSubnetAsync(localIp, subnetMask, ct);
+                // Ping in parallel batches, reporting progress after each one
+                for (long start = range.First; start <= range.Last && !ct.IsCancellationRequested; start += BatchSize)
+                {
+                    var end = Math.Min(range.Last, start + BatchSize - 1);
+                    var tasks = new List<Task<bool>>();
+                    for (var address = start; address <= end; address++)
+                    {
+                        var ip = UintToIp((uint)address);
+                        if (!localAddresses.Contains(ip)) // Skip our own IP
+                        {
+                            tasks.Add(PingAndDiscoverAsync(ip, ct));
+                        }
+                    }
+
+                    var results = await Task.WhenAll(tasks);
+                    probed += (int)(end - start + 1);
+                    found += results.Count(responded => responded);
+                    ScanProgress?.Invoke(this, Snapshot());
+                }
             }
-
-            ScanCompleted?.Invoke(this, EventArgs.Empty);
         }
         catch (OperationCanceledException)
         {
@@ -68,40 +144,38 @@ public sealed class NetworkScanner
         {
             System.Diagnostics.Debug.WriteLine($"[NetworkScanner] Error: {ex.Message}");
         }
+
+        ScanCompleted?.Invoke(this, Snapshot(ct.IsCancellationRequested));
     }
 
-    private async Task ScanSubnetAsync(IPAddress localIp, IPAddress subnetMask, CancellationToken ct)
+    /// <summary>
+    /// Parses "a.b.c.d/prefix" into the host addresses it covers, or null when invalid or too wide.
+    /// </summary>
+    private static ScanRange? ParseCidr(string cidr)
     {
-        var networkAddress = GetNetworkAddress(localIp, subnetMask);
-        var broadcastAddress = GetBroadcastAddress(localIp, subnetMask);
-
-        var startIp = IpToUint(networkAddress) + 1;
-        var endIp = IpToUint(broadcastAddress) - 1;
-
-        // Limit scan to /24 networks max (254 hosts) to avoid long scans
-        var maxHosts = Math.Min(endIp - startIp, 254);
+        var parts = cidr.Trim().Split('/');
+        if (parts.Length != 2 ||
+            !IPAddress.TryParse(parts[0], out var address) ||
+            address.AddressFamily != AddressFamily.InterNetwork ||
+            !int.TryParse(parts[1], out var prefix) ||
+            prefix < MinPrefixLength || prefix > 32)
+            return null;
 
-        System.Diagnostics.Debug.WriteLine($"[NetworkScanner] Scanning {maxHosts} addresses from {UintToIp(startIp)} to {UintToIp(startIp + maxHosts)}");
+        var mask = uint.MaxValue << (32 - prefix);
+        var network = IpToUint(address) & mask;
+        var broadcast = network | ~mask;
+        var normalized = $"{UintToIp(network)}/{prefix}";
 
-        // Ping in parallel batches
-        var batchSize = 50;
-        for (uint i = 0; i < maxHosts && !ct.IsCancellationRequested; i += (uint)batchSize)
-        {
-            var tasks = new List<Task>();
-            for (uint j = 0; j < batchSize && (i + j) < maxHosts; j++)
-            {
-                var ip = UintToIp(startIp + i + j);
-                if (!ip.Equals(localIp)) // Skip our own IP
-                {
-                    tasks.Add(PingAndDiscoverAsync(ip, ct));
-                }
-            }
-
-            await Task.WhenAll(tasks);
-        }
+        // /31 and /32 have no network or broadcast address to skip
+        return prefix >= 31
+            ? new ScanRange(normalized, network, broadcast)
+            : new ScanRange(normalized, network + 1, broadcast - 1);
     }
 
-    private async Task PingAndDiscoverAsync(IPAddress ip, CancellationToken ct)
+    /// <summary>
+    /// Pings one address and records it when it answers. Returns whether it answered.
+    /// </summary>
+    private async Task<bool> PingAndDiscoverAsync(IPAddress ip, CancellationToken ct)
     {
         try
         {
@@ -112,12 +186,14 @@ public sealed class NetworkScanner
             {
                 var hostname = await ResolveHostnameAsync(ip);
                 var deviceType = DetectDeviceType(ip, hostname);
+                var macAddress = GetMacAddress(ip);
 
                 var device = new NetworkDevice
                 {
                     IpAddress = ip,
                     Hostname = hostname,
-                    MacAddress = GetMacAddress(ip),
+                    MacAddress = macAddress,
+                    Vendor = MacVendors.Lookup(macAddress),
                     LastSeen = DateTime.Now,
                     HasSyncBeam = false, // Will be updated by mDNS discovery
                     DeviceType = deviceType
@@ -131,18 +207,25 @@ public sealed class NetworkScanner
                         existing.Hostname = device.Hostname;
                     if (existing.DeviceType == DeviceType.Unknown && device.DeviceType != DeviceType.Unknown)
                         existing.DeviceType = device.DeviceType;
+                    if (device.MacAddress != null)
+                    {
+                        existing.MacAddress = device.MacAddress;
+                        existing.Vendor = device.Vendor;
+                    }
                     return existing;
                 });
 
                 System.Diagnostics.Debug.WriteLine($"[NetworkScanner] Found device: {ip} ({device.Hostname ?? "unknown"}) - {device.DeviceType}");
 
                 DeviceDiscovered?.Invoke(this, new NetworkDeviceEventArgs { Device = device });
+                return true;
             }
         }
         catch
         {
             // Device didn't respond or error occurred
         }
+        return false;
     }
 
     private static async Task<string?> ResolveHostnameAsync(IPAddress ip)
@@ -292,11 +375,19 @@ public sealed class NetworkScanner
 
     private static string? GetMacAddress(IPAddress ip)
     {
-        // Try to get MAC from ARP cache (Windows only)
+        // Ask the ARP cache (Windows only); the ping just before fills it for hosts on the same link
+        if (!OperatingSystem.IsWindows())
+            return null;
+
         try
         {
-            // This is a simplified approach - in production you'd use ARP table
-            return null;
+            var mac = new byte[6];
+            var length = (uint)mac.Length;
+            var destination = BitConverter.ToUInt32(ip.GetAddressBytes(), 0);
+            if (SendARP(destination, 0, mac, ref length) != 0 || length < 6)
+                return null;
+
+            return string.Join(":", mac.Select(b => b.ToString("X2")));
         }
         catch
         {
@@ -304,6 +395,9 @@ public sealed class NetworkScanner
         }
     }
 
+    [DllImport("iphlpapi.dll", ExactSpelling = true)]
+    private static extern int SendARP(uint destIp, uint srcIp, byte[] macAddress, ref uint macAddressLength);
+
     /// <summary>
     /// Mark a device as having SyncBeam installed.
     /// </summary>
@@ -331,7 +425,7 @@ public sealed class NetworkScanner
         }
     }
 
-    private static IEnumerable<(IPAddress ip, IPAddress mask)> GetLocalNetworkInfo()
+    private static IEnumerable<(IPAddress ip, IPAddress mask, string name)> GetLocalNetworkInfo()
     {
         foreach (var ni in NetworkInterface.GetAllNetworkInterfaces())
         {
@@ -352,36 +446,12 @@ public sealed class NetworkScanner
                     if (bytes[0] == 172 && bytes[1] >= 16 && bytes[1] <= 31)
                         continue; // Docker/WSL networks
 
-                    yield return (addr.Address, addr.IPv4Mask);
+                    yield return (addr.Address, addr.IPv4Mask, ni.Name);
                 }
             }
         }
     }
 
-    private static IPAddress GetNetworkAddress(IPAddress ip, IPAddress subnetMask)
-    {
-        var ipBytes = ip.GetAddressBytes();
-        var maskBytes = subnetMask.GetAddressBytes();
-        var networkBytes = new byte[4];
-
-        for (int i = 0; i < 4; i++)
-            networkBytes[i] = (byte)(ipBytes[i] & maskBytes[i]);
-
-        return new IPAddress(networkBytes);
-    }
-
-    private static IPAddress GetBroadcastAddress(IPAddress ip, IPAddress subnetMask)
-    {
-        var ipBytes = ip.GetAddressBytes();
-        var maskBytes = subnetMask.GetAddressBytes();
-        var broadcastBytes = new byte[4];
-
-        for (int i = 0; i < 4; i++)
-            broadcastBytes[i] = (byte)(ipBytes[i] | ~maskBytes[i]);
-
-        return new IPAddress(broadcastBytes);
-    }
-
     private static uint IpToUint(IPAddress ip)
     {
         var bytes = ip.GetAddressBytes();
@@ -398,8 +468,15 @@ public sealed class NetworkScanner
             (byte)ip
         });
     }
+
+    private sealed record ScanRange(string Cidr, uint First, uint Last);
 }
 
+/// <summary>
+/// A subnet of a local interface that can be scanned.
+/// </summary>
+public sealed record ScanSubnet(string Cidr, string InterfaceName, string LocalAddress);
+
 /// <summary>
 /// Represents a device found on the network.
 /// </summary>
@@ -408,6 +485,7 @@ public class NetworkDevice
     public required IPAddress IpAddress { get; init; }
     public string? Hostname { get; set; }
     public string? MacAddress { get; set; }
+    public string? Vendor { get; set; }
     public DateTime LastSeen { get; set; }
     public bool HasSyncBeam { get; set; }
     public string? SyncBeamPeerId { get; set; }
@@ -436,3 +514,17 @@ public class NetworkDeviceEventArgs : EventArgs
 {
     public required NetworkDevice Device { get; init; }
 }
+
+/// <summary>
+/// Progress of one network scan. Raised when it starts, after each ping batch and when it ends.
+/// </summary>
+public class NetworkScanEventArgs : EventArgs
+{
+    public required int ScanId { get; init; }
+    public required IReadOnlyList<string> Subnets { get; init; }
+    public int Total { get; init; }
+    public int Probed { get; init; }
+    public int Found { get; init; }
+    public bool Cancelled { get; init; }
+    public string? Error { get; init; }
+}
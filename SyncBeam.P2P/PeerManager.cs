@@ -32,6 +32,7 @@ public sealed class PeerManager : IDisposable
     private bool _networkSetupComplete;
 
     public string LocalPeerId => _localIdentity.PeerId;
+    public string LocalFingerprint => _localIdentity.Fingerprint;
     public int ListenPort => _listener.Port;
     public IReadOnlyDictionary<string, ConnectedPeer> ConnectedPeers => _peers;
     public IReadOnlyDictionary<string, NetworkDevice> NetworkDevices => _networkScanner.Devices;
@@ -57,7 +58,9 @@ public sealed class PeerManager : IDisposable
     public event EventHandler<PeerConnectionFailedEventArgs>? PeerConnectionFailed;
     public event EventHandler<MessageReceivedEventArgs>? MessageReceived;
     public event EventHandler<NetworkDeviceEventArgs>? NetworkDeviceDiscovered;
-    public event EventHandler? NetworkScanCompleted;
+    public event EventHandler<NetworkScanEventArgs>? NetworkScanStarted;
+    public event EventHandler<NetworkScanEventArgs>? NetworkScanProgress;
+    public event EventHandler<NetworkScanEventArgs>? NetworkScanCompleted;
 
     /// <summary>
     /// Event raised when network status changes.
@@ -85,7 +88,9 @@ public sealed class PeerManager : IDisposable
 
         _networkScanner = new NetworkScanner();
         _networkScanner.DeviceDiscovered += OnNetworkDeviceDiscovered;
-        _networkScanner.ScanCompleted += (_, _) => NetworkScanCompleted?.Invoke(this, EventArgs.Empty);
+        _networkScanner.ScanStarted += (_, e) => NetworkScanStarted?.Invoke(this, e);
+        _networkScanner.ScanProgress += (_, e) => NetworkScanProgress?.Invoke(this, e);
+        _networkScanner.ScanCompleted += (_, e) => NetworkScanCompleted?.Invoke(this, e);
 
         // Initialize network setup manager
         _networkSetup = new NetworkSetupManager(_listener.Port);
@@ -179,11 +184,27 @@ public sealed class PeerManager : IDisposable
     }
 
     /// <summary>
-    /// Rescan the network for all devices.
+    /// Rescan the network for all devices, optionally limited to the given CIDR subnets.
     /// </summary>
-    public void ScanNetwork()
+    public void ScanNetwork(IEnumerable<string>? subnets = null)
     {
-        _networkScanner.StartScan();
+        _networkScanner.StartScan(subnets);
+    }
+
+    /// <summary>
+    /// Cancel a running network scan. Devices found so far are kept.
+    /// </summary>
+    public void CancelNetworkScan()
+    {
+        _networkScanner.StopScan();
+    }
+
+    /// <summary>
+    /// Subnets of the local interfaces that a network scan can cover.
+    /// </summary>
+    public IReadOnlyList<ScanSubnet> GetScanSubnets()
+    {
+        return NetworkScanner.GetLocalSubnets();
     }
 
     public void Stop()
@@ -394,15 +415,18 @@ public sealed class PeerManager : IDisposable
     }
 
     /// <summary>
-    /// Connect to a peer by IP address with automatic retries.
+    /// Connect to a peer by IP address or host name with automatic retries.
+    /// The result carries the peer's ID when connected (or already connected)
+    /// and the reason otherwise.
     /// </summary>
-    public async Task<bool> ConnectToIpAsync(string ipAddress, int? port = null, int maxRetries = 3)
+    public async Task<IpConnectResult> ConnectToIpAsync(string ipAddress, int? port = null, int maxRetries = 3)
     {
         var targetPort = port ?? _listener.Port;
-        var connectionId = $"ip-{ipAddress}";
+        // The same host can run several instances on different ports
+        var connectionId = $"ip-{ipAddress.ToLowerInvariant()}:{targetPort}";
 
         if (!_connectingPeers.TryAdd(connectionId, true))
-            return false;
+            return new IpConnectResult(null, "A connection to this address is already in progress");
 
         string? errorMessage = null;
         IPEndPoint? endpoint = null;
@@ -411,8 +435,15 @@ public sealed class PeerManager : IDisposable
         {
             if (!IPAddress.TryParse(ipAddress, out var ip))
             {
-                errorMessage = "Invalid IP address";
-                return false;
+                // Not a literal address; try it as a host name, preferring IPv4
+                var addresses = await Dns.GetHostAddressesAsync(ipAddress, _cts.Token);
+                ip = addresses.FirstOrDefault(a => a.AddressFamily == System.Net.Sockets.AddressFamily.InterNetwork)
+                    ?? addresses.FirstOrDefault();
+                if (ip == null)
+                {
+                    errorMessage = $"Could not resolve host '{ipAddress}'";
+                    return new IpConnectResult(null, errorMessage);
+                }
             }
 
             endpoint = new IPEndPoint(ip, targetPort);
@@ -444,13 +475,13 @@ public sealed class PeerManager : IDisposable
                         _networkScanner.MarkAsSyncBeamDevice(ip, peerId);
 
                         PeerConnected?.Invoke(this, new PeerEventArgs { PeerId = peerId, Peer = peer });
-                        return true;
+                        return new IpConnectResult(peerId, null);
                     }
                     else
                     {
+                        // Already connected, for instance through discovery: keep that connection
                         transport.Dispose();
-                        errorMessage = "Peer already connected";
-                        return false;
+                        return new IpConnectResult(peerId, null);
                     }
                 }
                 catch (Exception ex) when (attempt < maxRetries && !_cts.Token.IsCancellationRequested)
@@ -508,7 +539,7 @@ public sealed class PeerManager : IDisposable
             }
         }
 
-        return false;
+        return new IpConnectResult(null, errorMessage);
     }
 
     /// <summary>
@@ -612,6 +643,14 @@ public sealed class PeerManager : IDisposable
         }
     }
 
+    /// <summary>
+    /// Drops an established connection to a peer.
+    /// </summary>
+    public void DisconnectPeer(string peerId)
+    {
+        OnPeerDisconnected(peerId);
+    }
+
     private void OnNetworkDeviceDiscovered(object? sender, NetworkDeviceEventArgs e)
     {
         NetworkDeviceDiscovered?.Invoke(this, e);
@@ -760,3 +799,9 @@ public class MessageReceivedEventArgs : EventArgs
     public required MessageType Type { get; init; }
     public required byte[] Payload { get; init; }
 }
+
+/// <summary>
+/// Outcome of <see cref="PeerManager.ConnectToIpAsync"/>: the peer ID on success,
+/// otherwise the reason the connection failed.
+/// </summary>
+public sealed record IpConnectResult(string? PeerId, string? ErrorMessage);
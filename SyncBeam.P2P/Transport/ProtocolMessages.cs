@@ -30,7 +30,11 @@ public enum MessageType : byte
 
     // Clipboard
     ClipboardData = 0x30,
-    ClipboardAck = 0x31
+    ClipboardAck = 0x31,
+
+    // Snippets
+    Snippet = 0x40,
+    SnippetAck = 0x41
 }
 
 /// <summary>
@@ -173,6 +177,36 @@ public class ClipboardDataMessage
     public long Timestamp { get; set; }
 }
 
+[MessagePackObject]
+public class SnippetMessage
+{
+    [Key(0)]
+    public required string SnippetId { get; set; }
+
+    /// <summary>"text", "code" or "url".</summary>
+    [Key(1)]
+    public required string Kind { get; set; }
+
+    [Key(2)]
+    public required string Content { get; set; }
+
+    [Key(3)]
+    public string? Language { get; set; }
+
+    [Key(4)]
+    public bool OpenOnArrival { get; set; }
+
+    [Key(5)]
+    public long Timestamp { get; set; }
+}
+
+[MessagePackObject]
+public class SnippetAckMessage
+{
+    [Key(0)]
+    public required string SnippetId { get; set; }
+}
+
 public enum ClipboardContentType : byte
 {
     Text = 0,
@@ -4,9 +4,12 @@
 const i18n = {
     en: {
         initializing: 'Initializing...',
+        'bandwidth.upload': 'Upload',
+        'bandwidth.download': 'Download',
         'nav.peers': 'Peers',
         'nav.transfers': 'Transfers',
         'nav.clipboard': 'Clipboard',
+        'nav.history': 'History',
         'nav.settings': 'Settings',
         'peers.title': 'Network Devices',
         'peers.refresh': 'Refresh',
@@ -20,6 +23,138 @@ const i18n = {
         'peers.connecting': 'Connecting...',
         'peers.noSyncBeam': 'No SyncBeam',
         'peers.hasSyncBeam': 'SyncBeam Ready',
+        'peers.noConnected': 'Connect to a device before sending files',
+        'peers.pickTitle': 'Choose a device',
+        'peers.pickMessage': 'Several devices are connected. Which one should receive these files?',
+        'peers.pickCancel': 'Cancel',
+        'peers.trusted': 'Trusted',
+        'peers.blocked': 'Blocked',
+        'peers.edit': 'Edit',
+        'peers.blockedConnect': 'This device is blocked. Unblock it to connect.',
+        'peers.blockedRefused': 'Refused connection from blocked device',
+        'peers.identityMismatch': 'Refused device whose key does not match its ID',
+        'identity.title': 'This device',
+        'identity.hint': 'Other devices know you by this identity. Compare the fingerprint with the one they see to be sure you are talking to the right device.',
+        'identity.peerId': 'Peer ID',
+        'identity.fingerprint': 'Public key fingerprint',
+        'identity.copy': 'Copy fingerprint',
+        'identity.copied': 'Fingerprint copied',
+        'identity.close': 'Close',
+        'profile.title': 'Device details',
+        'profile.nickname': 'Nickname',
+        'profile.color': 'Color',
+        'profile.trust': 'Trust',
+        'profile.trust.none': 'Not set',
+        'profile.trust.trusted': 'Trusted',
+        'profile.trust.blocked': 'Blocked',
+        'profile.trustHint': 'Trusted is a label only; use "Always accept" on an offer to skip the prompt. Blocked devices cannot connect, send files or share clipboard items.',
+        'profile.noFingerprint': 'Connect to this device once to learn its fingerprint',
+        'profile.save': 'Save',
+        'profile.cancel': 'Cancel',
+        'profile.forget': 'Forget',
+        'profile.saved': 'Device updated',
+        'profile.verifiedOn': 'Verified on',
+        'profile.notVerified': 'Not verified yet',
+        'peers.verify': 'Verify',
+        'peers.verified': 'Verified',
+        'peers.keyChanged': 'Key changed',
+        'peers.connectAddress': 'Connect to Address',
+        'peers.bookmarked': 'Saved',
+        'peers.removeBookmark': 'Remove',
+        'peers.autoReconnect': 'Reconnect on startup',
+        'connect.title': 'Connect to address',
+        'connect.hint': 'Reach a SyncBeam device that the scan cannot see, for example on another subnet or over a VPN.',
+        'connect.host': 'Host name or IP address',
+        'connect.port': 'Port',
+        'connect.saveBookmark': 'Save as bookmark',
+        'connect.autoReconnect': 'Reconnect on startup',
+        'connect.cancel': 'Cancel',
+        'connect.connect': 'Connect',
+        'connect.connecting': 'Connecting...',
+        'connect.hostRequired': 'Enter a host name or IP address',
+        'connect.invalidHost': 'That is not a valid host name or IP address',
+        'connect.invalidPort': 'The port must be a number from 1 to 65535',
+        'connect.failed': 'Could not connect to that address',
+        'connect.bookmarkRemoved': 'Bookmark removed',
+        'peers.stale': 'Not seen in last scan',
+        'peers.noDevices': 'No devices found',
+        'peers.noDevicesHint': 'Scan the network or connect to an address to find devices.',
+        'scan.subnet': 'Subnet',
+        'scan.allInterfaces': 'All interfaces',
+        'scan.custom': 'Custom range...',
+        'scan.keepResults': 'Keep previous results',
+        'scan.cancel': 'Cancel Scan',
+        'scan.progress': 'hosts probed',
+        'scan.found': 'found',
+        'scan.cancelled': 'Scan cancelled',
+        'scan.completed': 'Scan complete',
+        'scan.failed': 'Scan failed',
+        'scan.invalidSubnet': 'Enter an IPv4 range such as 192.168.10.0/24 (at most /20)',
+        'devices.search': 'Search name, IP or peer ID',
+        'devices.syncBeamOnly': 'SyncBeam only',
+        'devices.connectedOnly': 'Connected',
+        'devices.groupBy': 'Group by',
+        'devices.groupNone': 'None',
+        'devices.groupType': 'Device type',
+        'devices.groupSubnet': 'Subnet',
+        'devices.shown': 'devices shown',
+        'devices.noMatches': 'No devices match these filters',
+        'devices.clearFilters': 'Clear filters',
+        'devices.otherAddresses': 'Other addresses',
+        'deviceType.Unknown': 'Unknown',
+        'deviceType.Computer': 'Computer',
+        'deviceType.Phone': 'Phone',
+        'deviceType.Tablet': 'Tablet',
+        'deviceType.Router': 'Router',
+        'deviceType.Printer': 'Printer',
+        'deviceType.SmartTV': 'Smart TV',
+        'deviceType.GameConsole': 'Game console',
+        'deviceType.SmartHome': 'Smart home',
+        'deviceType.Server': 'Server',
+        'inventory.grid': 'Grid',
+        'inventory.table': 'Inventory',
+        'inventory.search': 'Search name, IP, MAC, vendor or peer ID',
+        'inventory.allDevices': 'All devices',
+        'inventory.online': 'Online now',
+        'inventory.offline': 'Offline',
+        'inventory.syncbeam': 'SyncBeam devices',
+        'inventory.ipChanged': 'IP changed',
+        'inventory.clear': 'Clear Inventory',
+        'inventory.empty': 'No devices recorded yet. Scan the network to fill the inventory.',
+        'inventory.noMatches': 'No devices match these filters',
+        'inventory.forget': 'Forget',
+        'inventory.randomizedMac': 'Randomized MAC',
+        'inventory.previousIps': 'Previous addresses',
+        'inventory.col.name': 'Name',
+        'inventory.col.ip': 'IP Address',
+        'inventory.col.macAddress': 'MAC Address',
+        'inventory.col.vendor': 'Vendor',
+        'inventory.col.deviceType': 'Type',
+        'inventory.col.peerId': 'Peer ID',
+        'inventory.col.firstSeen': 'First Seen',
+        'inventory.col.lastSeen': 'Last Seen',
+        'verify.title': 'Verify device',
+        'verify.hint': 'Open this dialog on the other device too and compare the numbers, or scan the code with it. If they match, nobody is in the middle of your connection.',
+        'verify.numbers': 'Safety number',
+        'verify.compared': 'Numbers match',
+        'verify.scanned': 'Code scanned',
+        'verify.mismatch': "They don't match",
+        'verify.unverify': 'Remove verification',
+        'verify.cancel': 'Cancel',
+        'verify.unavailable': 'Connect to this device to verify it',
+        'verify.done': 'Device verified',
+        'verify.removed': 'Verification removed',
+        'verify.mismatchBlocked': 'Device blocked because the safety numbers did not match',
+        'verify.method.compared': 'numbers compared',
+        'verify.method.scanned': 'code scanned',
+        'keyChange.title': 'Security key changed',
+        'keyChange.message': 'now answers with a different key than before. The device may have been reinstalled, or someone may be impersonating it. Verify it before sending anything.',
+        'keyChange.previous': 'Previous fingerprint',
+        'keyChange.current': 'New fingerprint',
+        'keyChange.accept': 'Accept new key',
+        'keyChange.verify': 'Verify now',
+        'keyChange.block': 'Block device',
+        'keyChange.later': 'Decide later',
         'transfers.title': 'File Transfers',
         'transfers.dropTitle': 'Drop files here to send',
         'transfers.dropHint': 'or click to browse',
@@ -27,15 +162,150 @@ const i18n = {
         'transfers.selectFolder': 'Select Folder',
         'transfers.noActive': 'No active transfers',
         'transfers.cancel': 'Cancel',
+        'transfers.sendTo': 'Send to',
+        'transfers.askEachTime': 'Ask each time',
+        'transfers.to': 'To',
+        'transfers.from': 'From',
+        'transfers.files': 'files',
+        'transfers.failedCount': 'failed',
+        'transfers.skippedCount': 'skipped',
+        'transfers.eta': 'ETA',
+        'transfers.retryFailed': 'Retry failed files',
+        'transfers.cancelFolder': 'Cancel whole folder',
         'transfers.status.pending': 'Waiting...',
         'transfers.status.sending': 'Sending',
         'transfers.status.receiving': 'Receiving',
         'transfers.status.completed': 'Completed',
         'transfers.status.failed': 'Failed',
+        'transfers.status.queued': 'Queued',
+        'transfers.status.paused': 'Paused',
+        'transfers.status.retrying': 'Retrying',
+        'transfers.retry': 'Retry now',
+        'transfers.retryAt': 'Next retry at',
+        'transfers.waitingForPeer': 'Waiting for the peer to reconnect',
+        'transfers.attempts': 'Attempts',
+        'transfers.lastError': 'Last error',
+        'transfers.unknownError': 'Unknown error',
+        'transfers.queue': 'Queue',
+        'transfers.queueHint': 'Drag to reorder',
+        'transfers.pause': 'Pause',
+        'transfers.resume': 'Resume',
+        'transfers.pauseAll': 'Pause all',
+        'transfers.resumeAll': 'Resume all',
+        'transfers.moveToTop': 'Move to top',
+        'transfers.queuedFiles': 'files queued',
+        'history.title': 'Transfer History',
+        'history.search': 'Search by file name',
+        'history.allPeers': 'All peers',
+        'history.allStatuses': 'All statuses',
+        'history.from': 'From',
+        'history.to': 'To',
+        'history.exportCsv': 'Export CSV',
+        'history.exportJson': 'Export JSON',
+        'history.clear': 'Clear history',
+        'history.empty': 'No transfers match these filters',
+        'history.sent': 'Sent',
+        'history.received': 'Received',
+        'history.status.completed': 'Completed',
+        'history.status.failed': 'Failed',
+        'history.status.cancelled': 'Cancelled',
+        'offers.title': 'Incoming files',
+        'offers.from': 'From',
+        'offers.accept': 'Accept',
+        'offers.reject': 'Reject',
+        'offers.alwaysAccept': 'Always accept from this peer',
+        'offers.acceptAll': 'Accept all',
+        'offers.rejectAll': 'Reject all',
+        'offers.expiresIn': 'Expires in',
+        'offers.expired': 'A file offer expired and was declined',
+        'preflight.title': 'Ready to send',
+        'preflight.files': 'Files',
+        'preflight.totalSize': 'Total size',
+        'preflight.willSend': 'Will be sent',
+        'preflight.excluded': 'Excluded by the file limit',
+        'preflight.unreadable': 'Could not be read',
+        'preflight.filtered': 'Filtered out by folder patterns',
+        'preflight.more': 'more',
+        'preflight.continue': 'Send',
+        'preflight.raise': 'Send all this time',
+        'preflight.zip': 'Send as .zip',
+        'preflight.zipTooLarge': 'Too large to send as a single archive',
+        'preflight.zipping': 'Creating archive...',
+        'preflight.zipFailed': 'Could not create archive',
+        'preflight.cancel': 'Cancel',
         'clipboard.title': 'Clipboard Sync',
         'clipboard.autoSync': 'Auto-sync',
         'clipboard.noHistory': 'Clipboard history will appear here',
         'clipboard.from': 'From',
+        'clipboard.local': 'This device',
+        'clipboard.pin': 'Pin',
+        'clipboard.unpin': 'Unpin',
+        'clipboard.pinned': 'Pinned',
+        'clipboard.copyPlain': 'Copy as text',
+        'clipboard.copyRich': 'Copy as rich',
+        'clipboard.copied': 'Copied to clipboard',
+        'clipboard.copyFailed': 'Could not write to the clipboard',
+        'clipboard.tooLarge': 'Content too large to preview',
+        'clipboard.type.text': 'Text',
+        'clipboard.type.html': 'HTML',
+        'clipboard.type.rtf': 'Rich text',
+        'clipboard.type.image': 'Image',
+        'clipboard.type.files': 'Files',
+        'clipboard.search': 'Search clipboard history',
+        'clipboard.allPeers': 'All sources',
+        'clipboard.allTypes': 'All types',
+        'clipboard.clear': 'Clear history',
+        'clipboard.cleared': 'Clipboard history cleared',
+        'clipboard.noMatches': 'No clipboard items match these filters',
+        'clipboard.sensitive': 'Sensitive',
+        'clipboard.peers': 'Clipboard sync per device',
+        'clipboard.peerSend': 'Send',
+        'clipboard.peerReceive': 'Receive',
+        'clipboard.peerDevice': 'Device',
+        'clipboard.noPeers': 'Connect to a device to choose who shares your clipboard',
+        'clipboard.cardLabel': 'Clipboard',
+        'clipboard.push': 'Send to device',
+        'clipboard.pushPick': 'Which device should receive this clipboard item?',
+        'clipboard.pushed': 'Clipboard item sent to',
+        'clipboard.pushFailed': 'Could not send clipboard item',
+        'clipboard.reveal': 'Reveal',
+        'clipboard.hide': 'Hide',
+        'clipboard.expiresIn': 'Expires in',
+        'clipboard.blocked': 'Blocked a clipboard item',
+        'clipboard.openLink': 'Open link',
+        'compose.title': 'Send a snippet',
+        'compose.placeholder': 'Type or paste text, code or a link',
+        'compose.kind.auto': 'Detect kind',
+        'compose.kind.text': 'Text',
+        'compose.kind.code': 'Code',
+        'compose.kind.url': 'Link',
+        'compose.language.auto': 'Detect language',
+        'compose.openOnArrival': 'Open link on arrival',
+        'compose.send': 'Send',
+        'compose.recipients': 'Send to',
+        'compose.noConnected': 'Connect to a device to send snippets',
+        'compose.noRecipients': 'Select at least one connected device',
+        'compose.tooLarge': 'Snippet is too large; send it as a file instead',
+        'compose.recent': 'Recently sent',
+        'compose.status.sending': 'Sending',
+        'compose.status.sent': 'Sent',
+        'compose.status.acknowledged': 'Received',
+        'compose.status.failed': 'Failed',
+        'compose.sendFailed': 'Could not send snippet',
+        'compose.acknowledged': 'Snippet received by',
+        'compose.received': 'Snippet received from',
+        'compose.opened': 'Opened link from',
+        'compose.unsafeUrl': 'Only http and https links can be opened',
+        'privacy.reason.size': 'larger than the maximum size',
+        'privacy.reason.blocklist': 'matches a blocklist pattern',
+        'privacy.detector.creditCard': 'Credit card number',
+        'privacy.detector.awsKey': 'AWS access key',
+        'privacy.detector.githubToken': 'GitHub token',
+        'privacy.detector.slackToken': 'Slack token',
+        'privacy.detector.apiKey': 'API secret key',
+        'privacy.detector.privateKey': 'Private key',
+        'privacy.detector.jwt': 'JSON Web Token',
+        'privacy.detector.password': 'Password or secret assignment',
         'settings.title': 'Settings',
         'settings.language': 'Language',
         'settings.network': 'Network',
@@ -45,6 +315,17 @@ const i18n = {
         'settings.outboxDir': 'Outbox Directory',
         'settings.about': 'About',
         'settings.version': 'Version',
+        'settings.protocol': 'Protocol',
+        'settings.uiProtocol': 'UI protocol version',
+        'settings.hostProtocol': 'Host protocol version',
+        'settings.eventLog': 'Rejected backend events',
+        'settings.eventLogEmpty': 'No malformed or unknown events',
+        'settings.clearLog': 'Clear',
+        'settings.actionLog': 'State action log',
+        'settings.actionLogHint': 'Every change to peers, devices, transfers, offers, clipboard and history, in order. Export it to replay the exact state when reporting a bug. Sensitive clipboard items are left out.',
+        'settings.exportLog': 'Export',
+        'protocol.mismatch': 'The SyncBeam host and UI protocol versions differ. Some features may not work.',
+        'protocol.missing': 'The SyncBeam host did not report a protocol version.',
         'settings.networkStatus': 'Network Status',
         'settings.firewall': 'Firewall',
         'settings.upnp': 'UPnP Router',
@@ -55,6 +336,52 @@ const i18n = {
         'settings.runDiagnostics': 'Run Diagnostics',
         'settings.savePort': 'Save',
         'settings.currentPort': 'Current Port',
+        'settings.transfers': 'Transfers',
+        'settings.maxFiles': 'Maximum files per drop',
+        'settings.batchSize': 'Files queued per batch',
+        'settings.saveLimits': 'Save',
+        'settings.limitsSaved': 'Transfer limits saved',
+        'settings.concurrency': 'Concurrent sends',
+        'settings.limitsInvalid': 'Use 1-100000 files per drop, 1-500 files per batch and 1-10 concurrent sends',
+        'settings.retries': 'Automatic Retries',
+        'settings.maxAttempts': 'Maximum attempts per file',
+        'settings.retryDelay': 'First retry delay (seconds)',
+        'settings.retryHint': 'The delay doubles after every failed attempt, up to 5 minutes.',
+        'settings.retryOnReconnect': 'Only retry after the peer reconnects',
+        'settings.saveRetries': 'Save',
+        'settings.retriesSaved': 'Retry policy saved',
+        'settings.retriesInvalid': 'Use 1-10 attempts and a delay of 1-300 seconds',
+        'settings.knownDevices': 'Known Devices',
+        'settings.noKnownDevices': 'Devices you have connected to appear here',
+        'settings.clipboardHistory': 'Clipboard History',
+        'settings.retentionDays': 'Keep items for (days)',
+        'settings.maxClipboardItems': 'Maximum items',
+        'settings.maxClipboardSize': 'Maximum storage (MB)',
+        'settings.clipboardHint': 'Pinned items are never removed automatically.',
+        'settings.openLinks': 'Open links other devices send on arrival',
+        'settings.openLinksHint': 'Off: links from other devices wait in the clipboard history until you open them.',
+        'settings.saveClipboard': 'Save',
+        'settings.clipboardSaved': 'Clipboard history settings saved',
+        'settings.clipboardInvalid': 'Use 1-3650 days, 1-10000 items and 1-1024 MB',
+        'settings.clipboardPrivacy': 'Clipboard Privacy',
+        'settings.blocklist': 'Blocked patterns',
+        'settings.blocklistHint': 'One regular expression per line. Matching items are dropped.',
+        'settings.detectors': 'Mark as sensitive',
+        'settings.detectorsHint': 'Sensitive items are masked, never stored on disk and expire automatically.',
+        'settings.maxPayload': 'Maximum item size (KB)',
+        'settings.sensitiveExpiry': 'Sensitive items expire after (minutes)',
+        'settings.savePrivacy': 'Save',
+        'settings.privacySaved': 'Clipboard privacy rules saved',
+        'settings.privacyInvalid': 'Use 1-102400 KB and 1-1440 minutes',
+        'settings.invalidPattern': 'Invalid pattern',
+        'settings.folderFilters': 'Folder Filters',
+        'settings.includePatterns': 'Include patterns',
+        'settings.includeHint': 'One pattern per line. When set, only matching files are sent.',
+        'settings.excludePatterns': 'Exclude patterns',
+        'settings.excludeHint': 'gitignore syntax: node_modules/, *.log, /build, !keep.log',
+        'settings.useGitignore': "Honor the dropped folder's .gitignore",
+        'settings.saveFilters': 'Save',
+        'settings.filtersSaved': 'Folder filters saved',
         'settings.portSaved': 'Port saved',
         'settings.restartRequired': 'Restart SyncBeam for changes to take effect',
         'firewall.setupTitle': 'Firewall Configuration',
@@ -66,9 +393,12 @@ const i18n = {
     },
     es: {
         initializing: 'Iniciando...',
+        'bandwidth.upload': 'Subida',
+        'bandwidth.download': 'Descarga',
         'nav.peers': 'Dispositivos',
         'nav.transfers': 'Transferencias',
         'nav.clipboard': 'Portapapeles',
+        'nav.history': 'Historial',
         'nav.settings': 'Configuración',
         'peers.title': 'Dispositivos de Red',
         'peers.refresh': 'Actualizar',
@@ -82,6 +412,138 @@ const i18n = {
         'peers.connecting': 'Conectando...',
         'peers.noSyncBeam': 'Sin SyncBeam',
         'peers.hasSyncBeam': 'SyncBeam Listo',
+        'peers.noConnected': 'Conéctate a un dispositivo antes de enviar archivos',
+        'peers.pickTitle': 'Elige un dispositivo',
+        'peers.pickMessage': 'Hay varios dispositivos conectados. ¿Cuál debe recibir estos archivos?',
+        'peers.pickCancel': 'Cancelar',
+        'peers.trusted': 'De confianza',
+        'peers.blocked': 'Bloqueado',
+        'peers.edit': 'Editar',
+        'peers.blockedConnect': 'Este dispositivo está bloqueado. Desbloquéalo para conectar.',
+        'peers.blockedRefused': 'Conexión rechazada de un dispositivo bloqueado',
+        'peers.identityMismatch': 'Dispositivo rechazado: su clave no coincide con su ID',
+        'identity.title': 'Este dispositivo',
+        'identity.hint': 'Los demás dispositivos te reconocen por esta identidad. Compara la huella con la que ven ellos para asegurarte de que hablas con el dispositivo correcto.',
+        'identity.peerId': 'ID de par',
+        'identity.fingerprint': 'Huella de la clave pública',
+        'identity.copy': 'Copiar huella',
+        'identity.copied': 'Huella copiada',
+        'identity.close': 'Cerrar',
+        'profile.title': 'Detalles del dispositivo',
+        'profile.nickname': 'Apodo',
+        'profile.color': 'Color',
+        'profile.trust': 'Confianza',
+        'profile.trust.none': 'Sin definir',
+        'profile.trust.trusted': 'De confianza',
+        'profile.trust.blocked': 'Bloqueado',
+        'profile.trustHint': 'De confianza es solo una etiqueta; usa "Aceptar siempre" en una oferta para no tener que confirmar. Los dispositivos bloqueados no pueden conectarse, enviar archivos ni compartir el portapapeles.',
+        'profile.noFingerprint': 'Conéctate una vez a este dispositivo para conocer su huella',
+        'profile.save': 'Guardar',
+        'profile.cancel': 'Cancelar',
+        'profile.forget': 'Olvidar',
+        'profile.saved': 'Dispositivo actualizado',
+        'profile.verifiedOn': 'Verificado el',
+        'profile.notVerified': 'Aún no verificado',
+        'peers.verify': 'Verificar',
+        'peers.verified': 'Verificado',
+        'peers.keyChanged': 'Clave cambiada',
+        'peers.connectAddress': 'Conectar a Dirección',
+        'peers.bookmarked': 'Guardado',
+        'peers.removeBookmark': 'Quitar',
+        'peers.autoReconnect': 'Reconectar al iniciar',
+        'connect.title': 'Conectar a una dirección',
+        'connect.hint': 'Llega a un dispositivo SyncBeam que el escaneo no ve, por ejemplo en otra subred o a través de una VPN.',
+        'connect.host': 'Nombre de host o dirección IP',
+        'connect.port': 'Puerto',
+        'connect.saveBookmark': 'Guardar como marcador',
+        'connect.autoReconnect': 'Reconectar al iniciar',
+        'connect.cancel': 'Cancelar',
+        'connect.connect': 'Conectar',
+        'connect.connecting': 'Conectando...',
+        'connect.hostRequired': 'Introduce un nombre de host o una dirección IP',
+        'connect.invalidHost': 'No es un nombre de host ni una dirección IP válidos',
+        'connect.invalidPort': 'El puerto debe ser un número entre 1 y 65535',
+        'connect.failed': 'No se pudo conectar a esa dirección',
+        'connect.bookmarkRemoved': 'Marcador eliminado',
+        'peers.stale': 'No visto en el último escaneo',
+        'peers.noDevices': 'No se encontraron dispositivos',
+        'peers.noDevicesHint': 'Escanea la red o conéctate a una dirección para encontrar dispositivos.',
+        'scan.subnet': 'Subred',
+        'scan.allInterfaces': 'Todas las interfaces',
+        'scan.custom': 'Rango personalizado...',
+        'scan.keepResults': 'Conservar resultados anteriores',
+        'scan.cancel': 'Cancelar Escaneo',
+        'scan.progress': 'hosts sondeados',
+        'scan.found': 'encontrados',
+        'scan.cancelled': 'Escaneo cancelado',
+        'scan.completed': 'Escaneo completado',
+        'scan.failed': 'El escaneo falló',
+        'scan.invalidSubnet': 'Introduce un rango IPv4 como 192.168.10.0/24 (como máximo /20)',
+        'devices.search': 'Buscar nombre, IP o ID de par',
+        'devices.syncBeamOnly': 'Solo SyncBeam',
+        'devices.connectedOnly': 'Conectados',
+        'devices.groupBy': 'Agrupar por',
+        'devices.groupNone': 'Nada',
+        'devices.groupType': 'Tipo de dispositivo',
+        'devices.groupSubnet': 'Subred',
+        'devices.shown': 'dispositivos mostrados',
+        'devices.noMatches': 'Ningún dispositivo coincide con estos filtros',
+        'devices.clearFilters': 'Quitar filtros',
+        'devices.otherAddresses': 'Otras direcciones',
+        'deviceType.Unknown': 'Desconocido',
+        'deviceType.Computer': 'Ordenador',
+        'deviceType.Phone': 'Teléfono',
+        'deviceType.Tablet': 'Tableta',
+        'deviceType.Router': 'Router',
+        'deviceType.Printer': 'Impresora',
+        'deviceType.SmartTV': 'Smart TV',
+        'deviceType.GameConsole': 'Videoconsola',
+        'deviceType.SmartHome': 'Hogar inteligente',
+        'deviceType.Server': 'Servidor',
+        'inventory.grid': 'Cuadrícula',
+        'inventory.table': 'Inventario',
+        'inventory.search': 'Buscar nombre, IP, MAC, fabricante o ID de par',
+        'inventory.allDevices': 'Todos los dispositivos',
+        'inventory.online': 'En línea ahora',
+        'inventory.offline': 'Desconectados',
+        'inventory.syncbeam': 'Dispositivos SyncBeam',
+        'inventory.ipChanged': 'IP cambiada',
+        'inventory.clear': 'Vaciar Inventario',
+        'inventory.empty': 'Aún no hay dispositivos registrados. Escanea la red para llenar el inventario.',
+        'inventory.noMatches': 'Ningún dispositivo coincide con estos filtros',
+        'inventory.forget': 'Olvidar',
+        'inventory.randomizedMac': 'MAC aleatoria',
+        'inventory.previousIps': 'Direcciones anteriores',
+        'inventory.col.name': 'Nombre',
+        'inventory.col.ip': 'Dirección IP',
+        'inventory.col.macAddress': 'Dirección MAC',
+        'inventory.col.vendor': 'Fabricante',
+        'inventory.col.deviceType': 'Tipo',
+        'inventory.col.peerId': 'ID de Par',
+        'inventory.col.firstSeen': 'Visto por Primera Vez',
+        'inventory.col.lastSeen': 'Visto por Última Vez',
+        'verify.title': 'Verificar dispositivo',
+        'verify.hint': 'Abre este diálogo también en el otro dispositivo y compara los números, o escanea el código con él. Si coinciden, nadie está interceptando la conexión.',
+        'verify.numbers': 'Número de seguridad',
+        'verify.compared': 'Los números coinciden',
+        'verify.scanned': 'Código escaneado',
+        'verify.mismatch': 'No coinciden',
+        'verify.unverify': 'Quitar verificación',
+        'verify.cancel': 'Cancelar',
+        'verify.unavailable': 'Conéctate a este dispositivo para verificarlo',
+        'verify.done': 'Dispositivo verificado',
+        'verify.removed': 'Verificación eliminada',
+        'verify.mismatchBlocked': 'Dispositivo bloqueado porque los números de seguridad no coincidían',
+        'verify.method.compared': 'números comparados',
+        'verify.method.scanned': 'código escaneado',
+        'keyChange.title': 'La clave de seguridad cambió',
+        'keyChange.message': 'ahora responde con una clave distinta a la anterior. Puede que se haya reinstalado o que alguien lo esté suplantando. Verifícalo antes de enviar nada.',
+        'keyChange.previous': 'Huella anterior',
+        'keyChange.current': 'Huella nueva',
+        'keyChange.accept': 'Aceptar la nueva clave',
+        'keyChange.verify': 'Verificar ahora',
+        'keyChange.block': 'Bloquear dispositivo',
+        'keyChange.later': 'Decidir más tarde',
         'transfers.title': 'Transferencias',
         'transfers.dropTitle': 'Arrastra archivos aquí para enviar',
         'transfers.dropHint': 'o haz clic para buscar',
@@ -89,15 +551,150 @@ const i18n = {
         'transfers.selectFolder': 'Seleccionar Carpeta',
         'transfers.noActive': 'No hay transferencias activas',
         'transfers.cancel': 'Cancelar',
+        'transfers.sendTo': 'Enviar a',
+        'transfers.askEachTime': 'Preguntar cada vez',
+        'transfers.to': 'Para',
+        'transfers.from': 'De',
+        'transfers.files': 'archivos',
+        'transfers.failedCount': 'fallidos',
+        'transfers.skippedCount': 'omitidos',
+        'transfers.eta': 'Restante',
+        'transfers.retryFailed': 'Reintentar fallidos',
+        'transfers.cancelFolder': 'Cancelar carpeta completa',
         'transfers.status.pending': 'Esperando...',
         'transfers.status.sending': 'Enviando',
         'transfers.status.receiving': 'Recibiendo',
         'transfers.status.completed': 'Completado',
         'transfers.status.failed': 'Fallido',
+        'transfers.status.queued': 'En cola',
+        'transfers.status.paused': 'En pausa',
+        'transfers.status.retrying': 'Reintentando',
+        'transfers.retry': 'Reintentar ahora',
+        'transfers.retryAt': 'Próximo intento a las',
+        'transfers.waitingForPeer': 'Esperando a que el par se reconecte',
+        'transfers.attempts': 'Intentos',
+        'transfers.lastError': 'Último error',
+        'transfers.unknownError': 'Error desconocido',
+        'transfers.queue': 'Cola',
+        'transfers.queueHint': 'Arrastra para reordenar',
+        'transfers.pause': 'Pausar',
+        'transfers.resume': 'Reanudar',
+        'transfers.pauseAll': 'Pausar todo',
+        'transfers.resumeAll': 'Reanudar todo',
+        'transfers.moveToTop': 'Mover al principio',
+        'transfers.queuedFiles': 'archivos en cola',
+        'history.title': 'Historial de Transferencias',
+        'history.search': 'Buscar por nombre de archivo',
+        'history.allPeers': 'Todos los dispositivos',
+        'history.allStatuses': 'Todos los estados',
+        'history.from': 'Desde',
+        'history.to': 'Hasta',
+        'history.exportCsv': 'Exportar CSV',
+        'history.exportJson': 'Exportar JSON',
+        'history.clear': 'Borrar historial',
+        'history.empty': 'Ninguna transferencia coincide con estos filtros',
+        'history.sent': 'Enviado',
+        'history.received': 'Recibido',
+        'history.status.completed': 'Completado',
+        'history.status.failed': 'Fallido',
+        'history.status.cancelled': 'Cancelado',
+        'offers.title': 'Archivos entrantes',
+        'offers.from': 'De',
+        'offers.accept': 'Aceptar',
+        'offers.reject': 'Rechazar',
+        'offers.alwaysAccept': 'Aceptar siempre de este dispositivo',
+        'offers.acceptAll': 'Aceptar todos',
+        'offers.rejectAll': 'Rechazar todos',
+        'offers.expiresIn': 'Expira en',
+        'offers.expired': 'Una oferta de archivo expiró y fue rechazada',
+        'preflight.title': 'Listo para enviar',
+        'preflight.files': 'Archivos',
+        'preflight.totalSize': 'Tamaño total',
+        'preflight.willSend': 'Se enviarán',
+        'preflight.excluded': 'Excluidos por el límite de archivos',
+        'preflight.unreadable': 'No se pudieron leer',
+        'preflight.filtered': 'Filtrados por los patrones de carpeta',
+        'preflight.more': 'más',
+        'preflight.continue': 'Enviar',
+        'preflight.raise': 'Enviar todo esta vez',
+        'preflight.zip': 'Enviar como .zip',
+        'preflight.zipTooLarge': 'Demasiado grande para enviarlo como un solo archivo',
+        'preflight.zipping': 'Creando archivo comprimido...',
+        'preflight.zipFailed': 'No se pudo crear el archivo comprimido',
+        'preflight.cancel': 'Cancelar',
         'clipboard.title': 'Sincronización de Portapapeles',
         'clipboard.autoSync': 'Auto-sincronizar',
         'clipboard.noHistory': 'El historial del portapapeles aparecerá aquí',
         'clipboard.from': 'De',
+        'clipboard.local': 'Este dispositivo',
+        'clipboard.pin': 'Fijar',
+        'clipboard.unpin': 'Desfijar',
+        'clipboard.pinned': 'Fijado',
+        'clipboard.copyPlain': 'Copiar como texto',
+        'clipboard.copyRich': 'Copiar con formato',
+        'clipboard.copied': 'Copiado al portapapeles',
+        'clipboard.copyFailed': 'No se pudo escribir en el portapapeles',
+        'clipboard.tooLarge': 'Contenido demasiado grande para mostrarlo',
+        'clipboard.type.text': 'Texto',
+        'clipboard.type.html': 'HTML',
+        'clipboard.type.rtf': 'Texto enriquecido',
+        'clipboard.type.image': 'Imagen',
+        'clipboard.type.files': 'Archivos',
+        'clipboard.search': 'Buscar en el historial del portapapeles',
+        'clipboard.allPeers': 'Todos los orígenes',
+        'clipboard.allTypes': 'Todos los tipos',
+        'clipboard.clear': 'Borrar historial',
+        'clipboard.cleared': 'Historial del portapapeles borrado',
+        'clipboard.noMatches': 'Ningún elemento coincide con estos filtros',
+        'clipboard.sensitive': 'Sensible',
+        'clipboard.peers': 'Sincronización por dispositivo',
+        'clipboard.peerSend': 'Enviar',
+        'clipboard.peerReceive': 'Recibir',
+        'clipboard.peerDevice': 'Dispositivo',
+        'clipboard.noPeers': 'Conéctate a un dispositivo para elegir con quién compartir el portapapeles',
+        'clipboard.cardLabel': 'Portapapeles',
+        'clipboard.push': 'Enviar a dispositivo',
+        'clipboard.pushPick': '¿Qué dispositivo debe recibir este elemento?',
+        'clipboard.pushed': 'Elemento enviado a',
+        'clipboard.pushFailed': 'No se pudo enviar el elemento',
+        'clipboard.reveal': 'Mostrar',
+        'clipboard.hide': 'Ocultar',
+        'clipboard.expiresIn': 'Caduca en',
+        'clipboard.blocked': 'Se bloqueó un elemento del portapapeles',
+        'clipboard.openLink': 'Abrir enlace',
+        'compose.title': 'Enviar un fragmento',
+        'compose.placeholder': 'Escribe o pega texto, código o un enlace',
+        'compose.kind.auto': 'Detectar tipo',
+        'compose.kind.text': 'Texto',
+        'compose.kind.code': 'Código',
+        'compose.kind.url': 'Enlace',
+        'compose.language.auto': 'Detectar lenguaje',
+        'compose.openOnArrival': 'Abrir el enlace al llegar',
+        'compose.send': 'Enviar',
+        'compose.recipients': 'Enviar a',
+        'compose.noConnected': 'Conéctate a un dispositivo para enviar fragmentos',
+        'compose.noRecipients': 'Selecciona al menos un dispositivo conectado',
+        'compose.tooLarge': 'El fragmento es demasiado grande; envíalo como archivo',
+        'compose.recent': 'Enviados recientemente',
+        'compose.status.sending': 'Enviando',
+        'compose.status.sent': 'Enviado',
+        'compose.status.acknowledged': 'Recibido',
+        'compose.status.failed': 'Error',
+        'compose.sendFailed': 'No se pudo enviar el fragmento',
+        'compose.acknowledged': 'Fragmento recibido por',
+        'compose.received': 'Fragmento recibido de',
+        'compose.opened': 'Enlace abierto desde',
+        'compose.unsafeUrl': 'Solo se pueden abrir enlaces http y https',
+        'privacy.reason.size': 'supera el tamaño máximo',
+        'privacy.reason.blocklist': 'coincide con un patrón bloqueado',
+        'privacy.detector.creditCard': 'Número de tarjeta de crédito',
+        'privacy.detector.awsKey': 'Clave de acceso de AWS',
+        'privacy.detector.githubToken': 'Token de GitHub',
+        'privacy.detector.slackToken': 'Token de Slack',
+        'privacy.detector.apiKey': 'Clave secreta de API',
+        'privacy.detector.privateKey': 'Clave privada',
+        'privacy.detector.jwt': 'JSON Web Token',
+        'privacy.detector.password': 'Contraseña o secreto asignado',
         'settings.title': 'Configuración',
         'settings.language': 'Idioma',
         'settings.network': 'Red',
@@ -107,6 +704,17 @@ const i18n = {
         'settings.outboxDir': 'Directorio de Salida',
         'settings.about': 'Acerca de',
         'settings.version': 'Versión',
+        'settings.protocol': 'Protocolo',
+        'settings.uiProtocol': 'Versión de protocolo de la UI',
+        'settings.hostProtocol': 'Versión de protocolo del host',
+        'settings.eventLog': 'Eventos rechazados del backend',
+        'settings.eventLogEmpty': 'Sin eventos malformados o desconocidos',
+        'settings.clearLog': 'Limpiar',
+        'settings.actionLog': 'Registro de acciones de estado',
+        'settings.actionLogHint': 'Cada cambio de pares, dispositivos, transferencias, ofertas, portapapeles e historial, en orden. Expórtalo para reproducir el estado exacto al informar de un error. Los elementos sensibles del portapapeles se omiten.',
+        'settings.exportLog': 'Exportar',
+        'protocol.mismatch': 'Las versiones de protocolo del host y la UI de SyncBeam no coinciden. Algunas funciones pueden fallar.',
+        'protocol.missing': 'El host de SyncBeam no informó una versión de protocolo.',
         'settings.networkStatus': 'Estado de Red',
         'settings.firewall': 'Firewall',
         'settings.upnp': 'Router UPnP',
@@ -117,6 +725,52 @@ const i18n = {
         'settings.runDiagnostics': 'Diagnóstico',
         'settings.savePort': 'Guardar',
         'settings.currentPort': 'Puerto Actual',
+        'settings.transfers': 'Transferencias',
+        'settings.maxFiles': 'Máximo de archivos por envío',
+        'settings.batchSize': 'Archivos encolados por lote',
+        'settings.saveLimits': 'Guardar',
+        'settings.limitsSaved': 'Límites de transferencia guardados',
+        'settings.concurrency': 'Envíos simultáneos',
+        'settings.limitsInvalid': 'Usa 1-100000 archivos por envío, 1-500 archivos por lote y 1-10 envíos simultáneos',
+        'settings.retries': 'Reintentos Automáticos',
+        'settings.maxAttempts': 'Intentos máximos por archivo',
+        'settings.retryDelay': 'Espera antes del primer reintento (segundos)',
+        'settings.retryHint': 'La espera se duplica tras cada intento fallido, hasta 5 minutos.',
+        'settings.retryOnReconnect': 'Reintentar solo cuando el par se reconecte',
+        'settings.saveRetries': 'Guardar',
+        'settings.knownDevices': 'Dispositivos conocidos',
+        'settings.noKnownDevices': 'Aquí aparecen los dispositivos a los que te has conectado',
+        'settings.retriesSaved': 'Política de reintentos guardada',
+        'settings.retriesInvalid': 'Usa 1-10 intentos y una espera de 1-300 segundos',
+        'settings.clipboardHistory': 'Historial del Portapapeles',
+        'settings.retentionDays': 'Conservar elementos (días)',
+        'settings.maxClipboardItems': 'Elementos máximos',
+        'settings.maxClipboardSize': 'Almacenamiento máximo (MB)',
+        'settings.clipboardHint': 'Los elementos fijados nunca se eliminan automáticamente.',
+        'settings.openLinks': 'Abrir al llegar los enlaces que envían otros dispositivos',
+        'settings.openLinksHint': 'Desactivado: los enlaces de otros dispositivos esperan en el historial del portapapeles hasta que los abras.',
+        'settings.saveClipboard': 'Guardar',
+        'settings.clipboardSaved': 'Configuración del historial guardada',
+        'settings.clipboardInvalid': 'Usa 1-3650 días, 1-10000 elementos y 1-1024 MB',
+        'settings.clipboardPrivacy': 'Privacidad del Portapapeles',
+        'settings.blocklist': 'Patrones bloqueados',
+        'settings.blocklistHint': 'Una expresión regular por línea. Los elementos que coincidan se descartan.',
+        'settings.detectors': 'Marcar como sensible',
+        'settings.detectorsHint': 'Los elementos sensibles se ocultan, nunca se guardan en disco y caducan automáticamente.',
+        'settings.maxPayload': 'Tamaño máximo por elemento (KB)',
+        'settings.sensitiveExpiry': 'Los elementos sensibles caducan tras (minutos)',
+        'settings.savePrivacy': 'Guardar',
+        'settings.privacySaved': 'Reglas de privacidad guardadas',
+        'settings.privacyInvalid': 'Usa 1-102400 KB y 1-1440 minutos',
+        'settings.invalidPattern': 'Patrón no válido',
+        'settings.folderFilters': 'Filtros de Carpeta',
+        'settings.includePatterns': 'Patrones de inclusión',
+        'settings.includeHint': 'Un patrón por línea. Si hay alguno, solo se envían los archivos que coinciden.',
+        'settings.excludePatterns': 'Patrones de exclusión',
+        'settings.excludeHint': 'Sintaxis gitignore: node_modules/, *.log, /build, !keep.log',
+        'settings.useGitignore': 'Respetar el .gitignore de la carpeta',
+        'settings.saveFilters': 'Guardar',
+        'settings.filtersSaved': 'Filtros de carpeta guardados',
         'settings.portSaved': 'Puerto guardado',
         'settings.restartRequired': 'Reinicia SyncBeam para aplicar los cambios',
         'firewall.setupTitle': 'Configuración de Firewall',
@@ -128,1286 +782,7272 @@ const i18n = {
     }
 };
 
-class SyncBeamApp {
-    constructor() {
-        this.currentLang = localStorage.getItem('syncbeam-lang') || 'en';
-        this.state = {
-            localPeerId: null,
-            listenPort: null,
-            discoveredPeers: new Map(),
-            connectedPeers: new Map(),
-            networkDevices: new Map(),  // All devices on the network
-            transfers: [],
-            clipboardHistory: [],
-            isScanning: false
-        };
+// Version of the host <-> UI message protocol this UI understands
+const PROTOCOL_VERSION = 2;
+// From this version on the host echoes requestId on every RPC reply
+const RPC_REQUEST_ID_VERSION = 2;
+
+/*
+ * Expected payload shape for every backend event. A field is a type name
+ * ('string', 'number', 'boolean', 'array', 'object'); a trailing '?' makes it
+ * optional and nullable. Arrays may describe their items with { array: {...} }.
+ * Extra fields are always allowed.
+ */
+const EVENT_SCHEMAS = {
+    initialized: {
+        localPeerId: 'string', localFingerprint: 'string?', listenPort: 'number', protocolVersion: 'number?',
+        inboxPath: 'string?', outboxPath: 'string?',
+        firewallConfigured: 'boolean?', upnpAvailable: 'boolean?'
+    },
+    state: {
+        localPeerId: 'string', localFingerprint: 'string?', listenPort: 'number',
+        connectedPeers: { array: { peerId: 'string', isIncoming: 'boolean?', fingerprint: 'string?' } },
+        clipboardSyncEnabled: 'boolean?', networkSetupComplete: 'boolean?',
+        firewallConfigured: 'boolean?', upnpAvailable: 'boolean?', portMapped: 'boolean?',
+        natType: 'string?', publicEndpoint: 'string?', externalIp: 'string?'
+    },
+    settings: { listenPort: 'number', currentListenPort: 'number?' },
+    peerDiscovered: { peerId: 'string', endpoint: 'string?' },
+    peerConnected: { peerId: 'string', isIncoming: 'boolean?', fingerprint: 'string?' },
+    peerDisconnected: { peerId: 'string' },
+    peerConnectionFailed: { peerId: 'string?', errorMessage: 'string?' },
+    connectToIpResult: {
+        requestId: 'string?', success: 'boolean', ip: 'string?', port: 'number?',
+        peerId: 'string?', message: 'string?'
+    },
+    peerConnectivityResult: {
+        endpoint: 'string?', pingSuccessful: 'boolean?', pingLatency: 'number?',
+        tcpPortOpen: 'boolean?', udpReachable: 'boolean?', diagnosis: 'string?'
+    },
+    networkDevice: {
+        ip: 'string', hostname: 'string?', hasSyncBeam: 'boolean?', peerId: 'string?',
+        isConnected: 'boolean?', deviceType: 'string?', macAddress: 'string?', vendor: 'string?'
+    },
+    networkScanStarted: { scanId: 'number', subnets: 'array', total: 'number' },
+    networkScanProgress: { scanId: 'number', probed: 'number', total: 'number', found: 'number' },
+    networkScanCompleted: {
+        scanId: 'number?', subnets: 'array?', probed: 'number?', total: 'number?',
+        found: 'number?', cancelled: 'boolean?', error: 'string?'
+    },
+    scanSubnets: {
+        requestId: 'string?',
+        subnets: { array: { cidr: 'string', interfaceName: 'string?', localAddress: 'string?' } }
+    },
+    networkStatus: { component: 'string', status: 'string', message: 'string?' },
+    networkStatusFull: {
+        firewallConfigured: 'boolean?', upnpAvailable: 'boolean?', portMapped: 'boolean?',
+        natType: 'string?', publicEndpoint: 'string?', externalIp: 'string?',
+        localIp: 'string?', gatewayIp: 'string?', listenPort: 'number?'
+    },
+    setupProgress: { message: 'string?', percentComplete: 'number?' },
+    fileAnnounced: {
+        peerId: 'string', transferId: 'string', fileName: 'string', fileSize: 'number',
+        mimeType: 'string?'
+    },
+    fileDetected: { filePath: 'string', fileName: 'string?' },
+    transferReceiving: { peerId: 'string', transferId: 'string', name: 'string?', size: 'number?' },
+    transferStarted: { transferId: 'string' },
+    transferProgress: {
+        transferId: 'string', progress: 'number', fileName: 'string?', name: 'string?',
+        bytesTransferred: 'number?', totalBytes: 'number?', speed: 'number?', status: 'string?'
+    },
+    transferCompleted: {
+        transferId: 'string', fileName: 'string?', success: 'boolean?',
+        filePath: 'string?', errorMessage: 'string?'
+    },
+    transferFailed: { transferId: 'string', errorMessage: 'string?' },
+    clipboardReceived: {
+        peerId: 'string?', content: 'string?', type: 'string?',
+        contentType: 'string?', dataSize: 'number?', files: 'array?'
+    },
+    clipboardData: { peerId: 'string?', contentType: 'string?', size: 'number?' },
+    updateAvailable: {
+        currentVersion: 'string', latestVersion: 'string', releaseNotes: 'string?',
+        downloadUrl: 'string?', releaseUrl: 'string?'
+    },
+    firewallSetupRequired: { message: 'string?', port: 'number' },
+    firewallSetupResult: { success: 'boolean', message: 'string?' },
+    firewallConfigResult: { success: 'boolean', requiresElevation: 'boolean?', message: 'string?' },
+    firewallElevationRequired: { message: 'string?' },
+    upnpConfigResult: {
+        success: 'boolean', externalIp: 'string?', portMapped: 'boolean?', message: 'string?'
+    },
+    diagnosticsStarted: {},
+    diagnosticResult: {
+        portAvailable: 'boolean?', internetConnected: 'boolean?', internetLatency: 'number?',
+        dnsWorking: 'boolean?', stunSuccess: 'boolean?', publicEndpoint: 'string?',
+        natType: 'string?', upnpFound: 'boolean?', upnpExternalIp: 'string?',
+        gatewayAddress: 'string?', firewallConfigured: 'boolean?', firewallEnabled: 'boolean?',
+        isAdmin: 'boolean?', recommendations: 'array?', interfaces: 'array?', duration: 'number?'
+    },
+    portSaveResult: { success: 'boolean', port: 'number?', needsRestart: 'boolean?', message: 'string?' },
+    clipboardPushResult: { success: 'boolean', peerId: 'string?', message: 'string?' },
+    snippetReceived: {
+        peerId: 'string', snippetId: 'string', kind: 'string', content: 'string',
+        language: 'string?', openOnArrival: 'boolean?', timestamp: 'number?'
+    },
+    snippetAcknowledged: { peerId: 'string', snippetId: 'string' },
+    snippetSendResult: {
+        success: 'boolean', snippetId: 'string?', sent: 'array?', failed: 'array?', message: 'string?'
+    }
+};
 
-        this.init();
+/**
+ * Checks a payload against an EVENT_SCHEMAS entry.
+ * Returns a list of problems; an empty list means the payload is valid.
+ */
+function validatePayload(schema, value, path = 'data') {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${path} is not an object`];
     }
 
-    init() {
-        this.applyLanguage(this.currentLang);
-        this.setupNavigation();
-        this.setupDropZone();
-        this.setupEventListeners();
-        this.setupLanguageSelector();
-        this.setupSyncBeamBridge();
+    const problems = [];
+    for (const [field, rule] of Object.entries(schema)) {
+        const fieldPath = `${path}.${field}`;
+        const fieldValue = value[field];
 
-        setTimeout(() => {
-            this.sendToBackend('getState', {});
-            this.sendToBackend('getSettings', {});
-        }, 500);
+        if (typeof rule === 'object') {
+            if (!Array.isArray(fieldValue)) {
+                problems.push(`${fieldPath} should be an array`);
+                continue;
+            }
+            fieldValue.forEach((item, i) => {
+                problems.push(...validatePayload(rule.array, item, `${fieldPath}[${i}]`));
+            });
+            continue;
+        }
+
+        const optional = rule.endsWith('?');
+        const type = optional ? rule.slice(0, -1) : rule;
+
+        if (fieldValue === undefined || fieldValue === null) {
+            if (!optional) problems.push(`${fieldPath} is missing`);
+            continue;
+        }
+
+        const actual = Array.isArray(fieldValue) ? 'array' : typeof fieldValue;
+        if (actual !== type) {
+            problems.push(`${fieldPath} should be ${type}, got ${actual}`);
+        }
     }
+    return problems;
+}
 
-    // i18n
-    t(key) {
-        return i18n[this.currentLang][key] || i18n['en'][key] || key;
+// Retention for the stored clipboard history; pinned items are exempt
+const DEFAULT_CLIPBOARD_SETTINGS = { retentionDays: 30, maxItems: 50, maxSizeMb: 50, openLinksOnArrival: false };
+
+// Built-in detectors for secrets that should never sit in the clipboard history
+const SECRET_DETECTORS = [
+    { id: 'creditCard', pattern: /(?:\d[ -]?){12,18}\d/g, validate: match => luhnValid(match.replace(/\D/g, '')) },
+    { id: 'awsKey', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { id: 'githubToken', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+    { id: 'slackToken', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+    { id: 'apiKey', pattern: /\b(?:[sr]k_(?:live|test)_[A-Za-z0-9]{16,}|sk-[A-Za-z0-9_-]{20,})/g },
+    { id: 'privateKey', pattern: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----/g },
+    { id: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+    { id: 'password', pattern: /\b(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token)\s*[:=]\s*\S{4,}/gi }
+];
+
+const DEFAULT_CLIPBOARD_PRIVACY = {
+    blocklist: '',
+    detectors: SECRET_DETECTORS.map(d => d.id),
+    maxPayloadKb: 10240,
+    sensitiveExpiryMinutes: 5
+};
+
+function luhnValid(digits) {
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits[digits.length - 1 - i], 10);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
     }
+    return sum % 10 === 0;
+}
 
-    applyLanguage(lang) {
-        this.currentLang = lang;
-        localStorage.setItem('syncbeam-lang', lang);
-        document.documentElement.lang = lang;
+/**
+ * Runs the clipboard privacy rules over an item's text and size.
+ * Returns `{ action: 'allow' | 'block' | 'sensitive', reason }`.
+ */
+function evaluateClipboardPrivacy(text, size, rules) {
+    if (size > rules.maxBytes) {
+        return { action: 'block', reason: 'size' };
+    }
+    if (rules.blocklist.some(pattern => pattern.test(text))) {
+        return { action: 'block', reason: 'blocklist' };
+    }
 
-        document.querySelectorAll('[data-i18n]').forEach(el => {
-            const key = el.getAttribute('data-i18n');
-            el.textContent = this.t(key);
-        });
+    for (const detector of SECRET_DETECTORS) {
+        if (!rules.detectors.includes(detector.id)) continue;
+        for (const match of text.matchAll(detector.pattern)) {
+            if (!detector.validate || detector.validate(match[0])) {
+                return { action: 'sensitive', reason: detector.id };
+            }
+        }
+    }
+    return { action: 'allow', reason: null };
+}
 
-        document.querySelectorAll('.lang-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.lang === lang);
-        });
+function compileBlocklist(text) {
+    const patterns = [];
+    const invalid = [];
+    text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+        try {
+            patterns.push(new RegExp(line, 'i'));
+        } catch (e) {
+            invalid.push(line);
+        }
+    });
+    return { patterns, invalid };
+}
 
-        this.renderPeers();
+/**
+ * IndexedDB-backed clipboard history. When IndexedDB is unavailable every
+ * method still resolves, and the history just lives in memory.
+ */
+class ClipboardStore {
+    constructor(dbName = 'syncbeam-clipboard', storeName = 'items') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.ready = this.open();
     }
 
-    setupLanguageSelector() {
-        document.querySelectorAll('.lang-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                this.applyLanguage(btn.dataset.lang);
-            });
+    open() {
+        return new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Clipboard history will not be persisted:', request.error);
+                resolve(null);
+            };
         });
     }
 
-    setupNavigation() {
-        const navItems = document.querySelectorAll('.nav-item[data-view]');
-        navItems.forEach(item => {
-            item.addEventListener('click', () => {
-                const viewId = item.dataset.view;
-                this.switchView(viewId);
+    async run(mode, operation) {
+        const db = await this.ready;
+        if (!db) return null;
 
-                navItems.forEach(n => n.classList.remove('active'));
-                item.classList.add('active');
-            });
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : null);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
         });
     }
 
-    switchView(viewId) {
-        document.querySelectorAll('.view').forEach(v => v.classList.remove('active'));
-        const view = document.getElementById(`${viewId}View`);
-        if (view) {
-            view.classList.add('active');
-        }
+    async getAll() {
+        return (await this.run('readonly', store => store.getAll())) || [];
     }
 
-    setupDropZone() {
-        const dropZone = document.getElementById('dropZone');
-        const fileInput = document.getElementById('fileInput');
-        const folderInput = document.getElementById('folderInput');
-        const selectFilesBtn = document.getElementById('selectFilesBtn');
-        const selectFolderBtn = document.getElementById('selectFolderBtn');
+    put(item) {
+        return this.run('readwrite', store => store.put(item));
+    }
 
-        if (!dropZone || !fileInput) return;
+    delete(ids) {
+        return this.run('readwrite', store => {
+            ids.forEach(id => store.delete(id));
+        });
+    }
 
-        // File selection button
-        if (selectFilesBtn) {
-            selectFilesBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                fileInput.click();
-            });
-        }
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+}
 
-        // Folder selection button
-        if (selectFolderBtn && folderInput) {
-            selectFolderBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                folderInput.click();
-            });
-        }
+// Allowlist for clipboard HTML previews. Tags outside it are unwrapped to
+// their text, except active content, which is dropped with its children.
+const SAFE_HTML_TAGS = new Set([
+    'a', 'b', 'strong', 'i', 'em', 'u', 's', 'p', 'br', 'div', 'span', 'ul', 'ol', 'li',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'code', 'blockquote', 'hr', 'sub', 'sup',
+    'small', 'mark', 'table', 'thead', 'tbody', 'tr', 'td', 'th', 'img'
+]);
+const DROPPED_HTML_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'form',
+    'input', 'button', 'textarea', 'select', 'link', 'meta', 'base', 'template', 'noscript',
+    'svg', 'math', 'video', 'audio', 'head', 'title'
+]);
+const SAFE_HTML_ATTRIBUTES = new Set(['alt', 'title', 'colspan', 'rowspan']);
+
+function sanitizeHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    const clean = (parent) => {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
 
-        dropZone.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            dropZone.classList.add('dragover');
-        });
+            const tag = node.tagName.toLowerCase();
+            if (DROPPED_HTML_TAGS.has(tag)) {
+                node.remove();
+                return;
+            }
 
-        dropZone.addEventListener('dragleave', () => {
-            dropZone.classList.remove('dragover');
-        });
+            clean(node);
+            if (!SAFE_HTML_TAGS.has(tag)) {
+                node.replaceWith(...node.childNodes);
+                return;
+            }
 
-        dropZone.addEventListener('drop', (e) => {
-            e.preventDefault();
-            dropZone.classList.remove('dragover');
+            const src = node.getAttribute('src') || '';
+            const href = node.getAttribute('href') || '';
+            Array.from(node.attributes).forEach(attr => {
+                if (!SAFE_HTML_ATTRIBUTES.has(attr.name.toLowerCase())) {
+                    node.removeAttribute(attr.name);
+                }
+            });
 
-            // Handle dropped items (files and folders)
-            const items = e.dataTransfer.items;
-            if (items) {
-                this.handleDroppedItems(items);
-            } else {
-                const files = Array.from(e.dataTransfer.files);
-                this.handleFiles(files);
+            // Previews never load remote content or navigate the app;
+            // link targets are only shown as a tooltip
+            if (tag === 'img' && /^data:image\//i.test(src.trim())) {
+                node.setAttribute('src', src.trim());
+            }
+            if (tag === 'a' && /^(https?:|mailto:)/i.test(href.trim())) {
+                node.setAttribute('title', href.trim());
             }
         });
+    };
 
-        fileInput.addEventListener('change', (e) => {
-            const files = Array.from(e.target.files);
-            this.handleFiles(files);
-            fileInput.value = '';
-        });
-
-        // Folder input
-        if (folderInput) {
-            folderInput.addEventListener('change', (e) => {
-                const files = Array.from(e.target.files);
-                this.handleFilesInBatches(files, true);
-                folderInput.value = '';
-            });
-        }
-    }
+    clean(doc.body);
+    return doc.body.innerHTML;
+}
 
-    async handleFilesInBatches(files, preservePath = false) {
-        const MAX_FILES_PER_BATCH = 50;
-        const MAX_TOTAL_FILES = 1000;
+function htmlToText(html) {
+    return new DOMParser().parseFromString(html, 'text/html').body.textContent || '';
+}
 
-        const totalToProcess = Math.min(files.length, MAX_TOTAL_FILES);
+// Windows puts a "Version:0.9 StartHTML:..." header in front of CF_HTML data
+function extractHtmlFragment(text) {
+    if (!/^Version:\d/.test(text)) return text;
 
-        for (let i = 0; i < totalToProcess; i += MAX_FILES_PER_BATCH) {
-            const batch = files.slice(i, i + MAX_FILES_PER_BATCH);
-            this.handleFiles(batch, preservePath);
+    const start = text.indexOf('<!--StartFragment-->');
+    const end = text.indexOf('<!--EndFragment-->');
+    if (start !== -1 && end > start) {
+        return text.slice(start + '<!--StartFragment-->'.length, end);
+    }
+    const firstTag = text.indexOf('<');
+    return firstTag === -1 ? '' : text.slice(firstTag);
+}
 
-            // Small delay to let UI update
-            if (i + MAX_FILES_PER_BATCH < totalToProcess) {
-                await new Promise(r => setTimeout(r, 10));
-            }
+// Plain-text rendering of RTF: drops header tables and other destination
+// groups, decodes escapes and turns paragraph marks into newlines
+function rtfToText(rtf) {
+    const skippedGroup = /^\\(\*|fonttbl|colortbl|stylesheet|info|pict|themedata|datastore|latentstyles)/;
+    let text = '';
+    let depth = 0;
+    let skipDepth = 0;
+
+    for (let i = 0; i < rtf.length; i++) {
+        const ch = rtf[i];
+
+        if (ch === '{') {
+            depth++;
+            if (!skipDepth && skippedGroup.test(rtf.slice(i + 1, i + 24))) skipDepth = depth;
+            continue;
+        }
+        if (ch === '}') {
+            if (skipDepth === depth) skipDepth = 0;
+            depth--;
+            continue;
+        }
+        if (skipDepth || ch === '\r' || ch === '\n') continue;
+        if (ch !== '\\') {
+            text += ch;
+            continue;
         }
 
-        if (files.length > MAX_TOTAL_FILES) {
-            console.warn(`File limit reached (${MAX_TOTAL_FILES}). ${files.length - MAX_TOTAL_FILES} files were not included.`);
+        const match = /^\\(?:([a-z]+)(-?\d+)? ?|'([0-9a-f]{2})|([\s\S]))/i.exec(rtf.slice(i, i + 40));
+        if (!match) continue;
+        i += match[0].length - 1;
+
+        const [, word, param, hex, symbol] = match;
+        if (hex) {
+            text += String.fromCharCode(parseInt(hex, 16));
+        } else if (symbol) {
+            if ('\\{}'.includes(symbol)) text += symbol;
+        } else if (word === 'par' || word === 'line') {
+            text += '\n';
+        } else if (word === 'tab') {
+            text += '\t';
+        } else if (word === 'u' && param) {
+            const code = parseInt(param, 10);
+            text += String.fromCharCode(code < 0 ? code + 65536 : code);
+            // Skip the ANSI fallback character that follows \uN
+            if (rtf[i + 1] && rtf[i + 1] !== '\\' && rtf[i + 1] !== '{' && rtf[i + 1] !== '}') i++;
         }
     }
+    return text.trim();
+}
 
-    async handleDroppedItems(items) {
-        const entries = [];
+// Wraps an HTML fragment in the CF_HTML header Windows applications expect.
+// Offsets are byte positions in the UTF-8 encoded result.
+function buildCfHtml(fragment) {
+    const prefix = '<html><body><!--StartFragment-->';
+    const suffix = '<!--EndFragment--></body></html>';
+    const header = 'Version:0.9\r\nStartHTML:0000000000\r\nEndHTML:0000000000\r\n' +
+        'StartFragment:0000000000\r\nEndFragment:0000000000\r\n';
+    const bytes = text => new TextEncoder().encode(text).length;
+    const pad = n => String(n).padStart(10, '0');
+
+    const startHtml = bytes(header);
+    const startFragment = startHtml + bytes(prefix);
+    const endFragment = startFragment + bytes(fragment);
+    const endHtml = endFragment + bytes(suffix);
+
+    return header
+        .replace('StartHTML:0000000000', `StartHTML:${pad(startHtml)}`)
+        .replace('EndHTML:0000000000', `EndHTML:${pad(endHtml)}`)
+        .replace('StartFragment:0000000000', `StartFragment:${pad(startFragment)}`)
+        .replace('EndFragment:0000000000', `EndFragment:${pad(endFragment)}`) +
+        prefix + fragment + suffix;
+}
 
-        for (const item of items) {
-            if (item.kind === 'file') {
-                const entry = item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
-                if (entry) {
-                    entries.push(entry);
-                }
-            }
-        }
+function dataUrlToBlob(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const type = /^data:([^;]+)/.exec(header)?.[1] || 'application/octet-stream';
+    const bytes = atob(base64 || '');
+    const buffer = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) buffer[i] = bytes.charCodeAt(i);
+    return new Blob([buffer], { type });
+}
+
+function escapeMarkup(text) {
+    // Quotes are escaped too so the result is safe inside attributes
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text ?? '').replace(/[&<>"']/g, c => entities[c]);
+}
 
-        // Process entries in batches
-        this.processEntriesInBatches(entries);
+// Languages the snippet highlighter knows. Each one lists the token patterns
+// it needs; patterns must only use non-capturing groups.
+const C_STYLE_COMMENT = /\/\/[^\n]*|\/\*[\s\S]*?\*\//;
+const QUOTED_STRING = /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/;
+const JS_KEYWORDS = 'async await break case catch class const continue default delete do else export extends ' +
+    'false finally for function if import in instanceof let new null of return static super switch this throw ' +
+    'true try typeof undefined var void while yield';
+const CODE_LANGUAGES = {
+    javascript: {
+        label: 'JavaScript',
+        comment: C_STYLE_COMMENT,
+        string: /`(?:\\[\s\S]|[^`\\])*`|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/,
+        keywords: JS_KEYWORDS
+    },
+    typescript: {
+        label: 'TypeScript',
+        comment: C_STYLE_COMMENT,
+        string: /`(?:\\[\s\S]|[^`\\])*`|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/,
+        keywords: JS_KEYWORDS + ' abstract any as boolean enum implements interface keyof namespace never number ' +
+            'private protected public readonly string type unknown'
+    },
+    python: {
+        label: 'Python',
+        comment: /#[^\n]*/,
+        string: /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/,
+        keywords: 'and as assert async await break class continue def del elif else except False finally for ' +
+            'from global if import in is lambda None nonlocal not or pass raise return self True try while with yield'
+    },
+    csharp: {
+        label: 'C#',
+        comment: C_STYLE_COMMENT,
+        string: /@"(?:""|[^"])*"|\$?"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/,
+        keywords: 'abstract async await base bool break case catch class const continue default do double else ' +
+            'enum false finally for foreach if in int interface internal is long namespace new null object out ' +
+            'override private protected public readonly record return sealed static string struct switch this ' +
+            'throw true try using var virtual void while'
+    },
+    json: {
+        label: 'JSON',
+        string: /"(?:\\.|[^"\\\n])*"/,
+        keywords: 'true false null'
+    },
+    bash: {
+        label: 'Bash',
+        comment: /#[^\n]*/,
+        string: QUOTED_STRING,
+        keywords: 'case do done echo elif else esac exit export fi for function if in local read return then until while'
+    },
+    sql: {
+        label: 'SQL',
+        comment: /--[^\n]*|\/\*[\s\S]*?\*\//,
+        string: /'(?:''|[^'])*'/,
+        keywords: 'add all alter and as asc between by case create delete desc distinct drop else end exists from ' +
+            'group having in index inner insert into is join key left like limit not null on or order outer primary ' +
+            'right select set table then union update values when where',
+        ignoreCase: true
+    },
+    css: {
+        label: 'CSS',
+        comment: /\/\*[\s\S]*?\*\//,
+        string: QUOTED_STRING,
+        keywords: 'auto important inherit initial none'
+    },
+    html: {
+        label: 'HTML',
+        comment: /<!--[\s\S]*?-->/,
+        string: QUOTED_STRING,
+        // Tag names stand in for keywords
+        keywordPattern: /<\/?[A-Za-z][\w-]*|\/?>/
     }
+};
 
-    async processEntriesInBatches(entries) {
-        const MAX_FILES_PER_BATCH = 50;
-        const MAX_TOTAL_FILES = 1000;
-        let totalFiles = 0;
-        let batch = [];
+const codeTokenizers = new Map();
+
+function getCodeTokenizer(language) {
+    if (!codeTokenizers.has(language)) {
+        const lang = CODE_LANGUAGES[language];
+        const keyword = lang.keywordPattern
+            ? lang.keywordPattern.source
+            : `\\b(?:${lang.keywords.split(' ').join('|')})\\b`;
+        const parts = [
+            lang.comment && `(?<comment>${lang.comment.source})`,
+            `(?<string>${lang.string.source})`,
+            `(?<keyword>${keyword})`,
+            '(?<number>\\b(?:0x[\\da-fA-F]+|\\d+(?:\\.\\d+)?)\\b)'
+        ].filter(Boolean);
+        codeTokenizers.set(language, new RegExp(parts.join('|'), lang.ignoreCase ? 'gi' : 'g'));
+    }
+    return codeTokenizers.get(language);
+}
 
-        const processFile = async (entry, path) => {
-            if (totalFiles >= MAX_TOTAL_FILES) {
-                return false;
-            }
+// Returns escaped HTML with comments, strings, keywords and numbers wrapped
+// in tok-* spans. Unknown languages are escaped without highlighting.
+function highlightCode(code, language) {
+    if (!CODE_LANGUAGES[language]) return escapeMarkup(code);
+
+    let html = '';
+    let last = 0;
+    for (const match of code.matchAll(getCodeTokenizer(language))) {
+        const kind = Object.keys(match.groups).find(group => match.groups[group] !== undefined);
+        html += escapeMarkup(code.slice(last, match.index));
+        html += `<span class="tok-${kind}">${escapeMarkup(match[0])}</span>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeMarkup(code.slice(last));
+}
 
-            try {
-                const file = await new Promise((resolve, reject) => {
-                    entry.file(resolve, reject);
-                });
-                file.relativePath = path + file.name;
-                batch.push(file);
-                totalFiles++;
-
-                if (batch.length >= MAX_FILES_PER_BATCH) {
-                    this.handleFiles([...batch], true);
-                    batch = [];
-                    // Small delay to let UI breathe
-                    await new Promise(r => setTimeout(r, 10));
-                }
-                return true;
-            } catch (e) {
-                console.warn('Could not read file:', path + entry.name);
-                return true;
-            }
-        };
+// Best-effort guess used when the sender leaves the language on "detect".
+// Order matters: the more distinctive languages are checked first.
+function detectCodeLanguage(code) {
+    const text = code.trim();
+    if (/^[[{]/.test(text)) {
+        try {
+            JSON.parse(text);
+            return 'json';
+        } catch (e) {
+            // Not JSON; keep looking
+        }
+    }
+    if (/^<(?:!doctype|[a-z][\w-]*)[\s>/]/i.test(text)) return 'html';
+    if (/^\s*(?:def \w+\(.*\)|class \w+(?:\(.*\))?)\s*(?:->.*)?:\s*$/m.test(text) ||
+        /^\s*from [\w.]+ import \w/m.test(text)) return 'python';
+    if (/\b(?:using System|namespace [\w.]+|public (?:static |sealed |partial )*(?:class|record|struct|async Task))\b/.test(text)) {
+        return 'csharp';
+    }
+    if (/^\s*(?:SELECT\b[\s\S]+\bFROM|INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM|CREATE\s+TABLE|ALTER\s+TABLE)\b/i.test(text)) {
+        return 'sql';
+    }
+    if (/^#!.*\b(?:ba|z)?sh\b/.test(text) ||
+        /^\s*(?:sudo|apt(?:-get)?|brew|npm|git|cd|export|echo|curl|chmod|mkdir)\s/m.test(text)) return 'bash';
+    if (/\b(?:interface \w+|type \w+\s*=)|:\s*(?:string|number|boolean|void)\b/.test(text)) return 'typescript';
+    if (/\b(?:const|let|var) \w+\s*=|\bfunction\b|=>|\bconsole\.\w+\(|\brequire\(|^\s*(?:import|export)\b/m.test(text)) {
+        return 'javascript';
+    }
+    if (/^[^{}\n]*\{[^{}]*[\w-]+\s*:\s*[^;{}]+;[^{}]*\}/m.test(text)) return 'css';
+    return null;
+}
 
-        const processDirectory = async (dirEntry, path) => {
-            if (totalFiles >= MAX_TOTAL_FILES) {
-                return;
-            }
+const SNIPPET_KINDS = ['text', 'code', 'url'];
 
-            const reader = dirEntry.createReader();
-            let allEntries = [];
+function detectSnippetKind(text) {
+    const trimmed = text.trim();
+    if (/^https?:\/\/\S+$/i.test(trimmed)) return 'url';
+    if (detectCodeLanguage(trimmed)) return 'code';
 
-            // readEntries may not return all entries at once
-            const readAllEntries = async () => {
-                const entries = await new Promise((resolve, reject) => {
-                    reader.readEntries(resolve, reject);
-                });
-                if (entries.length > 0) {
-                    allEntries = allEntries.concat(entries);
-                    await readAllEntries();
-                }
-            };
+    // Mostly lines ending in braces or semicolons reads as code in any language
+    const lines = trimmed.split('\n');
+    const codeLines = lines.filter(line => /[{};]\s*$/.test(line)).length;
+    return lines.length > 1 && codeLines >= lines.length / 2 ? 'code' : 'text';
+}
 
-            try {
-                await readAllEntries();
-            } catch (e) {
-                console.warn('Could not read directory:', path);
-                return;
-            }
+// Avatar colors offered for peers; the default one is picked from the peer ID
+const PEER_COLORS = [
+    '#4747b5', '#0ea5e9', '#14b8a6', '#22c55e', '#eab308',
+    '#f97316', '#ef4444', '#ec4899', '#a855f7', '#64748b'
+];
 
-            for (const subEntry of allEntries) {
-                if (totalFiles >= MAX_TOTAL_FILES) break;
+// Groups a hex fingerprint in blocks of four so it can be read aloud
+function formatFingerprint(hex) {
+    return (hex || '').match(/.{1,4}/g)?.join(' ') || '';
+}
 
-                if (subEntry.isFile) {
-                    await processFile(subEntry, path + dirEntry.name + '/');
-                } else if (subEntry.isDirectory) {
-                    await processDirectory(subEntry, path + dirEntry.name + '/');
-                }
+// A peer ID is the first half of the SHA-256 fingerprint of the peer's key
+function fingerprintMatchesPeerId(peerId, fingerprint) {
+    return typeof fingerprint === 'string' && fingerprint.toLowerCase().startsWith(peerId.toLowerCase());
+}
+
+// Safety numbers are six groups of five digits, like a phone number to read aloud
+const SAFETY_NUMBER_GROUPS = 6;
+
+/**
+ * Derives the safety number two devices compare to verify each other. The
+ * fingerprints are sorted so both sides compute the same digits.
+ */
+async function computeSafetyNumber(fingerprintA, fingerprintB) {
+    const [first, second] = [fingerprintA, fingerprintB].sort();
+    const input = new TextEncoder().encode(`syncbeam-verify:${first}:${second}`);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+
+    const groups = [];
+    for (let i = 0; i < SAFETY_NUMBER_GROUPS; i++) {
+        const view = new DataView(digest.buffer, i * 4, 4);
+        groups.push(String(view.getUint32(0) % 100000).padStart(5, '0'));
+    }
+    return groups;
+}
+
+/*
+ * Minimal QR code encoder used by the device verification dialog: byte mode,
+ * error correction level M, versions 1-10. Follows ISO/IEC 18004.
+ */
+const QR_MAX_VERSION = 10;
+const QR_ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const QR_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+class QrCode {
+    /**
+     * Encodes text in the smallest version that fits. Throws when the text
+     * does not fit in version 10.
+     */
+    static encode(text) {
+        const data = Array.from(new TextEncoder().encode(text));
+        for (let version = 1; version <= QR_MAX_VERSION; version++) {
+            const capacityBits = QrCode.getNumDataCodewords(version) * 8;
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + data.length * 8 <= capacityBits) {
+                return new QrCode(version, QrCode.buildDataCodewords(data, countBits, capacityBits));
             }
+        }
+        throw new Error('Text too long for a QR code');
+    }
+
+    static buildDataCodewords(data, countBits, capacityBits) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
         };
 
-        // Process all entries
-        for (const entry of entries) {
-            if (totalFiles >= MAX_TOTAL_FILES) break;
+        append(0b0100, 4);  // Byte mode
+        append(data.length, countBits);
+        data.forEach(b => append(b, 8));
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) append(pad, 8);
 
-            if (entry.isFile) {
-                await processFile(entry, '');
-            } else if (entry.isDirectory) {
-                await processDirectory(entry, '');
-            }
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
         }
+        return codewords;
+    }
 
-        // Send remaining batch
-        if (batch.length > 0) {
-            this.handleFiles(batch, true);
+    static getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
         }
+        return result;
+    }
+
+    static getNumDataCodewords(version) {
+        return Math.floor(QrCode.getNumRawDataModules(version) / 8) -
+            QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ERROR_CORRECTION_BLOCKS[version];
+    }
 
-        // Warn if limit reached
-        if (totalFiles >= MAX_TOTAL_FILES) {
-            console.warn(`File limit reached (${MAX_TOTAL_FILES}). Some files may not be included.`);
+    constructor(version, dataCodewords) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addEccAndInterleave(dataCodewords));
+
+        // Keep the mask with the lowest penalty score
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.getPenaltyScore();
+            if (!best || penalty < best.penalty) best = { mask, penalty };
+            this.applyMask(mask);  // XOR again to undo
         }
+        this.applyMask(best.mask);
+        this.drawFormatBits(best.mask);
     }
 
-    async processEntry(entry, files, path = '') {
-        // Kept for compatibility but not used for drag & drop anymore
-        if (entry.isFile) {
-            try {
-                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
-                file.relativePath = path + file.name;
-                files.push(file);
-            } catch (e) {
-                console.warn('Could not read file:', path + entry.name);
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const size = this.size;
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const xx = x + dx;
+                    const yy = y + dy;
+                    if (xx >= 0 && xx < size && yy >= 0 && yy < size) {
+                        this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                    }
+                }
             }
-        } else if (entry.isDirectory) {
-            const reader = entry.createReader();
-            try {
-                const entries = await new Promise((resolve, reject) => {
-                    reader.readEntries(resolve, reject);
-                });
-                for (const subEntry of entries) {
-                    await this.processEntry(subEntry, files, path + entry.name + '/');
+        });
+
+        const positions = this.getAlignmentPatternPositions();
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                // The three finder corners have no alignment pattern
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
                 }
-            } catch (e) {
-                console.warn('Could not read directory:', path + entry.name);
+            });
+        });
+
+        // Reserve the format areas now; the real bits are drawn per mask
+        this.drawFormatBits(0);
+
+        if (this.version >= 7) {
+            let rem = this.version;
+            for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+            const bits = (this.version << 12) | rem;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(a, b, dark);
+                this.setFunctionModule(b, a, dark);
             }
         }
     }
 
-    handleFiles(files, preservePath = false) {
-        const MAX_VISIBLE_TRANSFERS = 100;
+    getAlignmentPatternPositions() {
+        if (this.version === 1) return [];
+        const numAlign = Math.floor(this.version / 7) + 2;
+        const step = Math.ceil((this.version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = this.size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+        return result;
+    }
 
-        files.forEach(file => {
-            const transferId = `transfer-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-            const filePath = preservePath ? (file.relativePath || file.webkitRelativePath || file.name) : file.name;
+    drawFormatBits(mask) {
+        // Level M is encoded as 00, so the data is just the mask number
+        let rem = mask;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((mask << 10) | rem) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+        const size = this.size;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, size - 15 + i, bit(i));
+        this.setFunctionModule(8, size - 8, true);  // Always dark
+    }
 
-            // Add to transfers list immediately
-            this.state.transfers.push({
-                id: transferId,
-                name: filePath,
-                size: file.size,
-                type: file.type,
-                progress: 0,
-                speed: null,
-                status: 'pending'
+    addEccAndInterleave(data) {
+        const numBlocks = QR_ERROR_CORRECTION_BLOCKS[this.version];
+        const blockEccLen = QR_ECC_CODEWORDS_PER_BLOCK[this.version];
+        const rawCodewords = Math.floor(QrCode.getNumRawDataModules(this.version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+        const divisor = QrCode.reedSolomonDivisor(blockEccLen);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const block = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += block.length;
+            const ecc = QrCode.reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0);  // Placeholder, skipped below
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
             });
+        }
+        return result;
+    }
 
-            this.sendToBackend('sendFile', {
-                transferId: transferId,
-                name: file.name,
-                path: filePath,
-                size: file.size,
-                type: file.type
+    drawCodewords(codewords) {
+        const size = this.size;
+        let i = 0;
+        // Two-module columns, right to left, snaking up and down; column 6 is timing
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && conditions[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    getPenaltyScore() {
+        const size = this.size;
+        const lines = [
+            ...this.modules,
+            ...this.modules.map((_, x) => this.modules.map(row => row[x]))
+        ];
+        let result = 0;
+
+        lines.forEach(line => {
+            // Runs of five or more modules of the same color
+            let run = 1;
+            for (let i = 1; i <= line.length; i++) {
+                if (i < line.length && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) result += run - 2;
+                    run = 1;
+                }
+            }
+
+            // Finder-like 1:1:3:1:1 patterns with a light margin on one side
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            ['10111010000', '00001011101'].forEach(pattern => {
+                for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) result += 40;
             });
         });
 
-        // Limit visible transfers to prevent UI slowdown
-        if (this.state.transfers.length > MAX_VISIBLE_TRANSFERS) {
-            // Keep only the most recent transfers
-            this.state.transfers = this.state.transfers.slice(-MAX_VISIBLE_TRANSFERS);
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (this.modules[y][x]) dark++;
+                if (y < size - 1 && x < size - 1) {
+                    const color = this.modules[y][x];
+                    if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] &&
+                        color === this.modules[y + 1][x + 1]) result += 3;
+                }
+            }
         }
 
-        // Update UI (debounced)
-        this.scheduleRenderTransfers();
+        // Distance of the dark share from 50%, in 5% steps
+        const total = size * size;
+        result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return result;
     }
 
-    scheduleRenderTransfers() {
-        if (this._renderTimeout) {
-            clearTimeout(this._renderTimeout);
+    static reedSolomonDivisor(degree) {
+        const result = Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = QrCode.reedSolomonMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = QrCode.reedSolomonMultiply(root, 0x02);
         }
-        this._renderTimeout = setTimeout(() => {
-            this.renderTransfers();
-            this._renderTimeout = null;
-        }, 50);
+        return result;
     }
 
-    setupEventListeners() {
-        const refreshBtn = document.getElementById('refreshBtn');
-        if (refreshBtn) {
-            refreshBtn.addEventListener('click', () => {
-                this.sendToBackend('refresh', {});
+    static reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QrCode.reedSolomonMultiply(coefficient, factor);
             });
+        });
+        return result;
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    static reedSolomonMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
         }
+        return z;
+    }
 
-        const clipboardSync = document.getElementById('clipboardSync');
-        if (clipboardSync) {
-            clipboardSync.addEventListener('change', (e) => {
-                this.sendToBackend('setClipboardSync', { enabled: e.target.checked });
+    toSvg(border = 4) {
+        const size = this.size + border * 2;
+        const path = [];
+        this.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path.push(`M${x + border},${y + border}h1v1h-1z`);
             });
+        });
+        return `
+            <svg class="qr-code" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges" role="img">
+                <rect width="100%" height="100%" fill="#ffffff"/>
+                <path d="${path.join('')}" fill="#000000"/>
+            </svg>
+        `;
+    }
+}
+
+// Sent snippets kept in the compose panel with their delivery status
+const MAX_SENT_SNIPPETS = 10;
+
+// Largest snippet the host will send; bigger text belongs in a file transfer
+const MAX_SNIPPET_BYTES = 1024 * 1024;
+
+// Finished transfers kept in the persistent history
+const MAX_HISTORY_ENTRIES = 2000;
+
+// Default limits for large drops; both can be changed in Settings
+const DEFAULT_MAX_FILES = 1000;
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_CONCURRENT_SENDS = 3;
+
+// Transfer speeds are smoothed with an exponentially weighted moving average
+const SPEED_SMOOTHING = 0.3;        // Weight of the newest sample
+const SPEED_SAMPLE_MIN_MS = 250;    // Shorter gaps give noisy byte deltas
+const SPEED_HISTORY_SAMPLES = 30;   // Points kept for each row's sparkline
+const SPEED_STALE_MS = 3000;        // Transfers silent for longer stop counting as active
+
+// Speed fields cleared whenever a transfer starts over
+const SPEED_STATS_RESET = { speed: null, smoothedSpeed: null, speedHistory: [], lastSampleAt: null, lastSampleBytes: null };
+
+// Failed sends are retried with exponential backoff, capped at RETRY_MAX_DELAY_MS
+const DEFAULT_RETRY_POLICY = { maxAttempts: 3, baseDelay: 2, onReconnectOnly: false };
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+// Archives are written without ZIP64, so keep them well below 4 GB
+const ZIP_MAX_BYTES = 2 * 1024 * 1024 * 1024;
+const ZIP_MAX_ENTRIES = 65535;
+const ZIP_CRC_CHUNK_BYTES = 4 * 1024 * 1024;
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
         }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// Pass the previous return value to continue a checksum across chunks
+function crc32(bytes, previous = 0) {
+    let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
     }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
 
-    setupSyncBeamBridge() {
-        window.addEventListener('syncbeam', (e) => {
-            const { event, data } = e.detail;
-            this.handleBackendEvent(event, data);
-        });
+// Reads the file a chunk at a time so only one chunk is in memory
+async function crc32File(file) {
+    let crc = 0;
+    for (let start = 0; start < file.size; start += ZIP_CRC_CHUNK_BYTES) {
+        const chunk = file.slice(start, start + ZIP_CRC_CHUNK_BYTES);
+        crc = crc32(new Uint8Array(await chunk.arrayBuffer()), crc);
     }
+    return crc;
+}
 
-    handleBackendEvent(event, data) {
-        switch (event) {
-            case 'initialized':
-                this.state.localPeerId = data.localPeerId;
-                this.state.listenPort = data.listenPort;
-                this.updateLocalPeerInfo();
-                this.updateSettingsInfo();
-                break;
+/**
+ * Builds an uncompressed (stored) ZIP archive from { path, file } entries.
+ * Stored is enough here: the point is one transfer instead of thousands.
+ * The Blob references the files themselves, so their contents are never
+ * all loaded at once.
+ */
+async function createZipBlob(entries) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    for (const { path, file } of entries) {
+        const name = encoder.encode(path);
+        const size = file.size;
+        const crc = await crc32File(file);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);          // Version needed
+        local.setUint16(6, 0x0800, true);      // UTF-8 names
+        local.setUint16(8, 0, true);           // Stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, name, file);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014B50, true);
+        header.setUint16(4, 20, true);         // Version made by
+        header.setUint16(6, 20, true);
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, dosTime, true);
+        header.setUint16(14, dosDate, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, size, true);
+        header.setUint32(24, size, true);
+        header.setUint16(28, name.length, true);
+        header.setUint32(42, offset, true);
+        central.push(header, name);
+
+        offset += 30 + name.length + size;
+    }
 
-            case 'state':
-                this.state.localPeerId = data.localPeerId;
-                this.state.listenPort = data.listenPort;
-                data.connectedPeers.forEach(p => {
-                    this.state.connectedPeers.set(p.peerId, p);
-                });
-                this.updateLocalPeerInfo();
-                this.updateSettingsInfo();
-                this.renderPeers();
-                // Update network status panel with initial state
-                this.updateFullNetworkStatus(data);
-                break;
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
 
-            case 'peerDiscovered':
-                this.state.discoveredPeers.set(data.peerId, {
-                    peerId: data.peerId,
-                    endpoint: data.endpoint,
-                    connected: false,
-                    connecting: true  // Auto-connecting
-                });
-                this.renderPeers();
-                break;
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
 
-            case 'peerConnected':
-                this.state.connectedPeers.set(data.peerId, {
-                    peerId: data.peerId,
-                    isIncoming: data.isIncoming
-                });
-                const discovered = this.state.discoveredPeers.get(data.peerId);
-                if (discovered) {
-                    discovered.connected = true;
-                    discovered.connecting = false;
-                }
-                // Update network devices
-                for (const [ip, device] of this.state.networkDevices) {
-                    if (device.peerId === data.peerId) {
-                        device.isConnected = true;
-                        device.isConnecting = false;
-                    }
-                }
-                this.showNotification('Connected successfully!');
-                this.renderPeers();
-                break;
+const DEFAULT_FOLDER_FILTERS = {
+    include: '',
+    exclude: 'node_modules/\n.git/',
+    useGitignore: false
+};
 
-            case 'peerDisconnected':
-                this.state.connectedPeers.delete(data.peerId);
-                const disc = this.state.discoveredPeers.get(data.peerId);
-                if (disc) {
-                    disc.connected = false;
-                    disc.connecting = false;
-                }
-                // Update network devices
-                for (const [ip, device] of this.state.networkDevices) {
-                    if (device.peerId === data.peerId) {
-                        device.isConnected = false;
-                        device.isConnecting = false;
-                    }
+function globToRegexSource(glob) {
+    let out = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*') {
+            if (glob[i + 1] === '*') {
+                // '**/' spans any number of directories, a trailing '**' everything
+                if (glob[i + 2] === '/') {
+                    out += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    out += '.*';
+                    i += 1;
                 }
-                this.renderPeers();
-                break;
+            } else {
+                out += '[^/]*';
+            }
+        } else if (c === '?') {
+            out += '[^/]';
+        } else if (c === '[') {
+            const close = glob.indexOf(']', i + 1);
+            if (close === -1) {
+                out += '\\[';
+            } else {
+                out += `[${glob.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = close;
+            }
+        } else {
+            out += c.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    return out;
+}
 
-            case 'peerConnectionFailed':
-                const failedPeer = this.state.discoveredPeers.get(data.peerId);
-                if (failedPeer) {
-                    failedPeer.connecting = false;
-                    failedPeer.connected = false;
-                }
-                // Also update network devices
-                for (const [ip, device] of this.state.networkDevices) {
-                    if (device.peerId === data.peerId) {
-                        device.isConnected = false;
-                        device.isConnecting = false;
-                    }
-                }
-                this.showNotification(`Connection failed: ${data.errorMessage || 'Unknown error'}`);
-                this.renderPeers();
-                break;
+/**
+ * Compiles gitignore-style lines into rules. `base` is the directory the
+ * patterns are relative to ('' for the dropped folder itself, 'sub/' for a
+ * nested .gitignore). Supports comments, '!' negation, trailing '/' for
+ * directories, leading or inner '/' for anchoring, and '*', '**', '?', [..].
+ */
+function compileIgnorePatterns(text, base = '') {
+    const rules = [];
+    for (let line of text.split(/\r?\n/)) {
+        line = line.replace(/\s+$/, '');
+        if (!line || line.startsWith('#')) continue;
+
+        let negate = false;
+        if (line.startsWith('!')) {
+            negate = true;
+            line = line.slice(1);
+        }
 
-            case 'transferProgress':
-                this.updateTransferProgress(data);
-                break;
+        const dirOnly = line.endsWith('/');
+        if (dirOnly) line = line.slice(0, -1);
+
+        const anchored = line.includes('/');
+        line = line.replace(/^\//, '');
+        if (!line) continue;
+
+        const prefix = anchored ? '^' : '(?:^|.*/)';
+        const body = globToRegexSource(line);
+        rules.push({
+            base,
+            negate,
+            // A directory pattern also matches everything inside that directory
+            file: new RegExp(`${prefix}${body}${dirOnly ? '/.*' : '(?:/.*)?'}$`),
+            dir: new RegExp(`${prefix}${body}(?:/.*)?$`)
+        });
+    }
+    return rules;
+}
 
-            case 'transferStarted':
-                this.updateTransferStatus(data.transferId, 'sending');
-                break;
+// Last matching rule wins, as in .gitignore
+function matchesIgnoreRules(rules, path, isDir) {
+    let ignored = false;
+    for (const rule of rules) {
+        if (!path.startsWith(rule.base)) continue;
+        const rel = path.slice(rule.base.length);
+        if ((isDir ? rule.dir : rule.file).test(rel)) {
+            ignored = !rule.negate;
+        }
+    }
+    return ignored;
+}
 
-            case 'transferCompleted':
-                this.updateTransferStatus(data.transferId, 'completed', 100);
-                // Remove after 3 seconds
-                setTimeout(() => {
-                    this.removeTransfer(data.transferId);
-                }, 3000);
-                break;
+// Pending file offers are declined automatically after this long
+const OFFER_TIMEOUT_MS = 60000;
 
-            case 'transferFailed':
-                this.updateTransferStatus(data.transferId, 'failed');
-                break;
+const DEFAULT_LISTEN_PORT = 42420;
 
-            case 'transferReceiving':
-                // Incoming transfer from another peer
-                this.addIncomingTransfer(data);
-                break;
+// Connecting by address retries a few times before the host gives up
+const CONNECT_TIMEOUT_MS = 60000;
 
-            case 'clipboardReceived':
-                this.addClipboardItem(data);
-                break;
+/**
+ * Splits "host", "host:port", "[v6]:port" or a bare IPv6 address.
+ * The port is null when the text does not carry one.
+ */
+function parsePeerAddress(text) {
+    const value = text.trim();
+    const bracketed = /^\[([^\]]+)\](?::(\d*))?$/.exec(value);
+    if (bracketed) {
+        return { host: bracketed[1], port: bracketed[2] ? Number(bracketed[2]) : null };
+    }
+    const colons = value.split(':').length - 1;
+    if (colons === 1) {
+        const [host, port] = value.split(':');
+        return { host, port: port ? Number(port) : null };
+    }
+    return { host: value, port: null };
+}
 
-            case 'networkDevice':
-                this.state.networkDevices.set(data.ip, {
-                    ip: data.ip,
-                    hostname: data.hostname,
-                    hasSyncBeam: data.hasSyncBeam,
-                    peerId: data.peerId,
-                    isConnected: data.isConnected,
-                    deviceType: data.deviceType || 'Unknown'
-                });
-                this.renderDevices();
-                break;
+function isValidPeerHost(host) {
+    if (/^\d+(\.\d+){3}$/.test(host)) {
+        return host.split('.').every(octet => Number(octet) <= 255);
+    }
+    if (host.includes(':')) {
+        // Loose IPv6 check; the host has the final say
+        return /^[0-9a-f:.]+(%[\w.-]+)?$/i.test(host) && (host.match(/::/g) || []).length <= 1;
+    }
+    return host.length <= 253 && !/^[\d.]+$/.test(host) &&
+        host.split('.').every(label => /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i.test(label));
+}
 
-            case 'networkScanCompleted':
-                this.state.isScanning = false;
-                this.renderDevices();
-                break;
+function isValidPeerPort(port) {
+    return Number.isInteger(port) && port >= 1 && port <= 65535;
+}
 
-            case 'updateAvailable':
-                this.showUpdateBanner(data);
-                break;
+// Same limit as the host scanner; wider ranges take too long to ping
+const SCAN_MIN_PREFIX = 20;
 
-            case 'networkStatus':
-                this.updateNetworkStatusItem(data.component, data.status, data.message);
-                break;
+function ipv4ToInt(ip) {
+    const parts = ip.split('.');
+    if (parts.length !== 4 || !parts.every(p => /^\d{1,3}$/.test(p) && Number(p) <= 255)) return null;
+    return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
 
-            case 'networkStatusFull':
-                this.updateFullNetworkStatus(data);
-                break;
+/**
+ * Parses "a.b.c.d/prefix" into its normalized form and address range, or
+ * returns null when it is not a range the scanner accepts.
+ */
+function parseScanCidr(text) {
+    const match = /^([\d.]+)\/(\d{1,2})$/.exec(text.trim());
+    const address = match ? ipv4ToInt(match[1]) : null;
+    const prefix = match ? Number(match[2]) : 0;
+    if (address === null || prefix < SCAN_MIN_PREFIX || prefix > 32) return null;
+
+    const size = 2 ** (32 - prefix);
+    const first = Math.floor(address / size) * size;
+    const network = [24, 16, 8, 0].map(shift => Math.floor(first / 2 ** shift) % 256).join('.');
+    return { cidr: `${network}/${prefix}`, first, last: first + size - 1 };
+}
 
-            case 'setupProgress':
-                this.updateSetupProgress(data);
-                break;
+// Devices kept in the inventory; the least recently seen are dropped first
+const MAX_INVENTORY_DEVICES = 1000;
+const MAX_INVENTORY_IPS = 20;  // Address changes remembered per device
+const INVENTORY_COLUMNS = ['name', 'ip', 'macAddress', 'vendor', 'deviceType', 'peerId', 'firstSeen', 'lastSeen'];
 
-            case 'firewallConfigResult':
-                this.handleFirewallResult(data);
-                break;
+const DEVICE_GROUPINGS = ['none', 'type', 'subnet'];
 
-            case 'upnpConfigResult':
-                this.handleUpnpResult(data);
-                break;
+// Phones and laptops often use per-network random MACs, flagged by the locally administered bit
+function isRandomizedMac(mac) {
+    return !!mac && (parseInt(mac.slice(0, 2), 16) & 0x02) !== 0;
+}
 
-            case 'diagnosticResult':
-                this.showDiagnosticResults(data);
-                break;
+function isIpInCidr(ip, cidr) {
+    const range = parseScanCidr(cidr);
+    const value = ipv4ToInt(ip);
+    return !!range && value !== null && value >= range.first && value <= range.last;
+}
 
-            case 'diagnosticsStarted':
-                this.showNotification('Running diagnostics...');
-                break;
+// Backend actions that answer with a dedicated reply event
+const RPC_REPLY_EVENTS = {
+    getState: 'state',
+    getSettings: 'settings',
+    getNetworkStatus: 'networkStatusFull',
+    savePort: 'portSaveResult',
+    configureFirewall: 'firewallConfigResult',
+    configureUpnp: 'upnpConfigResult',
+    runDiagnostics: 'diagnosticResult',
+    checkPeerConnectivity: 'peerConnectivityResult',
+    requestFirewallSetup: 'firewallSetupResult',
+    pushClipboard: 'clipboardPushResult',
+    sendSnippet: 'snippetSendResult',
+    connectToIp: 'connectToIpResult',
+    getScanSubnets: 'scanSubnets'
+};
 
-            case 'settings':
-                this.handleSettings(data);
-                break;
+const RPC_DEFAULT_TIMEOUT_MS = 15000;
 
-            case 'portSaveResult':
-                this.handlePortSaveResult(data);
-                break;
+class RpcError extends Error {
+    constructor(message, code, data = null) {
+        super(message);
+        this.name = 'RpcError';
+        this.code = code;  // 'timeout' | 'cancelled' | 'failed' | 'unavailable'
+        this.data = data;
+    }
+}
 
-            case 'firewallSetupRequired':
-                this.showFirewallSetupDialog(data);
-                break;
+// Oldest actions are dropped past this; replay is exact only while the log starts at seq 1
+const ACTION_LOG_LIMIT = 5000;
+
+/**
+ * Observable state container. State only changes through dispatch(type, payload):
+ * the reducer registered for the type returns the next state without mutating
+ * the previous one, then subscribers whose selected slice changed are called.
+ * Payloads must be plain JSON data so the action log can be exported and
+ * replayed with Store.replay() to rebuild the same state.
+ */
+class Store {
+    constructor(reducers, initialState) {
+        this.reducers = reducers;
+        this.state = initialState;
+        this.subscriptions = [];
+        this.actionLog = [];
+        this.seq = 0;
+        this.reducing = false;
+    }
 
-            case 'firewallSetupResult':
-                if (!data.success) {
-                    this.showNotification(data.message);
-                }
-                break;
+    dispatch(type, payload = {}) {
+        const reducer = this.reducers[type];
+        if (!reducer) return;
+        if (this.reducing) {
+            throw new Error(`Cannot dispatch ${type} while reducing`);
         }
-    }
 
-    handleSettings(data) {
-        const portInput = document.getElementById('listenPortInput');
-        const currentPort = document.getElementById('currentListenPort');
+        this.actionLog.push({ seq: ++this.seq, type, payload, at: Date.now() });
+        if (this.actionLog.length > ACTION_LOG_LIMIT) this.actionLog.shift();
 
-        if (portInput && data.listenPort) {
-            portInput.value = data.listenPort;
-        }
-        if (currentPort && data.currentListenPort) {
-            currentPort.textContent = data.currentListenPort;
+        const previous = this.state;
+        this.reducing = true;
+        try {
+            this.state = reducer(previous, payload);
+        } finally {
+            this.reducing = false;
         }
+        if (this.state !== previous) this.notify();
     }
 
-    handlePortSaveResult(data) {
-        const hint = document.getElementById('portHint');
+    select(selector) {
+        return selector(this.state);
+    }
 
-        if (data.success) {
-            this.showNotification(data.message || this.t('settings.portSaved'));
+    /**
+     * Calls listener(selected, previous) whenever selector's result changes.
+     * Selectors may return an array of slices; it counts as changed when any
+     * element does. Returns an unsubscribe function.
+     */
+    subscribe(selector, listener) {
+        const subscription = { selector, listener, selected: selector(this.state) };
+        this.subscriptions.push(subscription);
+        return () => {
+            this.subscriptions = this.subscriptions.filter(s => s !== subscription);
+        };
+    }
 
-            if (data.needsRestart && hint) {
-                hint.textContent = this.t('settings.restartRequired');
-                hint.style.display = 'block';
-                hint.className = 'setting-hint warning';
-            }
+    notify() {
+        for (const subscription of this.subscriptions.slice()) {
+            const selected = subscription.selector(this.state);
+            if (sameSelection(selected, subscription.selected)) continue;
 
-            // Update current port display
-            const currentPort = document.getElementById('currentListenPort');
-            if (currentPort && !data.needsRestart) {
-                currentPort.textContent = data.port;
-            }
-        } else {
-            this.showNotification(data.message || 'Failed to save port');
-            if (hint) {
-                hint.textContent = data.message;
-                hint.style.display = 'block';
-                hint.className = 'setting-hint error';
-            }
+            const previous = subscription.selected;
+            subscription.selected = selected;
+            subscription.listener(selected, previous);
         }
     }
 
-    savePort() {
-        const portInput = document.getElementById('listenPortInput');
-        if (!portInput) return;
-
+    static replay(reducers, initialState, actions) {
+        return actions.reduce((state, { type, payload }) =>
+            reducers[type] ? reducers[type](state, payload) : state, initialState);
+    }
+}
+
+function sameSelection(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b)) return Object.is(a, b);
+    return a.length === b.length && a.every((value, i) => Object.is(value, b[i]));
+}
+
+function createInitialStoreState() {
+    return {
+        localPeerId: null,
+        localFingerprint: null,
+        listenPort: null,
+        discoveredPeers: new Map(),
+        connectedPeers: new Map(),
+        networkDevices: new Map(),  // All devices on the network, by IP
+        isScanning: false,
+        // unseen: IPs listed in the scanned subnets that have not answered this scan
+        scan: { id: 0, subnets: [], probed: 0, total: 0, found: 0, cancelled: false, finished: false, unseen: null, error: null },
+        selectedTargetPeer: null,  // Drop zone "Send to" choice
+        transfers: [],             // Without their File objects, which the app keeps by transfer id
+        incomingOffers: [],        // File offers waiting for accept/reject
+        clipboardHistory: [],      // Newest first
+        transferHistory: [],       // Newest first, capped at MAX_HISTORY_ENTRIES
+        folderJobs: new Map(),     // Folder sends grouped as one job
+        sendQueue: [],             // Outgoing transfer ids waiting to be dispatched, in order
+        queuePaused: false,
+        sentSnippets: []           // Newest first, with per-peer delivery status
+    };
+}
+
+// Copies the map only when something in it changes
+function updateMapValues(map, predicate, changes) {
+    let next = map;
+    for (const [key, value] of map) {
+        if (!predicate(value, key)) continue;
+        if (Object.keys(changes).every(k => value[k] === changes[k])) continue;
+        if (next === map) next = new Map(map);
+        next.set(key, { ...value, ...changes });
+    }
+    return next;
+}
+
+function setPeerConnection(state, peerId, { connected, connecting }) {
+    return {
+        ...state,
+        discoveredPeers: updateMapValues(state.discoveredPeers,
+            (_, key) => key === peerId, { connected, connecting }),
+        networkDevices: updateMapValues(state.networkDevices,
+            device => device.peerId === peerId, { isConnected: connected, isConnecting: connecting })
+    };
+}
+
+// Copies the list only when an item with that id exists
+function updateListItem(list, id, changes) {
+    const index = list.findIndex(item => item.id === id);
+    if (index === -1) return list;
+
+    const next = list.slice();
+    next[index] = { ...list[index], ...changes };
+    return next;
+}
+
+function removeListItems(list, ids) {
+    const removed = new Set(ids);
+    return list.some(item => removed.has(item.id)) ? list.filter(item => !removed.has(item.id)) : list;
+}
+
+function removeConnectedPeer(state, peerId) {
+    if (!state.connectedPeers.has(peerId) && state.selectedTargetPeer !== peerId) return state;
+
+    const connectedPeers = new Map(state.connectedPeers);
+    connectedPeers.delete(peerId);
+    return {
+        ...state,
+        connectedPeers,
+        // The chosen target went away; fall back to asking
+        selectedTargetPeer: state.selectedTargetPeer === peerId ? null : state.selectedTargetPeer
+    };
+}
+
+/**
+ * Reducers for the whole app state. Backend events that only change peer,
+ * device, scan or identity state are dispatched as actions of the same name;
+ * the rest are actions the UI itself takes, with times and generated ids in
+ * the payload so replaying them gives the same result.
+ */
+const STORE_REDUCERS = {
+    initialized: (state, data) => ({
+        ...state,
+        localPeerId: data.localPeerId,
+        localFingerprint: data.localFingerprint || null,
+        listenPort: data.listenPort
+    }),
+
+    // A full snapshot: connectedPeers is rebuilt from it, so peers the host no
+    // longer lists do not linger. It arrives with blocked peers already removed.
+    state: (state, data) => {
+        const connectedPeers = new Map(data.connectedPeers.map(p => [p.peerId, p]));
+        return {
+            ...state,
+            localPeerId: data.localPeerId,
+            localFingerprint: data.localFingerprint || null,
+            listenPort: data.listenPort,
+            connectedPeers,
+            discoveredPeers: updateMapValues(state.discoveredPeers,
+                (peer, key) => peer.connected && !connectedPeers.has(key), { connected: false }),
+            networkDevices: updateMapValues(state.networkDevices,
+                device => device.isConnected && !!device.peerId && !connectedPeers.has(device.peerId), { isConnected: false }),
+            selectedTargetPeer: connectedPeers.has(state.selectedTargetPeer) ? state.selectedTargetPeer : null
+        };
+    },
+
+    peerDiscovered: (state, data) => ({
+        ...state,
+        discoveredPeers: new Map(state.discoveredPeers).set(data.peerId, {
+            peerId: data.peerId,
+            endpoint: data.endpoint,
+            connected: false,
+            connecting: true  // Auto-connecting
+        })
+    }),
+
+    peerConnected: (state, data) => ({
+        ...setPeerConnection(state, data.peerId, { connected: true, connecting: false }),
+        connectedPeers: new Map(state.connectedPeers).set(data.peerId, {
+            peerId: data.peerId,
+            isIncoming: data.isIncoming,
+            fingerprint: data.fingerprint || null
+        })
+    }),
+
+    peerDisconnected: (state, data) =>
+        removeConnectedPeer(setPeerConnection(state, data.peerId, { connected: false, connecting: false }), data.peerId),
+
+    peerConnectionFailed: (state, data) =>
+        setPeerConnection(state, data.peerId, { connected: false, connecting: false }),
+
+    // A blocked peer got through; it is disconnected and dropped from the list
+    peerRefused: (state, { peerId }) => removeConnectedPeer(state, peerId),
+
+    // Shows the connecting state straight away, matching devices by peer ID or IP
+    connectStarted: (state, { peerId, ip }) => ({
+        ...state,
+        discoveredPeers: peerId
+            ? updateMapValues(state.discoveredPeers, (_, key) => key === peerId, { connected: false, connecting: true })
+            : state.discoveredPeers,
+        networkDevices: updateMapValues(state.networkDevices,
+            (device, key) => (!!peerId && device.peerId === peerId) || (!!ip && key === ip), { isConnecting: true })
+    }),
+
+    targetPeerSelected: (state, { peerId }) => ({ ...state, selectedTargetPeer: peerId || null }),
+
+    networkDevice: (state, data) => ({
+        ...state,
+        networkDevices: new Map(state.networkDevices).set(data.ip, {
+            ip: data.ip,
+            hostname: data.hostname,
+            hasSyncBeam: data.hasSyncBeam,
+            peerId: data.peerId,
+            isConnected: data.isConnected,
+            deviceType: data.deviceType || 'Unknown',
+            macAddress: data.macAddress || null,
+            vendor: data.vendor || null
+        }),
+        scan: state.scan.unseen?.includes(data.ip)
+            ? { ...state.scan, unseen: state.scan.unseen.filter(ip => ip !== data.ip) }
+            : state.scan
+    }),
+
+    scanRequested: (state, { keepResults }) => ({
+        ...state,
+        isScanning: true,
+        networkDevices: keepResults ? state.networkDevices : new Map()
+    }),
+
+    networkScanStarted: (state, data) => updateScan(state, data, true),
+
+    networkScanProgress: (state, data) => updateScan(state, data, false),
+
+    networkScanCompleted: (state, data) => {
+        // Events from a scan that has since been replaced are ignored; older hosts send no scan details
+        if (data.scanId != null && data.scanId < state.scan.id) return state;
+
+        // A cancelled or failed scan did not probe everything, so nothing it missed is stale
+        const stale = new Set(data.cancelled || data.error ? [] : state.scan.unseen || []);
+        return {
+            ...state,
+            isScanning: false,
+            networkDevices: updateMapValues(state.networkDevices,
+                (device, ip) => stale.has(ip) && !device.isConnected, { stale: true }),
+            scan: {
+                ...state.scan,
+                probed: data.probed ?? state.scan.probed,
+                total: data.total ?? state.scan.total,
+                found: data.found ?? state.scan.found,
+                cancelled: data.cancelled === true,
+                finished: data.scanId != null,
+                unseen: null,
+                // The host refuses a scan whose subnets are all invalid
+                error: data.error || null
+            }
+        };
+    },
+
+    // Transfers
+    transfersQueued: (state, { transfers }) => ({
+        ...state,
+        transfers: [...state.transfers, ...transfers],
+        sendQueue: [...state.sendQueue, ...transfers.map(t => t.id)]
+    }),
+
+    // Incoming files, added once the user accepts them or the host reports progress
+    transferReceiving: (state, { transfer }) => state.transfers.some(t => t.id === transfer.id)
+        ? state
+        : { ...state, transfers: [...state.transfers, transfer] },
+
+    transferUpdated: (state, { transferId, changes }) => {
+        const transfers = updateListItem(state.transfers, transferId, changes);
+        return transfers === state.transfers ? state : { ...state, transfers };
+    },
+
+    // Back in the send queue; changes.id is set when the host needs a fresh id
+    transferRequeued: (state, { transferId, changes, front }) => {
+        const transfers = updateListItem(state.transfers, transferId, changes);
+        if (transfers === state.transfers) return state;
+
+        const id = changes.id ?? transferId;
+        const rest = state.sendQueue.filter(queued => queued !== id);
+        return { ...state, transfers, sendQueue: front ? [id, ...rest] : [...rest, id] };
+    },
+
+    transfersRemoved: (state, { transferIds }) => {
+        const transfers = removeListItems(state.transfers, transferIds);
+        return transfers === state.transfers ? state : { ...state, transfers };
+    },
+
+    transfersResumed: (state, { transferIds }) => {
+        const resumed = new Set(transferIds);
+        return {
+            ...state,
+            transfers: state.transfers.map(t =>
+                resumed.has(t.id) && t.status === 'paused' ? { ...t, status: 'queued' } : t)
+        };
+    },
+
+    // Starts the given sends and drops queue ids that are no longer queued or paused
+    queuePumped: (state, { transferIds, startedAt }) => {
+        const starting = new Set(transferIds);
+        const waiting = new Set(state.transfers
+            .filter(t => !starting.has(t.id) && (t.status === 'queued' || t.status === 'paused'))
+            .map(t => t.id));
+        return {
+            ...state,
+            transfers: state.transfers.map(t =>
+                starting.has(t.id) ? { ...t, status: 'pending', dispatched: true, startedAt } : t),
+            sendQueue: state.sendQueue.filter(id => waiting.has(id))
+        };
+    },
+
+    queueReordered: (state, { sendQueue }) => ({ ...state, sendQueue }),
+
+    queuePausedChanged: (state, { paused }) => ({ ...state, queuePaused: paused }),
+
+    // Folder jobs
+    folderJobCreated: (state, { job }) => ({
+        ...state,
+        folderJobs: new Map(state.folderJobs).set(job.id, job)
+    }),
+
+    folderJobUpdated: (state, { jobId, changes }) => {
+        const job = state.folderJobs.get(jobId);
+        if (!job) return state;
+        return { ...state, folderJobs: new Map(state.folderJobs).set(jobId, { ...job, ...changes }) };
+    },
+
+    // The job's files go with it
+    folderJobRemoved: (state, { jobId }) => {
+        const folderJobs = new Map(state.folderJobs);
+        folderJobs.delete(jobId);
+        return { ...state, folderJobs, transfers: state.transfers.filter(t => t.jobId !== jobId) };
+    },
+
+    // Incoming offers
+    offerQueued: (state, { offer }) => ({ ...state, incomingOffers: [...state.incomingOffers, offer] }),
+
+    offerRemoved: (state, { transferId }) => state.incomingOffers.some(o => o.transferId === transferId)
+        ? { ...state, incomingOffers: state.incomingOffers.filter(o => o.transferId !== transferId) }
+        : state,
+
+    // Transfer history
+    transferHistoryLoaded: (state, { entries }) => ({ ...state, transferHistory: entries }),
+
+    transferHistoryRecorded: (state, { entry }) => ({
+        ...state,
+        transferHistory: [entry, ...state.transferHistory].slice(0, MAX_HISTORY_ENTRIES)
+    }),
+
+    transferHistoryCleared: (state) => ({ ...state, transferHistory: [] }),
+
+    // Clipboard history
+    clipboardItemAdded: (state, { item }) => ({ ...state, clipboardHistory: [item, ...state.clipboardHistory] }),
+
+    clipboardItemUpdated: (state, { itemId, changes }) => {
+        const clipboardHistory = updateListItem(state.clipboardHistory, itemId, changes);
+        return clipboardHistory === state.clipboardHistory ? state : { ...state, clipboardHistory };
+    },
+
+    clipboardItemsRemoved: (state, { itemIds }) => {
+        const clipboardHistory = removeListItems(state.clipboardHistory, itemIds);
+        return clipboardHistory === state.clipboardHistory ? state : { ...state, clipboardHistory };
+    },
+
+    // Stored items join the ones that arrived while the database was opening
+    clipboardHistoryLoaded: (state, { items }) => {
+        const ids = new Set(state.clipboardHistory.map(i => i.id));
+        return {
+            ...state,
+            clipboardHistory: [...state.clipboardHistory, ...items.filter(i => !ids.has(i.id))]
+                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        };
+    },
+
+    clipboardHistoryCleared: (state) => ({ ...state, clipboardHistory: [] }),
+
+    // Sent snippets
+    snippetSent: (state, { snippet }) => ({
+        ...state,
+        sentSnippets: [snippet, ...state.sentSnippets].slice(0, MAX_SENT_SNIPPETS)
+    }),
+
+    snippetPeersUpdated: (state, { snippetId, peers }) => {
+        const snippet = state.sentSnippets.find(s => s.id === snippetId);
+        if (!snippet) return state;
+        return {
+            ...state,
+            sentSnippets: updateListItem(state.sentSnippets, snippetId, { peers: { ...snippet.peers, ...peers } })
+        };
+    }
+};
+
+function updateScan(state, data, started) {
+    if (data.scanId < state.scan.id) return state;
+
+    let scan = state.scan;
+    if (data.scanId !== scan.id) {
+        const subnets = data.subnets || [];
+        scan = {
+            id: data.scanId, subnets, probed: 0, total: data.total, found: 0,
+            cancelled: false, finished: false, error: null,
+            // Devices already listed in the scanned subnets go stale unless they answer again
+            unseen: Array.from(state.networkDevices.keys())
+                .filter(ip => subnets.some(cidr => isIpInCidr(ip, cidr)))
+        };
+    }
+    if (!started) {
+        scan = { ...scan, probed: data.probed, total: data.total, found: data.found };
+    }
+    return { ...state, isScanning: true, scan };
+}
+
+/**
+ * Promise-based request/response on top of the fire-and-forget bridge.
+ * Each call is tagged with a requestId; a reply carrying the same id settles
+ * it. Only for hosts older than RPC_REQUEST_ID_VERSION, which send replies
+ * without an id, does such a reply settle the oldest pending call for its event.
+ */
+class BackendRpc {
+    constructor(send) {
+        this.send = send;
+        this.pending = new Map();
+        this.nextId = 1;
+        this.matchUntaggedReplies = false;
+    }
+
+    call(action, data = {}, { timeout = RPC_DEFAULT_TIMEOUT_MS, signal = null } = {}) {
+        const replyEvent = RPC_REPLY_EVENTS[action];
+        if (!replyEvent) {
+            return Promise.reject(new RpcError(`No reply event known for '${action}'`, 'failed'));
+        }
+        if (signal?.aborted) {
+            return Promise.reject(new RpcError('Request cancelled', 'cancelled'));
+        }
+
+        const requestId = `rpc-${Date.now()}-${this.nextId++}`;
+
+        return new Promise((resolve, reject) => {
+            const entry = { requestId, action, replyEvent, resolve, reject, timer: null, signal, onAbort: null };
+
+            entry.timer = setTimeout(() => {
+                this.settle(entry, new RpcError(`'${action}' timed out after ${timeout}ms`, 'timeout'));
+            }, timeout);
+
+            if (signal) {
+                entry.onAbort = () => this.settle(entry, new RpcError('Request cancelled', 'cancelled'));
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            this.pending.set(requestId, entry);
+
+            if (!this.send(action, { ...data, requestId })) {
+                this.settle(entry, new RpcError('No backend bridge available', 'unavailable'));
+            }
+        });
+    }
+
+    /**
+     * Offers a backend event to the pending calls.
+     * Returns true when it answered one of them.
+     */
+    handleEvent(event, data) {
+        let entry = data?.requestId ? this.pending.get(data.requestId) : null;
+
+        if (!entry && !data?.requestId && this.matchUntaggedReplies) {
+            for (const candidate of this.pending.values()) {
+                if (candidate.replyEvent === event) {
+                    entry = candidate;
+                    break;
+                }
+            }
+        }
+
+        if (!entry || entry.replyEvent !== event) return false;
+
+        if (data?.success === false) {
+            this.settle(entry, new RpcError(data.message || `'${entry.action}' failed`, 'failed', data));
+        } else {
+            this.settle(entry, null, data);
+        }
+        return true;
+    }
+
+    cancelAll() {
+        for (const entry of [...this.pending.values()]) {
+            this.settle(entry, new RpcError('Request cancelled', 'cancelled'));
+        }
+    }
+
+    settle(entry, error, result) {
+        if (!this.pending.delete(entry.requestId)) return;
+
+        clearTimeout(entry.timer);
+        if (entry.onAbort) {
+            entry.signal.removeEventListener('abort', entry.onAbort);
+        }
+
+        if (error) {
+            entry.reject(error);
+        } else {
+            entry.resolve(result);
+        }
+    }
+}
+
+// Lists longer than this only keep the rows near the viewport in the DOM
+const VIRTUALIZE_THRESHOLD = 200;
+const VIRTUAL_OVERSCAN_PX = 800;
+const VIRTUAL_DEFAULT_ROW_HEIGHT = 90;
+
+function parseHtmlElement(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    return template.content.firstElementChild;
+}
+
+/**
+ * Patches `from` in place until it matches `to`, touching only what differs,
+ * so unchanged nodes keep hover, focus and running animations.
+ * Returns the node that ends up in the document.
+ */
+function morphNode(from, to) {
+    if (from.nodeType !== to.nodeType || from.nodeName !== to.nodeName) {
+        from.replaceWith(to);
+        return to;
+    }
+    if (from.nodeType !== Node.ELEMENT_NODE) {
+        if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue;
+        return from;
+    }
+
+    for (const { name } of Array.from(from.attributes)) {
+        if (!to.hasAttribute(name)) from.removeAttribute(name);
+    }
+    for (const { name, value } of Array.from(to.attributes)) {
+        if (from.getAttribute(name) !== value) from.setAttribute(name, value);
+    }
+    // Attributes only set the initial state of form controls
+    if (from.nodeName === 'INPUT' && from.checked !== to.checked) {
+        from.checked = to.checked;
+    }
+
+    const fromChildren = Array.from(from.childNodes);
+    const toChildren = Array.from(to.childNodes);
+    toChildren.forEach((child, i) => {
+        if (i < fromChildren.length) {
+            morphNode(fromChildren[i], child);
+        } else {
+            from.appendChild(child);
+        }
+    });
+    fromChildren.slice(toChildren.length).forEach(child => child.remove());
+    return from;
+}
+
+/**
+ * Keeps a container's children in step with a list of rows, reusing each
+ * key's DOM node and patching only what changed between renders. A row is
+ * { key, render, fullWidth? }, where render() returns the row's HTML and is
+ * only called for rows that end up in the DOM; full-width rows (group
+ * headings) take a whole line in grid containers.
+ *
+ * Past VIRTUALIZE_THRESHOLD rows, only the lines near the scroll viewport
+ * are in the DOM; spacers sized from measured row heights stand in for the rest.
+ */
+class KeyedList {
+    constructor(container) {
+        this.container = container;
+        this.nodes = new Map();    // key -> { node, html }
+        this.heights = new Map();  // key -> last measured height
+        this.rows = [];
+        this.spacers = { before: null, after: null };
+        this.scroller = null;
+        this.frame = null;
+    }
+
+    update(rows) {
+        this.rows = rows;
+        const virtual = rows.length > VIRTUALIZE_THRESHOLD;
+        const slice = virtual ? this.getVirtualSlice(rows) : { rows, before: 0, after: 0 };
+
+        this.reconcile(slice);
+        if (virtual) this.measure(slice.rows);
+    }
+
+    reconcile({ rows, before, after }) {
+        const wanted = [];
+        if (before > 0) wanted.push(this.getSpacer('before', before));
+        for (const row of rows) wanted.push(this.getNode(row));
+        if (after > 0) wanted.push(this.getSpacer('after', after));
+
+        // Anything else in the container (empty states, rows scrolled away) goes
+        const keep = new Set(wanted);
+        for (const child of Array.from(this.container.childNodes)) {
+            if (!keep.has(child)) child.remove();
+        }
+        for (const [key, entry] of this.nodes) {
+            if (!keep.has(entry.node)) this.nodes.delete(key);
+        }
+
+        // Move only the nodes that are out of order
+        let cursor = this.container.firstChild;
+        for (const node of wanted) {
+            if (node === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                this.container.insertBefore(node, cursor);
+            }
+        }
+    }
+
+    getNode(row) {
+        const html = row.render();
+        const entry = this.nodes.get(row.key);
+        const attached = entry && entry.node.parentNode === this.container;
+        if (attached && entry.html === html) return entry.node;
+
+        const fresh = parseHtmlElement(html) || document.createElement('div');
+        const node = attached ? morphNode(entry.node, fresh) : fresh;
+        this.nodes.set(row.key, { node, html });
+        return node;
+    }
+
+    getSpacer(position, height) {
+        if (!this.spacers[position]) {
+            this.spacers[position] = document.createElement('div');
+            this.spacers[position].className = 'virtual-spacer';
+            this.spacers[position].setAttribute('aria-hidden', 'true');
+        }
+        this.spacers[position].style.height = `${height}px`;
+        return this.spacers[position];
+    }
+
+    getVirtualSlice(rows) {
+        const scroller = this.getScroller();
+        const style = getComputedStyle(this.container);
+        const gap = parseFloat(style.rowGap) || 0;
+        const columns = style.display === 'grid'
+            ? Math.max(1, style.gridTemplateColumns.split(' ').filter(Boolean).length)
+            : 1;
+
+        // Where the list sits inside the scrolled content, and what part of it is in view
+        const listTop = this.container.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+        const viewTop = scroller.scrollTop - listTop - VIRTUAL_OVERSCAN_PX;
+        const viewBottom = scroller.scrollTop + scroller.clientHeight - listTop + VIRTUAL_OVERSCAN_PX;
+
+        const estimate = this.getAverageHeight();
+        const visible = [];
+        let offset = 0;
+        let before = 0;
+        let after = 0;
+        for (const line of this.getLines(rows, columns)) {
+            const height = Math.max(...line.map(row => this.heights.get(row.key) ?? estimate)) + gap;
+            if (offset + height < viewTop) {
+                before += height;
+            } else if (offset > viewBottom) {
+                after += height;
+            } else {
+                visible.push(...line);
+            }
+            offset += height;
+        }
+
+        // Spacers are lines themselves, so they bring their own gap
+        return { rows: visible, before: Math.max(0, before - gap), after: Math.max(0, after - gap) };
+    }
+
+    getLines(rows, columns) {
+        const lines = [];
+        let line = [];
+        for (const row of rows) {
+            if (row.fullWidth || line.length === columns) {
+                if (line.length) lines.push(line);
+                line = [];
+            }
+            line.push(row);
+            if (row.fullWidth) {
+                lines.push(line);
+                line = [];
+            }
+        }
+        if (line.length) lines.push(line);
+        return lines;
+    }
+
+    measure(rows) {
+        for (const row of rows) {
+            const height = this.nodes.get(row.key)?.node.offsetHeight;
+            // Hidden views measure as zero; keep the previous height instead
+            if (height) this.heights.set(row.key, height);
+        }
+        if (this.heights.size > this.rows.length * 2) {
+            const live = new Set(this.rows.map(row => row.key));
+            for (const key of this.heights.keys()) {
+                if (!live.has(key)) this.heights.delete(key);
+            }
+        }
+    }
+
+    getAverageHeight() {
+        if (this.heights.size === 0) return VIRTUAL_DEFAULT_ROW_HEIGHT;
+        let total = 0;
+        for (const height of this.heights.values()) total += height;
+        return total / this.heights.size;
+    }
+
+    getScroller() {
+        if (this.scroller) return this.scroller;
+
+        let element = this.container.parentElement;
+        while (element && !/(auto|scroll)/.test(getComputedStyle(element).overflowY)) {
+            element = element.parentElement;
+        }
+        this.scroller = element || document.scrollingElement || document.documentElement;
+
+        // Re-window on scroll, and when the view is shown or resized
+        const schedule = () => {
+            if (this.frame !== null) return;
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                if (this.rows.length > VIRTUALIZE_THRESHOLD) this.update(this.rows);
+            });
+        };
+        this.scroller.addEventListener('scroll', schedule, { passive: true });
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(schedule).observe(this.scroller);
+        } else {
+            window.addEventListener('resize', schedule);
+        }
+        return this.scroller;
+    }
+}
+
+class SyncBeamApp {
+    constructor() {
+        this.currentLang = localStorage.getItem('syncbeam-lang') || 'en';
+        // All app state; changed only through store actions
+        this.store = new Store(STORE_REDUCERS, createInitialStoreState());
+        this.store.dispatch('transferHistoryLoaded', { entries: this.loadTransferHistory() });
+        // Outgoing files and retry timers can't live in the store; both are keyed by transfer id
+        this.transferFiles = new Map();
+        this.retryTimers = new Map();
+        this.transferLimits = this.loadTransferLimits();
+        this.retryPolicy = this.loadRetryPolicy();
+        this.clipboardSettings = this.loadClipboardSettings();
+        this.clipboardPrivacy = this.loadClipboardPrivacy();
+        this.clipboardPeerRules = this.loadClipboardPeerRules();
+        this.clipboardFilters = { search: '', peerId: '', type: '' };
+        this.composePeers = new Set();  // Recipients ticked in the snippet compose panel
+        this.clipboardStore = new ClipboardStore();
+        this.folderFilters = this.loadFolderFilters();
+        this.historyFilters = { search: '', peerId: '', status: '', from: '', to: '' };
+        this.autoAcceptPeers = this.loadAutoAcceptPeers();
+        this.peerProfiles = this.loadPeerProfiles();  // Nickname, color, trust and fingerprint per peer ID
+        this.refusedPeers = new Set();  // Blocked peers already reported this session
+        this.keyWarningsShown = new Set();  // Peers whose key-change dialog is open
+        this.bookmarks = this.loadBookmarks();  // Addresses saved from the connect dialog
+        this.connectingBookmarks = new Set();
+        this.bookmarksReconnected = false;
+        this.scanOptions = this.loadScanOptions();
+        this.scanSubnets = [];  // Local interface subnets reported by the host
+        this.deviceInventory = this.loadDeviceInventory();  // Every device ever seen, by inventory id
+        this.inventoryLayout = this.loadInventoryLayout();
+        this.inventoryFilters = { search: '', status: '' };
+        this.deviceFilters = this.loadDeviceFilters();
+        this.keyedLists = new Map();  // Container id -> KeyedList
+        this.rpc = new BackendRpc((action, data) => this.sendToBackend(action, data));
+        this.hostProtocolVersion = null;
+        this.protocolLog = [];  // Malformed, unknown and version-mismatch events
+
+        this.init();
+    }
+
+    init() {
+        this.setupStoreSubscriptions();
+        this.applyLanguage(this.currentLang);
+        this.setupNavigation();
+        this.setupDropZone();
+        this.setupEventListeners();
+        this.setupActions();
+        this.setupLanguageSelector();
+        this.setupSyncBeamBridge();
+        this.setupHistoryView();
+        this.setupTransferQueue();
+        this.setupClipboardView();
+        this.renderProtocolInfo();
+        this.renderTransferLimits();
+        this.renderRetryPolicy();
+        this.renderKnownDevices();
+        this.renderClipboardSettings();
+        this.renderClipboardPrivacy();
+        this.renderFolderFilters();
+        this.setupScanControls();
+        this.setupDeviceFilters();
+        this.setupInventoryView();
+        this.setupBandwidthMeter();
+
+        setTimeout(() => {
+            this.sendToBackend('getState', {});
+            this.sendToBackend('getSettings', {});
+            this.syncClipboardSettings();
+            this.loadScanSubnets();
+        }, 500);
+    }
+
+    // i18n
+    t(key) {
+        return i18n[this.currentLang][key] || i18n['en'][key] || key;
+    }
+
+    applyLanguage(lang) {
+        this.currentLang = lang;
+        localStorage.setItem('syncbeam-lang', lang);
+        document.documentElement.lang = lang;
+
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            const key = el.getAttribute('data-i18n');
+            el.textContent = this.t(key);
+        });
+
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = this.t(el.getAttribute('data-i18n-placeholder'));
+        });
+
+        document.querySelectorAll('.lang-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.lang === lang);
+        });
+
+        this.renderPeers();
+        this.renderHistory();
+        this.renderTransfers();
+        this.renderClipboard();
+        this.renderClipboardPrivacy();
+        this.renderComposePreview();
+        this.renderSentSnippets();
+        this.renderKnownDevices();
+        this.renderScanControls();
+        this.renderScanStatus();
+        this.renderInventory();
+    }
+
+    setupLanguageSelector() {
+        document.querySelectorAll('.lang-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.applyLanguage(btn.dataset.lang);
+            });
+        });
+    }
+
+    setupNavigation() {
+        const navItems = document.querySelectorAll('.nav-item[data-view]');
+        navItems.forEach(item => {
+            item.addEventListener('click', () => {
+                const viewId = item.dataset.view;
+                this.switchView(viewId);
+
+                navItems.forEach(n => n.classList.remove('active'));
+                item.classList.add('active');
+            });
+        });
+    }
+
+    switchView(viewId) {
+        document.querySelectorAll('.view').forEach(v => v.classList.remove('active'));
+        const view = document.getElementById(`${viewId}View`);
+        if (view) {
+            view.classList.add('active');
+        }
+
+        document.querySelectorAll('.nav-item[data-view]').forEach(n => {
+            n.classList.toggle('active', n.dataset.view === viewId);
+        });
+    }
+
+    setupDropZone() {
+        const dropZone = document.getElementById('dropZone');
+        const fileInput = document.getElementById('fileInput');
+        const folderInput = document.getElementById('folderInput');
+        const selectFilesBtn = document.getElementById('selectFilesBtn');
+        const selectFolderBtn = document.getElementById('selectFolderBtn');
+
+        if (!dropZone || !fileInput) return;
+
+        // File selection button
+        if (selectFilesBtn) {
+            selectFilesBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                // A browse from the drop zone is never a per-peer send
+                delete fileInput.dataset.targetPeer;
+                fileInput.click();
+            });
+        }
+
+        // Folder selection button
+        if (selectFolderBtn && folderInput) {
+            selectFolderBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                folderInput.click();
+            });
+        }
+
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('dragover');
+        });
+
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('dragover');
+        });
+
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragover');
+
+            this.handleDataTransfer(e.dataTransfer);
+        });
+
+        fileInput.addEventListener('change', async (e) => {
+            const files = Array.from(e.target.files);
+            const targetPeer = fileInput.dataset.targetPeer;
+            delete fileInput.dataset.targetPeer;
+            fileInput.value = '';
+
+            const peerId = await this.resolveTargetPeer(targetPeer);
+            if (peerId) {
+                this.switchView('transfers');
+                this.sendFileSet({ files, unreadable: [] }, peerId);
+            }
+        });
+
+        // Folder input
+        if (folderInput) {
+            folderInput.addEventListener('change', async (e) => {
+                const files = Array.from(e.target.files);
+                folderInput.value = '';
+
+                files.forEach(file => {
+                    file.relativePath = file.webkitRelativePath || file.name;
+                    file.folderRoot = file.webkitRelativePath ? file.webkitRelativePath.split('/')[0] : null;
+                });
+
+                const peerId = await this.resolveTargetPeer();
+                if (peerId) {
+                    this.sendFileSet(await this.filterFileList(files), peerId);
+                }
+            });
+        }
+
+        const targetPeerSelect = document.getElementById('targetPeerSelect');
+        if (targetPeerSelect) {
+            targetPeerSelect.addEventListener('change', () => {
+                this.store.dispatch('targetPeerSelected', { peerId: targetPeerSelect.value || null });
+            });
+        }
+
+        this.setupPeerDropTargets();
+    }
+
+    setupPeerDropTargets() {
+        // Dropping onto a connected device card sends straight to that peer
+        const grid = document.getElementById('peersGrid');
+        if (!grid) return;
+
+        const cardFor = (e) => e.target.closest('.peer-card.connected[data-peer-id]');
+
+        grid.addEventListener('dragover', (e) => {
+            const card = cardFor(e);
+            if (!card) return;
+            e.preventDefault();
+            card.classList.add('dragover');
+        });
+
+        grid.addEventListener('dragleave', (e) => {
+            const card = cardFor(e);
+            if (card && !card.contains(e.relatedTarget)) {
+                card.classList.remove('dragover');
+            }
+        });
+
+        grid.addEventListener('drop', (e) => {
+            const card = cardFor(e);
+            if (!card) return;
+            e.preventDefault();
+            card.classList.remove('dragover');
+            this.handleDataTransfer(e.dataTransfer, card.dataset.peerId);
+            this.switchView('transfers');
+        });
+    }
+
+    handleDataTransfer(dataTransfer, targetPeer = null) {
+        // Handle dropped items (files and folders)
+        const items = dataTransfer.items;
+        if (items) {
+            this.handleDroppedItems(items, targetPeer);
+        } else {
+            const files = Array.from(dataTransfer.files);
+            this.resolveTargetPeer(targetPeer).then(peerId => {
+                if (peerId) this.sendFileSet({ files, unreadable: [] }, peerId);
+            });
+        }
+    }
+
+    /**
+     * Works out which connected peer should receive the next send.
+     * Order: explicit target (device card), the drop zone picker, the only
+     * connected peer, and finally a picker dialog when several are connected.
+     * Resolves to null when nobody can receive the files.
+     */
+    async resolveTargetPeer(explicitPeerId = null) {
+        const connected = this.store.state.connectedPeers;
+
+        if (explicitPeerId && connected.has(explicitPeerId)) {
+            return explicitPeerId;
+        }
+
+        const selected = this.store.state.selectedTargetPeer;
+        if (selected && connected.has(selected)) {
+            return selected;
+        }
+
+        if (connected.size === 0) {
+            this.showNotification(this.t('peers.noConnected'));
+            return null;
+        }
+
+        if (connected.size === 1) {
+            return connected.keys().next().value;
+        }
+
+        return this.showPeerPickerDialog();
+    }
+
+    showPeerPickerDialog(message = this.t('peers.pickMessage')) {
+        return new Promise(resolve => {
+            const peers = Array.from(this.store.state.connectedPeers.keys());
+            const overlay = this.createDialog(`
+                <h2>${this.t('peers.pickTitle')}</h2>
+                <p>${message}</p>
+                <div class="peer-picker-list">
+                    ${peers.map(peerId => `
+                        <button class="peer-picker-item" data-peer-id="${this.escapeHtml(peerId)}">
+                            <span class="peer-picker-name">${this.escapeHtml(this.getPeerDisplayName(peerId))}</span>
+                            <span class="peer-picker-id">${this.escapeHtml(peerId.substring(0, 12))}...</span>
+                        </button>
+                    `).join('')}
+                </div>
+                <div class="dialog-actions">
+                    <button class="btn btn-secondary" data-dialog-cancel>${this.t('peers.pickCancel')}</button>
+                </div>
+            `);
+
+            overlay.querySelectorAll('.peer-picker-item').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.closeDialog(overlay);
+                    resolve(btn.dataset.peerId);
+                });
+            });
+
+            overlay.querySelector('[data-dialog-cancel]').addEventListener('click', () => {
+                this.closeDialog(overlay);
+                resolve(null);
+            });
+        });
+    }
+
+    createDialog(innerHtml, className = '') {
+        const overlay = document.createElement('div');
+        overlay.className = 'dialog-overlay';
+        overlay.innerHTML = `<div class="dialog ${className}">${innerHtml}</div>`;
+        document.body.appendChild(overlay);
+
+        // Animate in
+        setTimeout(() => overlay.classList.add('show'), 10);
+        return overlay;
+    }
+
+    closeDialog(overlay) {
+        overlay.classList.remove('show');
+        setTimeout(() => overlay.remove(), 300);
+    }
+
+    async handleDroppedItems(items, targetPeer = null) {
+        // Entries must be collected synchronously, before the drop event ends
+        const entries = [];
+
+        for (const item of items) {
+            if (item.kind === 'file') {
+                const entry = item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
+                if (entry) {
+                    entries.push(entry);
+                }
+            }
+        }
+
+        const peerId = await this.resolveTargetPeer(targetPeer);
+        if (!peerId) return;
+
+        const collection = await this.collectEntries(entries);
+        this.sendFileSet(collection, peerId);
+    }
+
+    /**
+     * Walks dropped entries and returns every readable file, tagged with its
+     * relative path and top-level folder, plus the paths that could not be
+     * read. Nothing is sent yet, so the pre-flight summary sees the full set.
+     */
+    async collectEntries(entries) {
+        const files = [];
+        const unreadable = [];
+        const filtered = [];
+        const baseRules = this.getFolderFilterRules();
+
+        // Paths inside a dropped folder, relative to that folder
+        const innerPath = (path, name, root) => (path + name).slice(root.length + 1);
+
+        const collectFile = async (entry, path, root, gitRules = []) => {
+            if (root) {
+                const rel = innerPath(path, entry.name, root);
+                if (this.isFilteredOut(rel, false, gitRules, baseRules)) {
+                    filtered.push({ path: path + entry.name, root });
+                    return;
+                }
+            }
+
+            try {
+                const file = await new Promise((resolve, reject) => {
+                    entry.file(resolve, reject);
+                });
+                file.relativePath = path + file.name;
+                file.folderRoot = root;
+                files.push(file);
+
+                // Let the UI breathe on large trees
+                if (files.length % this.transferLimits.batchSize === 0) {
+                    await new Promise(r => setTimeout(r, 0));
+                }
+            } catch (e) {
+                console.warn('Could not read file:', path + entry.name);
+                unreadable.push({ path: path + entry.name, root });
+            }
+        };
+
+        const collectDirectory = async (dirEntry, path, root, gitRules = []) => {
+            // Excluded directories are pruned without being walked
+            if (path && this.isFilteredOut(innerPath(path, dirEntry.name, root), true, gitRules, baseRules)) {
+                filtered.push({ path: path + dirEntry.name + '/', root });
+                return;
+            }
+
+            const reader = dirEntry.createReader();
+            let allEntries = [];
+
+            // readEntries may not return all entries at once
+            const readAllEntries = async () => {
+                const entries = await new Promise((resolve, reject) => {
+                    reader.readEntries(resolve, reject);
+                });
+                if (entries.length > 0) {
+                    allEntries = allEntries.concat(entries);
+                    await readAllEntries();
+                }
+            };
+
+            try {
+                await readAllEntries();
+            } catch (e) {
+                console.warn('Could not read directory:', path + dirEntry.name);
+                unreadable.push({ path: path + dirEntry.name + '/', root });
+                return;
+            }
+
+            const dirPath = path + dirEntry.name + '/';
+            let rules = gitRules;
+            const gitignore = this.folderFilters.useGitignore
+                ? allEntries.find(e => e.isFile && e.name === '.gitignore')
+                : null;
+            if (gitignore) {
+                try {
+                    const file = await new Promise((resolve, reject) => gitignore.file(resolve, reject));
+                    rules = [...gitRules, ...compileIgnorePatterns(await file.text(), dirPath.slice(root.length + 1))];
+                } catch (e) {
+                    console.warn('Could not read .gitignore:', dirPath);
+                }
+            }
+
+            for (const subEntry of allEntries) {
+                if (subEntry.isFile) {
+                    await collectFile(subEntry, dirPath, root, rules);
+                } else if (subEntry.isDirectory) {
+                    await collectDirectory(subEntry, dirPath, root, rules);
+                }
+            }
+        };
+
+        for (const entry of entries) {
+            if (entry.isFile) {
+                await collectFile(entry, '', null);
+            } else if (entry.isDirectory) {
+                await collectDirectory(entry, '', entry.name);
+            }
+        }
+
+        return { files, unreadable, filtered };
+    }
+
+    /**
+     * Applies the folder filters to a flat list from the folder input, where
+     * every file carries its webkitRelativePath.
+     */
+    async filterFileList(files) {
+        const baseRules = this.getFolderFilterRules();
+        const gitRulesByDir = new Map();
+
+        if (this.folderFilters.useGitignore) {
+            for (const file of files) {
+                if (file.name !== '.gitignore' || !file.folderRoot) continue;
+                const dir = file.relativePath.slice(file.folderRoot.length + 1, -file.name.length);
+                try {
+                    gitRulesByDir.set(dir, compileIgnorePatterns(await file.text(), dir));
+                } catch (e) {
+                    console.warn('Could not read .gitignore:', file.relativePath);
+                }
+            }
+        }
+
+        // Shallower .gitignore files first so deeper ones win
+        const gitRules = Array.from(gitRulesByDir.entries())
+            .sort(([a], [b]) => a.length - b.length)
+            .flatMap(([, rules]) => rules);
+
+        const kept = [];
+        const filtered = [];
+        files.forEach(file => {
+            const rel = file.folderRoot ? file.relativePath.slice(file.folderRoot.length + 1) : null;
+            if (rel !== null && this.isFilteredOut(rel, false, gitRules, baseRules)) {
+                filtered.push({ path: file.relativePath, root: file.folderRoot });
+            } else {
+                kept.push(file);
+            }
+        });
+
+        return { files: kept, unreadable: [], filtered };
+    }
+
+    // Folder filters
+    loadFolderFilters() {
+        try {
+            return { ...DEFAULT_FOLDER_FILTERS, ...JSON.parse(localStorage.getItem('syncbeam-folder-filters') || '{}') };
+        } catch (e) {
+            return { ...DEFAULT_FOLDER_FILTERS };
+        }
+    }
+
+    getFolderFilterRules() {
+        return {
+            include: compileIgnorePatterns(this.folderFilters.include),
+            exclude: compileIgnorePatterns(this.folderFilters.exclude)
+        };
+    }
+
+    isFilteredOut(relPath, isDir, gitRules, baseRules) {
+        // Settings patterns come last so they override a folder's .gitignore
+        if (matchesIgnoreRules([...gitRules, ...baseRules.exclude], relPath, isDir)) {
+            return true;
+        }
+        // Include patterns only narrow down files; directories are still walked
+        if (!isDir && baseRules.include.length > 0) {
+            return !matchesIgnoreRules(baseRules.include, relPath, false);
+        }
+        return false;
+    }
+
+    renderFolderFilters() {
+        const include = document.getElementById('includePatternsInput');
+        const exclude = document.getElementById('excludePatternsInput');
+        const gitignore = document.getElementById('useGitignoreInput');
+        if (include) include.value = this.folderFilters.include;
+        if (exclude) exclude.value = this.folderFilters.exclude;
+        if (gitignore) gitignore.checked = this.folderFilters.useGitignore;
+    }
+
+    saveFolderFiltersFromSettings() {
+        this.folderFilters = {
+            include: document.getElementById('includePatternsInput')?.value || '',
+            exclude: document.getElementById('excludePatternsInput')?.value || '',
+            useGitignore: !!document.getElementById('useGitignoreInput')?.checked
+        };
+        localStorage.setItem('syncbeam-folder-filters', JSON.stringify(this.folderFilters));
+        this.showNotification(this.t('settings.filtersSaved'));
+    }
+
+    /**
+     * Sends a collected file set to a peer. Folder sends and anything that
+     * would be cut by the file limit go through the pre-flight summary first.
+     */
+    async sendFileSet({ files, unreadable, filtered = [] }, peerId) {
+        if (files.length === 0 && unreadable.length === 0 && filtered.length === 0) return;
+
+        const { maxFiles } = this.transferLimits;
+        const hasFolders = files.some(f => f.folderRoot) || filtered.length > 0;
+        const needsReview = hasFolders || files.length > maxFiles || unreadable.length > 0;
+
+        const choice = needsReview
+            ? await this.showPreflightDialog(files, unreadable, filtered)
+            : 'continue';
+
+        switch (choice) {
+            case 'continue':
+                await this.sendInBatches(files.slice(0, maxFiles), files.slice(maxFiles), unreadable, peerId);
+                break;
+
+            case 'raise':
+                // Lifts the limit for this send only; the saved setting stays as it is
+                await this.sendInBatches(files, [], unreadable, peerId);
+                break;
+
+            case 'zip':
+                await this.sendAsZip(files, peerId);
+                break;
+        }
+    }
+
+    async sendInBatches(files, excluded, unreadable, peerId) {
+        const { batchSize } = this.transferLimits;
+
+        // Each top-level folder becomes one job; exclusions count as skipped
+        const jobs = new Map();
+        const skipped = new Map();
+        const jobFor = (root) => {
+            if (!root) return null;
+            if (!jobs.has(root)) jobs.set(root, this.createFolderJob(root, peerId));
+            return jobs.get(root);
+        };
+        const skip = (root) => {
+            const job = jobFor(root);
+            if (job) skipped.set(job.id, (skipped.get(job.id) || 0) + 1);
+        };
+
+        files.forEach(file => {
+            file.folderJobId = jobFor(file.folderRoot)?.id || null;
+        });
+        excluded.forEach(file => skip(file.folderRoot));
+        unreadable.forEach(item => skip(item.root));
+        skipped.forEach((count, jobId) => {
+            this.store.dispatch('folderJobUpdated', { jobId, changes: { skipped: count } });
+        });
+
+        for (let i = 0; i < files.length; i += batchSize) {
+            this.handleFiles(files.slice(i, i + batchSize), true, peerId);
+
+            // Small delay to let UI update
+            if (i + batchSize < files.length) {
+                await new Promise(r => setTimeout(r, 10));
+            }
+        }
+    }
+
+    async sendAsZip(files, peerId) {
+        const roots = new Set(files.map(f => f.folderRoot).filter(Boolean));
+        const baseName = roots.size === 1
+            ? [...roots][0]
+            : `syncbeam-${new Date().toISOString().slice(0, 10)}`;
+
+        this.showNotification(this.t('preflight.zipping'));
+
+        try {
+            const blob = await createZipBlob(files.map(f => ({ path: f.relativePath || f.name, file: f })));
+            const zipFile = new File([blob], `${baseName}.zip`, { type: 'application/zip' });
+            this.handleFiles([zipFile], false, peerId);
+        } catch (e) {
+            console.warn('Could not create archive:', e);
+            this.showNotification(`${this.t('preflight.zipFailed')}: ${e.message}`);
+        }
+    }
+
+    showPreflightDialog(files, unreadable, filtered = []) {
+        return new Promise(resolve => {
+            const { maxFiles } = this.transferLimits;
+            const excluded = files.slice(maxFiles);
+            const totalSize = files.reduce((sum, f) => sum + f.size, 0);
+            const excludedSize = excluded.reduce((sum, f) => sum + f.size, 0);
+            const canZip = totalSize <= ZIP_MAX_BYTES && files.length <= ZIP_MAX_ENTRIES;
+            const hasFolders = files.some(f => f.folderRoot) || filtered.length > 0;
+            const PREVIEW = 8;
+
+            const listPaths = (paths) => `
+                <ul class="preflight-paths">
+                    ${paths.slice(0, PREVIEW).map(p => `<li>${this.escapeHtml(p)}</li>`).join('')}
+                    ${paths.length > PREVIEW ? `<li class="preflight-more">+${paths.length - PREVIEW} ${this.t('preflight.more')}</li>` : ''}
+                </ul>
+            `;
+
+            const overlay = this.createDialog(`
+                <h2>${this.t('preflight.title')}</h2>
+                <div class="preflight-summary">
+                    <div><span>${this.t('preflight.files')}</span><strong>${files.length}</strong></div>
+                    <div><span>${this.t('preflight.totalSize')}</span><strong>${this.formatSize(totalSize)}</strong></div>
+                    <div><span>${this.t('preflight.willSend')}</span><strong>${Math.min(files.length, maxFiles)}</strong></div>
+                </div>
+                ${filtered.length > 0 ? `
+                    <div class="preflight-section">
+                        <strong>${this.t('preflight.filtered')}: ${filtered.length}</strong>
+                        ${listPaths(filtered.map(f => f.path))}
+                    </div>
+                ` : ''}
+                ${excluded.length > 0 ? `
+                    <div class="preflight-section warning">
+                        <strong>${this.t('preflight.excluded')} (${maxFiles}): ${excluded.length} · ${this.formatSize(excludedSize)}</strong>
+                        ${listPaths(excluded.map(f => f.relativePath || f.name))}
+                    </div>
+                ` : ''}
+                ${unreadable.length > 0 ? `
+                    <div class="preflight-section error">
+                        <strong>${this.t('preflight.unreadable')}: ${unreadable.length}</strong>
+                        ${listPaths(unreadable.map(u => u.path))}
+                    </div>
+                ` : ''}
+                <div class="dialog-actions preflight-actions">
+                    <button class="btn btn-secondary" data-choice="cancel">${this.t('preflight.cancel')}</button>
+                    ${files.length > 0 && (hasFolders || excluded.length > 0) ? `
+                        <button class="btn btn-secondary" data-choice="zip" ${canZip ? '' : 'disabled'}
+                                title="${canZip ? '' : this.t('preflight.zipTooLarge')}">${this.t('preflight.zip')}</button>
+                    ` : ''}
+                    ${excluded.length > 0 ? `
+                        <button class="btn btn-secondary" data-choice="raise">${this.t('preflight.raise')}</button>
+                    ` : ''}
+                    <button class="btn btn-primary" data-choice="continue" ${files.length > 0 ? '' : 'disabled'}>${this.t('preflight.continue')}</button>
+                </div>
+            `, 'preflight-dialog');
+
+            overlay.querySelectorAll('[data-choice]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.closeDialog(overlay);
+                    resolve(btn.dataset.choice);
+                });
+            });
+        });
+    }
+
+    // Transfer limits
+    loadTransferLimits() {
+        const defaults = {
+            maxFiles: DEFAULT_MAX_FILES,
+            batchSize: DEFAULT_BATCH_SIZE,
+            concurrency: DEFAULT_CONCURRENT_SENDS
+        };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem('syncbeam-transfer-limits') || '{}') };
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    saveTransferLimits(limits) {
+        this.transferLimits = limits;
+        localStorage.setItem('syncbeam-transfer-limits', JSON.stringify(limits));
+        this.renderTransferLimits();
+        this.pumpQueue();
+    }
+
+    renderTransferLimits() {
+        const maxFilesInput = document.getElementById('maxFilesInput');
+        const batchSizeInput = document.getElementById('batchSizeInput');
+        if (maxFilesInput) maxFilesInput.value = this.transferLimits.maxFiles;
+        if (batchSizeInput) batchSizeInput.value = this.transferLimits.batchSize;
+        const concurrencyInput = document.getElementById('concurrencyInput');
+        if (concurrencyInput) concurrencyInput.value = this.transferLimits.concurrency;
+    }
+
+    saveTransferLimitsFromSettings() {
+        const maxFiles = parseInt(document.getElementById('maxFilesInput')?.value, 10);
+        const batchSize = parseInt(document.getElementById('batchSizeInput')?.value, 10);
+        const concurrency = parseInt(document.getElementById('concurrencyInput')?.value, 10);
+
+        if (isNaN(maxFiles) || maxFiles < 1 || maxFiles > 100000 ||
+            isNaN(batchSize) || batchSize < 1 || batchSize > 500 ||
+            isNaN(concurrency) || concurrency < 1 || concurrency > 10) {
+            this.showNotification(this.t('settings.limitsInvalid'));
+            this.renderTransferLimits();
+            return;
+        }
+
+        this.saveTransferLimits({ maxFiles, batchSize, concurrency });
+        this.showNotification(this.t('settings.limitsSaved'));
+    }
+
+    // Retry policy
+    loadRetryPolicy() {
+        try {
+            return { ...DEFAULT_RETRY_POLICY, ...JSON.parse(localStorage.getItem('syncbeam-retry-policy') || '{}') };
+        } catch (e) {
+            return { ...DEFAULT_RETRY_POLICY };
+        }
+    }
+
+    renderRetryPolicy() {
+        const attempts = document.getElementById('maxAttemptsInput');
+        const delay = document.getElementById('retryDelayInput');
+        const onReconnect = document.getElementById('retryOnReconnectInput');
+        if (attempts) attempts.value = this.retryPolicy.maxAttempts;
+        if (delay) delay.value = this.retryPolicy.baseDelay;
+        if (onReconnect) onReconnect.checked = this.retryPolicy.onReconnectOnly;
+    }
+
+    saveRetryPolicyFromSettings() {
+        const maxAttempts = parseInt(document.getElementById('maxAttemptsInput')?.value, 10);
+        const baseDelay = parseInt(document.getElementById('retryDelayInput')?.value, 10);
+
+        if (isNaN(maxAttempts) || maxAttempts < 1 || maxAttempts > 10 ||
+            isNaN(baseDelay) || baseDelay < 1 || baseDelay > 300) {
+            this.showNotification(this.t('settings.retriesInvalid'));
+            this.renderRetryPolicy();
+            return;
+        }
+
+        this.retryPolicy = {
+            maxAttempts,
+            baseDelay,
+            onReconnectOnly: !!document.getElementById('retryOnReconnectInput')?.checked
+        };
+        localStorage.setItem('syncbeam-retry-policy', JSON.stringify(this.retryPolicy));
+        this.showNotification(this.t('settings.retriesSaved'));
+    }
+
+    async processEntry(entry, files, path = '') {
+        // Kept for compatibility but not used for drag & drop anymore
+        if (entry.isFile) {
+            try {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                file.relativePath = path + file.name;
+                files.push(file);
+            } catch (e) {
+                console.warn('Could not read file:', path + entry.name);
+            }
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            try {
+                const entries = await new Promise((resolve, reject) => {
+                    reader.readEntries(resolve, reject);
+                });
+                for (const subEntry of entries) {
+                    await this.processEntry(subEntry, files, path + entry.name + '/');
+                }
+            } catch (e) {
+                console.warn('Could not read directory:', path + entry.name);
+            }
+        }
+    }
+
+    handleFiles(files, preservePath = false, peerId = null) {
+        const MAX_VISIBLE_TRANSFERS = 100;
+
+        const transfers = files.map(file => {
+            const filePath = preservePath ? (file.relativePath || file.webkitRelativePath || file.name) : file.name;
+            const transfer = {
+                id: this.createTransferId(),
+                name: filePath,
+                size: file.size,
+                type: file.type,
+                progress: 0,
+                speed: null,
+                status: 'queued',
+                direction: 'outgoing',
+                peerId: peerId,
+                jobId: file.folderJobId || null,
+                startedAt: Date.now()
+            };
+            // Kept in memory so failed sends can be retried
+            this.transferFiles.set(transfer.id, file);
+            return transfer;
+        });
+        // Add to transfers list immediately
+        this.store.dispatch('transfersQueued', { transfers });
+
+        // Limit visible transfers to prevent UI slowdown. Only finished standalone
+        // rows are trimmed: folder jobs, queued, active and retrying sends are
+        // still tracked by the queue and retry timers.
+        const finished = this.store.state.transfers.filter(t => !t.jobId && this.isFinishedStatus(t.status));
+        if (finished.length > MAX_VISIBLE_TRANSFERS) {
+            // Keep only the most recent transfers
+            const dropped = finished.slice(0, finished.length - MAX_VISIBLE_TRANSFERS).map(t => t.id);
+            this.store.dispatch('transfersRemoved', { transferIds: dropped });
+        }
+
+        this.pumpQueue();
+    }
+
+    createTransferId() {
+        return `transfer-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    getTransfer(transferId) {
+        return this.store.state.transfers.find(t => t.id === transferId) || null;
+    }
+
+    dispatchSendFile(transfer) {
+        this.sendToBackend('sendFile', {
+            transferId: transfer.id,
+            peerId: transfer.peerId,
+            name: this.transferFiles.get(transfer.id)?.name || transfer.name,
+            path: transfer.name,
+            size: transfer.size,
+            type: transfer.type
+        });
+    }
+
+    retryTransfer(transfer) {
+        if (!this.transferFiles.has(transfer.id)) return false;
+
+        // The backend forgets failed transfers, so retries get a fresh id
+        this.clearRetryTimer(transfer.id);
+        this.restartTransfer(transfer.id, {
+            status: 'queued',
+            startedAt: Date.now(),
+            historyRecorded: false,
+            retryAt: null,
+            waitingForPeer: false
+        }, false);
+        this.pumpQueue();
+        return true;
+    }
+
+    // Puts a send back in the queue from the start, under a fresh id
+    restartTransfer(transferId, changes, front) {
+        const id = this.createTransferId();
+        this.transferFiles.set(id, this.transferFiles.get(transferId));
+        this.store.dispatch('transferRequeued', {
+            transferId,
+            changes: { ...SPEED_STATS_RESET, progress: 0, bytesTransferred: 0, dispatched: false, ...changes, id },
+            front
+        });
+    }
+
+    retryTransferNow(transferId) {
+        const transfer = this.getTransfer(transferId);
+        if (transfer && (transfer.status === 'failed' || transfer.status === 'retrying')) {
+            this.retryTransfer(transfer);
+        }
+    }
+
+    // Automatic retries
+    recordSendAttempt(transfer, errorMessage) {
+        this.store.dispatch('transferUpdated', {
+            transferId: transfer.id,
+            changes: {
+                attempts: [...(transfer.attempts || []), { at: Date.now(), error: errorMessage || null }],
+                lastError: errorMessage || null
+            }
+        });
+    }
+
+    scheduleAutoRetry(transferId) {
+        const { maxAttempts, baseDelay, onReconnectOnly } = this.retryPolicy;
+        const transfer = this.getTransfer(transferId);
+        if (!this.transferFiles.has(transferId) || transfer.attempts.length >= maxAttempts) return false;
+
+        this.clearRetryTimer(transferId);
+        const changes = { ...SPEED_STATS_RESET, status: 'retrying', dispatched: false };
+
+        if (onReconnectOnly && transfer.peerId) {
+            this.store.dispatch('transferUpdated', { transferId, changes: { ...changes, retryAt: null, waitingForPeer: true } });
+            return true;
+        }
+
+        const delay = Math.min(baseDelay * 1000 * Math.pow(2, transfer.attempts.length - 1), RETRY_MAX_DELAY_MS);
+        this.store.dispatch('transferUpdated', {
+            transferId,
+            changes: { ...changes, retryAt: Date.now() + delay, waitingForPeer: false }
+        });
+        this.retryTimers.set(transferId, setTimeout(() => this.runAutoRetry(transferId), delay));
+        return true;
+    }
+
+    runAutoRetry(transferId) {
+        this.retryTimers.delete(transferId);
+        const transfer = this.getTransfer(transferId);
+        // Cancelled or paused while waiting
+        if (transfer?.status !== 'retrying') return;
+
+        if (transfer.peerId && !this.store.state.connectedPeers.has(transfer.peerId)) {
+            this.store.dispatch('transferUpdated', { transferId, changes: { retryAt: null, waitingForPeer: true } });
+            return;
+        }
+        this.retryTransfer(transfer);
+    }
+
+    retryWaitingTransfers(peerId) {
+        this.store.state.transfers
+            .filter(t => t.status === 'retrying' && t.waitingForPeer && t.peerId === peerId)
+            .forEach(t => this.retryTransfer(t));
+    }
+
+    clearRetryTimer(transferId) {
+        if (this.retryTimers.has(transferId)) {
+            clearTimeout(this.retryTimers.get(transferId));
+            this.retryTimers.delete(transferId);
+        }
+    }
+
+    // Drops the files and timers of transfers that left the store
+    releaseTransferHandles(transfers) {
+        const live = new Set(transfers.map(t => t.id));
+        for (const id of this.transferFiles.keys()) {
+            if (!live.has(id)) this.transferFiles.delete(id);
+        }
+        for (const id of this.retryTimers.keys()) {
+            if (!live.has(id)) this.clearRetryTimer(id);
+        }
+    }
+
+    // Transfer Queue
+    isQueuedStatus(status) {
+        return status === 'queued' || status === 'paused';
+    }
+
+    isFinishedStatus(status) {
+        return status === 'completed' || status === 'failed' || status === 'cancelled';
+    }
+
+    isActiveSend(transfer) {
+        return transfer.direction === 'outgoing' && transfer.dispatched &&
+            (transfer.status === 'pending' || transfer.status === 'sending');
+    }
+
+    pumpQueue() {
+        const { transfers, sendQueue, queuePaused } = this.store.state;
+        const byId = new Map(transfers.map(t => [t.id, t]));
+        const starting = [];
+
+        if (!queuePaused) {
+            let active = transfers.filter(t => this.isActiveSend(t)).length;
+            const limit = this.transferLimits.concurrency;
+
+            for (const id of sendQueue) {
+                if (active >= limit) break;
+                if (byId.get(id)?.status !== 'queued') continue;
+                starting.push(id);
+                active++;
+            }
+        }
+
+        // Ids whose transfers were cancelled or removed meanwhile are dropped too
+        const stale = sendQueue.some(id => !this.isQueuedStatus(byId.get(id)?.status));
+        if (starting.length === 0 && !stale) return;
+
+        this.store.dispatch('queuePumped', { transferIds: starting, startedAt: Date.now() });
+        starting.forEach(id => this.dispatchSendFile(this.getTransfer(id)));
+    }
+
+    // A queue entry is either a standalone transfer or a whole folder job
+    getQueueEntryIds(key) {
+        if (!this.store.state.folderJobs.has(key)) return [key];
+        const jobIds = new Set(this.getJobTransfers(key).map(t => t.id));
+        return this.store.state.sendQueue.filter(id => jobIds.has(id));
+    }
+
+    getQueueEntries() {
+        const { transfers, sendQueue, folderJobs } = this.store.state;
+        const byId = new Map(transfers.map(t => [t.id, t]));
+        const entries = [];
+        const jobEntries = new Map();
+
+        sendQueue.forEach(id => {
+            const transfer = byId.get(id);
+            if (!transfer) return;
+
+            const job = transfer.jobId ? folderJobs.get(transfer.jobId) : null;
+            if (!job) {
+                entries.push({ key: id, name: transfer.name, peerId: transfer.peerId, count: 1, size: transfer.size || 0, paused: transfer.status === 'paused' });
+                return;
+            }
+
+            let entry = jobEntries.get(job.id);
+            if (!entry) {
+                entry = { key: job.id, job, name: job.name, peerId: job.peerId, count: 0, size: 0, paused: true };
+                jobEntries.set(job.id, entry);
+                entries.push(entry);
+            }
+            entry.count++;
+            entry.size += transfer.size || 0;
+            entry.paused = entry.paused && transfer.status === 'paused';
+        });
+
+        return entries;
+    }
+
+    moveQueueEntry(key, beforeKey = null) {
+        if (key === beforeKey) return;
+
+        const { sendQueue } = this.store.state;
+        const moving = new Set(this.getQueueEntryIds(key));
+        const rest = sendQueue.filter(id => !moving.has(id));
+        let index = 0;
+        if (beforeKey) {
+            const target = new Set(this.getQueueEntryIds(beforeKey));
+            index = rest.findIndex(id => target.has(id));
+            if (index === -1) index = rest.length;
+        }
+
+        rest.splice(index, 0, ...sendQueue.filter(id => moving.has(id)));
+        this.store.dispatch('queueReordered', { sendQueue: rest });
+    }
+
+    bumpQueueEntry(key) {
+        this.moveQueueEntry(key, null);
+        this.pumpQueue();
+    }
+
+    pauseTransferRecord(transfer) {
+        if (transfer.status === 'queued') {
+            this.store.dispatch('transferUpdated', { transferId: transfer.id, changes: { status: 'paused' } });
+            return;
+        }
+        if (transfer.status === 'retrying') {
+            this.clearRetryTimer(transfer.id);
+            this.store.dispatch('transferRequeued', {
+                transferId: transfer.id,
+                changes: { retryAt: null, waitingForPeer: false, status: 'paused' },
+                front: false
+            });
+            return;
+        }
+        if (!this.isActiveSend(transfer) || !this.transferFiles.has(transfer.id)) return;
+
+        // The host cannot pause a running send, so it is cancelled there and
+        // restarted from the beginning on resume
+        this.sendToBackend('cancelTransfer', { peerId: transfer.peerId, transferId: transfer.id });
+        this.restartTransfer(transfer.id, { status: 'paused' }, true);
+    }
+
+    getEntryTransfers(key) {
+        if (this.store.state.folderJobs.has(key)) return this.getJobTransfers(key);
+        const transfer = this.getTransfer(key);
+        return transfer ? [transfer] : [];
+    }
+
+    pauseQueueEntry(key) {
+        this.getEntryTransfers(key).forEach(t => this.pauseTransferRecord(t));
+        this.pumpQueue();
+    }
+
+    resumeQueueEntry(key) {
+        this.store.dispatch('transfersResumed', { transferIds: this.getEntryTransfers(key).map(t => t.id) });
+        this.pumpQueue();
+    }
+
+    toggleQueuePaused() {
+        const { queuePaused, transfers } = this.store.state;
+        this.store.dispatch('queuePausedChanged', { paused: !queuePaused });
+        if (queuePaused) {
+            this.store.dispatch('transfersResumed', { transferIds: transfers.map(t => t.id) });
+        } else {
+            transfers
+                .filter(t => t.direction === 'outgoing')
+                .forEach(t => this.pauseTransferRecord(t));
+        }
+        this.pumpQueue();
+    }
+
+    setupTransferQueue() {
+        const panel = document.getElementById('transferQueue');
+        if (!panel) return;
+
+        // Listeners live on the panel, so they survive every re-render
+        panel.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('[data-queue-key]');
+            if (!item) return;
+            this.draggedQueueKey = item.dataset.queueKey;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.queueKey);
+            item.classList.add('dragging');
+        });
+
+        panel.addEventListener('dragover', (e) => {
+            const item = e.target.closest('[data-queue-key]');
+            if (!item || !this.draggedQueueKey) return;
+            e.preventDefault();
+            panel.querySelectorAll('.drop-before').forEach(el => el.classList.remove('drop-before'));
+            item.classList.add('drop-before');
+        });
+
+        panel.addEventListener('drop', (e) => {
+            const item = e.target.closest('[data-queue-key]');
+            if (!item || !this.draggedQueueKey) return;
+            e.preventDefault();
+            this.moveQueueEntry(this.draggedQueueKey, item.dataset.queueKey);
+        });
+
+        panel.addEventListener('dragend', () => {
+            this.draggedQueueKey = null;
+            panel.querySelectorAll('.dragging, .drop-before').forEach(el => {
+                el.classList.remove('dragging', 'drop-before');
+            });
+        });
+    }
+
+    renderTransferQueue() {
+        const panel = document.getElementById('transferQueue');
+        if (!panel) return;
+
+        const entries = this.getQueueEntries();
+        const { transfers, queuePaused } = this.store.state;
+        const hasActive = transfers.some(t => this.isActiveSend(t));
+        if (entries.length === 0 && !hasActive && !queuePaused) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+            return;
+        }
+
+        panel.hidden = false;
+        panel.innerHTML = `
+            <div class="transfer-queue-header">
+                <span class="transfer-queue-title">${this.t('transfers.queue')} (${entries.length})</span>
+                ${entries.length > 1 ? `<span class="transfer-queue-hint">${this.t('transfers.queueHint')}</span>` : ''}
+                <button class="btn btn-secondary btn-sm" data-action="toggleQueuePaused">
+                    ${this.t(queuePaused ? 'transfers.resumeAll' : 'transfers.pauseAll')}
+                </button>
+            </div>
+            ${entries.map((entry, index) => `
+                <div class="transfer-queue-item ${entry.paused ? 'paused' : ''}" draggable="true" data-queue-key="${this.escapeHtml(entry.key)}">
+                    <span class="transfer-queue-handle">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="4" y1="9" x2="20" y2="9"/>
+                            <line x1="4" y1="15" x2="20" y2="15"/>
+                        </svg>
+                    </span>
+                    <div class="transfer-queue-info">
+                        <div class="transfer-name">${this.escapeHtml(entry.name)}</div>
+                        <div class="transfer-meta">
+                            ${entry.job ? `<span>${entry.count} ${this.t('transfers.queuedFiles')}</span>` : ''}
+                            <span>${this.formatSize(entry.size)}</span>
+                            ${entry.peerId ? `<span class="transfer-peer">${this.t('transfers.to')}: ${this.escapeHtml(this.getPeerDisplayName(entry.peerId))}</span>` : ''}
+                            <span class="transfer-status">${this.t(entry.paused ? 'transfers.status.paused' : 'transfers.status.queued')}</span>
+                        </div>
+                    </div>
+                    ${index > 0 ? `
+                        <button class="transfer-action" data-action="bumpQueueEntry" data-id="${this.escapeHtml(entry.key)}" title="${this.t('transfers.moveToTop')}">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="18,11 12,5 6,11"/>
+                                <line x1="12" y1="5" x2="12" y2="19"/>
+                            </svg>
+                        </button>
+                    ` : ''}
+                    ${this.renderPauseButton(entry.key, entry.paused)}
+                    <button class="transfer-cancel" data-action="${entry.job ? 'cancelFolderJob' : 'cancelTransfer'}" data-id="${this.escapeHtml(entry.key)}" title="${this.t('transfers.cancel')}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    renderPauseButton(key, paused) {
+        return `
+            <button class="transfer-action" data-action="${paused ? 'resumeQueueEntry' : 'pauseQueueEntry'}" data-id="${this.escapeHtml(key)}" title="${this.t(paused ? 'transfers.resume' : 'transfers.pause')}">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    ${paused
+                        ? '<polygon points="6,4 20,12 6,20"/>'
+                        : '<line x1="9" y1="5" x2="9" y2="19"/><line x1="15" y1="5" x2="15" y2="19"/>'}
+                </svg>
+            </button>
+        `;
+    }
+
+    scheduleRenderTransfers() {
+        if (this._renderTimeout) {
+            clearTimeout(this._renderTimeout);
+        }
+        this._renderTimeout = setTimeout(() => {
+            this.renderTransfers();
+            this._renderTimeout = null;
+        }, 50);
+    }
+
+    setupEventListeners() {
+        const refreshBtn = document.getElementById('refreshBtn');
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => {
+                this.sendToBackend('refresh', {});
+            });
+        }
+
+        const clipboardSync = document.getElementById('clipboardSync');
+        if (clipboardSync) {
+            clipboardSync.addEventListener('change', () => this.syncClipboardSettings());
+        }
+
+        const openLinks = document.getElementById('clipboardOpenLinksInput');
+        if (openLinks) {
+            openLinks.addEventListener('change', () => {
+                this.clipboardSettings = { ...this.clipboardSettings, openLinksOnArrival: openLinks.checked };
+                localStorage.setItem('syncbeam-clipboard-settings', JSON.stringify(this.clipboardSettings));
+            });
+        }
+    }
+
+    // Rendered markup names its handler with data-action (arguments go in other
+    // data-* attributes) and one delegated listener per event type dispatches it,
+    // so nothing depends on inline script or a global app instance.
+    // Checkboxes and selects fire on change, everything else on click.
+    setupActions() {
+        const actions = {
+            // Header, devices and scanning
+            showLocalIdentityDialog: () => this.showLocalIdentityDialog(),
+            showConnectDialog: () => this.showConnectDialog(),
+            toggleNetworkScan: () => this.toggleNetworkScan(),
+            connectToDevice: (el) => this.connectToDevice(el.dataset.peerId, el.dataset.ip),
+            connectToBookmark: (el) => this.connectToBookmark(el.dataset.id),
+            removeBookmark: (el) => this.removeBookmark(el.dataset.id),
+            setBookmarkAutoReconnect: (el) => this.setBookmarkAutoReconnect(el.dataset.id, el.checked),
+            sendFileToPeer: (el) => this.sendFileToPeer(el.dataset.id),
+            showVerifyDialog: (el) => this.showVerifyDialog(el.dataset.id),
+            showPeerProfileDialog: (el) => this.showPeerProfileDialog(el.dataset.id),
+            forgetPeerProfile: (el) => this.forgetPeerProfile(el.dataset.id),
+            toggleDeviceFilter: (el) => this.toggleDeviceFilter(el.dataset.filter),
+            toggleDeviceTypeFilter: (el) => this.toggleDeviceTypeFilter(el.dataset.id),
+            clearDeviceFilters: () => this.clearDeviceFilters(),
+            sortInventory: (el) => this.sortInventory(el.dataset.id),
+            forgetInventoryDevice: (el) => this.forgetInventoryDevice(el.dataset.id),
+
+            // Transfers, queue and incoming offers
+            toggleQueuePaused: () => this.toggleQueuePaused(),
+            bumpQueueEntry: (el) => this.bumpQueueEntry(el.dataset.id),
+            pauseQueueEntry: (el) => this.pauseQueueEntry(el.dataset.id),
+            resumeQueueEntry: (el) => this.resumeQueueEntry(el.dataset.id),
+            cancelTransfer: (el) => this.cancelTransfer(el.dataset.id),
+            retryTransferNow: (el) => this.retryTransferNow(el.dataset.id),
+            toggleTransferAttempts: (el) => this.toggleTransferAttempts(el.dataset.id),
+            toggleFolderJob: (el) => this.toggleFolderJob(el.dataset.id),
+            toggleFolderJobDir: (el) => this.toggleFolderJobDir(el.dataset.id, el.dataset.dir),
+            retryFailedInJob: (el) => this.retryFailedInJob(el.dataset.id),
+            cancelFolderJob: (el) => this.cancelFolderJob(el.dataset.id),
+            acceptOffer: (el) => this.acceptOffer(el.dataset.id),
+            rejectOffer: (el) => this.rejectOffer(el.dataset.id),
+            alwaysAcceptFrom: (el) => this.alwaysAcceptFrom(el.dataset.id),
+            acceptAllOffers: () => this.acceptAllOffers(),
+            rejectAllOffers: () => this.rejectAllOffers(),
+            exportHistory: (el) => this.exportHistory(el.dataset.format),
+            clearTransferHistory: () => this.clearTransferHistory(),
+
+            // Clipboard and snippets
+            toggleRevealClipboardItem: (el) => this.toggleRevealClipboardItem(el.dataset.id),
+            togglePinClipboardItem: (el) => this.togglePinClipboardItem(el.dataset.id),
+            copyClipboardItem: (el) => this.copyClipboardItem(el.dataset.id, el.dataset.mode),
+            openSnippetUrl: (el) => this.openSnippetUrl(el.dataset.id),
+            pushClipboardItem: (el) => this.pushClipboardItem(el.dataset.id),
+            setClipboardPeerRule: (el) => this.setClipboardPeerRule(el.dataset.id, el.dataset.direction, el.checked),
+            toggleComposePeer: (el) => this.toggleComposePeer(el.dataset.id, el.checked),
+            sendSnippet: () => this.sendSnippet(),
+            clearClipboardHistory: () => this.clearClipboardHistory(),
+
+            // Settings and diagnostics
+            savePort: () => this.savePort(),
+            saveTransferLimitsFromSettings: () => this.saveTransferLimitsFromSettings(),
+            saveRetryPolicyFromSettings: () => this.saveRetryPolicyFromSettings(),
+            saveClipboardSettingsFromSettings: () => this.saveClipboardSettingsFromSettings(),
+            saveClipboardPrivacyFromSettings: () => this.saveClipboardPrivacyFromSettings(),
+            saveFolderFiltersFromSettings: () => this.saveFolderFiltersFromSettings(),
+            configureFirewall: () => this.configureFirewall(),
+            configureUpnp: () => this.configureUpnp(),
+            runDiagnostics: () => this.runDiagnostics(),
+            clearProtocolLog: () => this.clearProtocolLog(),
+            exportActionLog: () => this.exportActionLog(),
+
+            // Update banner
+            downloadUpdate: (el) => this.downloadUpdate(el.dataset.url),
+            dismissUpdateBanner: (el) => el.closest('.update-banner')?.remove()
+        };
+
+        const dispatch = (e) => {
+            const el = e.target.closest?.('[data-action]');
+            if (!el) return;
+            const onChange = el.matches('input, select');
+            if ((e.type === 'change') !== onChange) return;
+
+            const handler = actions[el.dataset.action];
+            if (!handler) {
+                console.warn('Unknown action:', el.dataset.action);
+                return;
+            }
+            handler(el, e);
+        };
+
+        document.addEventListener('click', dispatch);
+        document.addEventListener('change', dispatch);
+    }
+
+    // Views render from store state: each subscription names the slices a view
+    // depends on, so actions never have to remember which renders to call
+    setupStoreSubscriptions() {
+        this.store.subscribe(state => [state.localPeerId, state.localFingerprint, state.listenPort], () => {
+            this.updateLocalPeerInfo();
+            this.updateSettingsInfo();
+        });
+        // isScanning decides the empty device grid's message
+        this.store.subscribe(state => [
+            state.discoveredPeers, state.connectedPeers, state.networkDevices, state.selectedTargetPeer, state.isScanning
+        ], () => this.renderPeers());
+        this.store.subscribe(state => [state.isScanning, state.scan], () => this.renderScanStatus());
+
+        this.store.subscribe(state => state.transfers, transfers => this.releaseTransferHandles(transfers));
+        this.store.subscribe(state => [state.transfers, state.folderJobs, state.sendQueue, state.queuePaused],
+            () => this.scheduleRenderTransfers());
+        this.store.subscribe(state => state.incomingOffers, () => this.renderIncomingOffers());
+        this.store.subscribe(state => state.transferHistory, () => {
+            this.saveTransferHistory();
+            this.scheduleHistoryRender();
+        });
+        this.store.subscribe(state => state.clipboardHistory, () => this.renderClipboard());
+        this.store.subscribe(state => state.sentSnippets, () => this.renderSentSnippets());
+    }
+
+    setupSyncBeamBridge() {
+        window.addEventListener('syncbeam', (e) => {
+            const { event, data } = e.detail;
+            this.handleBackendEvent(event, data);
+        });
+    }
+
+    validateBackendEvent(event, data) {
+        const schema = EVENT_SCHEMAS[event];
+        if (!schema) {
+            this.logProtocolIssue('unknown', event, 'No schema for this event');
+            return false;
+        }
+
+        const problems = validatePayload(schema, data ?? {});
+        if (problems.length > 0) {
+            this.logProtocolIssue('malformed', event, problems.join('; '));
+            return false;
+        }
+        return true;
+    }
+
+    checkProtocolVersion(hostVersion) {
+        this.hostProtocolVersion = hostVersion ?? null;
+        this.rpc.matchUntaggedReplies = hostVersion == null || hostVersion < RPC_REQUEST_ID_VERSION;
+
+        if (hostVersion == null) {
+            this.logProtocolIssue('version', 'initialized', this.t('protocol.missing'));
+        } else if (hostVersion !== PROTOCOL_VERSION) {
+            this.logProtocolIssue('version', 'initialized', `UI v${PROTOCOL_VERSION}, host v${hostVersion}`);
+            this.showNotification(this.t('protocol.mismatch'));
+        }
+
+        this.renderProtocolInfo();
+    }
+
+    logProtocolIssue(kind, event, detail) {
+        console.warn(`Backend event ${kind}: ${event} - ${detail}`);
+
+        this.protocolLog.unshift({ kind, event, detail, timestamp: new Date() });
+        if (this.protocolLog.length > 50) {
+            this.protocolLog = this.protocolLog.slice(0, 50);
+        }
+
+        this.renderProtocolInfo();
+    }
+
+    clearProtocolLog() {
+        this.protocolLog = [];
+        this.renderProtocolInfo();
+    }
+
+    // Feeding the actions to Store.replay(STORE_REDUCERS, createInitialStoreState(), actions)
+    // rebuilds the app state at the time of export. Sensitive clipboard items never
+    // leave memory, so their content is blanked here and replays as empty.
+    exportActionLog() {
+        const actions = this.store.actionLog.map(action => action.type === 'clipboardItemAdded' && action.payload.item.sensitive
+            ? { ...action, payload: { item: { ...action.payload.item, text: '', html: null, image: null, files: [] } } }
+            : action);
+        const content = JSON.stringify({
+            protocolVersion: PROTOCOL_VERSION,
+            exportedAt: new Date().toISOString(),
+            // Replay is exact only when no early actions were dropped from the log
+            complete: actions.length === 0 || actions[0].seq === 1,
+            actions
+        }, null, 2);
+        this.downloadFile(content, 'application/json', `syncbeam-actions-${new Date().toISOString().slice(0, 10)}.json`);
+    }
+
+    renderProtocolInfo() {
+        const uiVersion = document.getElementById('uiProtocolVersion');
+        const hostVersion = document.getElementById('hostProtocolVersion');
+        const log = document.getElementById('protocolLog');
+
+        if (uiVersion) uiVersion.textContent = `v${PROTOCOL_VERSION}`;
+        if (hostVersion) {
+            hostVersion.textContent = this.hostProtocolVersion != null ? `v${this.hostProtocolVersion}` : '-';
+        }
+        if (!log) return;
+
+        if (this.protocolLog.length === 0) {
+            log.innerHTML = `<p class="protocol-log-empty">${this.t('settings.eventLogEmpty')}</p>`;
+            return;
+        }
+
+        log.innerHTML = this.protocolLog.map(entry => `
+            <div class="protocol-log-entry ${entry.kind}">
+                <span class="protocol-log-time">${this.formatTime(entry.timestamp)}</span>
+                <span class="protocol-log-event">${this.escapeHtml(entry.event)}</span>
+                <span class="protocol-log-detail">${this.escapeHtml(entry.detail)}</span>
+            </div>
+        `).join('');
+    }
+
+    handleBackendEvent(event, data) {
+        if (!this.validateBackendEvent(event, data)) return;
+        data = data ?? {};
+
+        // A reply claimed by an awaiting caller is handled by that caller
+        if (this.rpc.handleEvent(event, data)) return;
+
+        // Store state and the views subscribed to it update through these actions;
+        // the cases below only handle side effects
+        switch (event) {
+            case 'state': {
+                const allowed = data.connectedPeers.filter(p => !this.isPeerRefused(p));
+                allowed.forEach(p => this.rememberPeerFingerprint(p.peerId, p.fingerprint));
+                this.store.dispatch(event, { ...data, connectedPeers: allowed });
+                break;
+            }
+
+            case 'peerConnected':
+                // Blocked peers and peers whose key does not match their ID are refused instead
+                if (!this.isPeerRefused(data)) {
+                    this.rememberPeerFingerprint(data.peerId, data.fingerprint);
+                    this.store.dispatch(event, data);
+                }
+                break;
+
+            default:
+                this.store.dispatch(event, data);
+        }
+
+        switch (event) {
+            case 'initialized':
+                this.checkProtocolVersion(data.protocolVersion);
+                break;
+
+            case 'state':
+                data.connectedPeers
+                    .filter(p => this.isPeerRefused(p))
+                    .forEach(p => this.refusePeer(p.peerId));
+                // Update network status panel with initial state
+                this.updateFullNetworkStatus(data);
+                // Wait for the first state so peers that are already connected are skipped
+                if (!this.bookmarksReconnected) {
+                    this.bookmarksReconnected = true;
+                    this.reconnectBookmarks();
+                }
+                break;
+
+            case 'peerDiscovered':
+                this.recordDeviceSighting({ peerId: data.peerId, ip: data.endpoint?.split(':')[0], hasSyncBeam: true });
+                break;
+
+            case 'peerConnected':
+                if (this.isPeerRefused(data)) {
+                    this.refusePeer(data.peerId);
+                    break;
+                }
+                this.recordDeviceSighting({ peerId: data.peerId, hasSyncBeam: true });
+                this.showNotification('Connected successfully!');
+                this.retryWaitingTransfers(data.peerId);
+                break;
+
+            case 'peerConnectionFailed':
+                this.showNotification(`Connection failed: ${data.errorMessage || 'Unknown error'}`);
+                break;
+
+            case 'transferProgress':
+                this.updateTransferProgress(data);
+                break;
+
+            case 'transferStarted':
+                this.updateTransferStatus(data.transferId, 'sending');
+                break;
+
+            case 'transferCompleted':
+                if (data.success === false) {
+                    this.updateTransferStatus(data.transferId, 'failed', null, data.errorMessage);
+                    break;
+                }
+                this.updateTransferStatus(data.transferId, 'completed', 100);
+                const finished = this.getTransfer(data.transferId);
+                if (finished?.jobId) {
+                    // Folder files stay until the whole job is done
+                    this.finishFolderJobIfDone(finished.jobId);
+                    break;
+                }
+                // Remove after 3 seconds
+                setTimeout(() => {
+                    this.removeTransfer(data.transferId);
+                }, 3000);
+                break;
+
+            case 'transferFailed':
+                this.updateTransferStatus(data.transferId, 'failed', null, data.errorMessage);
+                break;
+
+            case 'fileAnnounced':
+            case 'transferReceiving':
+                // Incoming transfer from another peer waits for the user
+                this.queueIncomingOffer(data);
+                break;
+
+            case 'clipboardReceived':
+                this.addClipboardItem(data);
+                break;
+
+            case 'snippetReceived':
+                this.receiveSnippet(data);
+                break;
+
+            case 'snippetAcknowledged':
+                this.markSnippetAcknowledged(data);
+                break;
+
+            case 'networkDevice':
+                this.recordDeviceSighting(data);
+                break;
+
+            case 'updateAvailable':
+                this.showUpdateBanner(data);
+                break;
+
+            case 'networkStatus':
+                this.updateNetworkStatusItem(data.component, data.status, data.message);
+                break;
+
+            case 'networkStatusFull':
+                this.updateFullNetworkStatus(data);
+                break;
+
+            case 'setupProgress':
+                this.updateSetupProgress(data);
+                break;
+
+            case 'firewallConfigResult':
+                this.handleFirewallResult(data);
+                break;
+
+            case 'upnpConfigResult':
+                this.handleUpnpResult(data);
+                break;
+
+            case 'diagnosticResult':
+                this.showDiagnosticResults(data);
+                break;
+
+            case 'diagnosticsStarted':
+                this.showNotification('Running diagnostics...');
+                break;
+
+            case 'settings':
+                this.handleSettings(data);
+                break;
+
+            case 'portSaveResult':
+                this.handlePortSaveResult(data);
+                break;
+
+            case 'firewallSetupRequired':
+                this.showFirewallSetupDialog(data);
+                break;
+
+            case 'firewallSetupResult':
+                if (!data.success) {
+                    this.showNotification(data.message);
+                }
+                break;
+        }
+    }
+
+    handleSettings(data) {
+        const portInput = document.getElementById('listenPortInput');
+        const currentPort = document.getElementById('currentListenPort');
+
+        if (portInput && data.listenPort) {
+            portInput.value = data.listenPort;
+        }
+        if (currentPort && data.currentListenPort) {
+            currentPort.textContent = data.currentListenPort;
+        }
+    }
+
+    handlePortSaveResult(data) {
+        const hint = document.getElementById('portHint');
+
+        if (data.success) {
+            this.showNotification(data.message || this.t('settings.portSaved'));
+
+            if (data.needsRestart && hint) {
+                hint.textContent = this.t('settings.restartRequired');
+                hint.style.display = 'block';
+                hint.className = 'setting-hint warning';
+            }
+
+            // Update current port display
+            const currentPort = document.getElementById('currentListenPort');
+            if (currentPort && !data.needsRestart) {
+                currentPort.textContent = data.port;
+            }
+        } else {
+            this.showNotification(data.message || 'Failed to save port');
+            if (hint) {
+                hint.textContent = data.message;
+                hint.style.display = 'block';
+                hint.className = 'setting-hint error';
+            }
+        }
+    }
+
+    async savePort() {
+        const portInput = document.getElementById('listenPortInput');
+        if (!portInput) return;
+
         const port = parseInt(portInput.value, 10);
         if (isNaN(port) || port < 1024 || port > 65535) {
             this.showNotification('Port must be between 1024 and 65535');
             return;
         }
 
-        this.sendToBackend('savePort', { port });
+        try {
+            this.handlePortSaveResult(await this.rpc.call('savePort', { port }));
+        } catch (err) {
+            this.handlePortSaveResult(err.data || { success: false, message: err.message });
+        }
+    }
+
+    showFirewallSetupDialog(data) {
+        // Remove existing dialog if any
+        const existing = document.querySelector('.firewall-dialog-overlay');
+        if (existing) existing.remove();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'firewall-dialog-overlay';
+        overlay.innerHTML = `
+            <div class="firewall-dialog">
+                <div class="firewall-dialog-icon">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>
+                    </svg>
+                </div>
+                <h2>${this.t('firewall.setupTitle')}</h2>
+                <p>${this.t('firewall.setupMessage')}</p>
+                <p class="firewall-port">${this.t('firewall.port')}: <strong>${data.port}</strong></p>
+                <div class="firewall-dialog-actions">
+                    <button class="btn btn-primary" id="acceptFirewallBtn">
+                        ${this.t('firewall.configure')}
+                    </button>
+                    <button class="btn btn-secondary" id="skipFirewallBtn">
+                        ${this.t('firewall.skip')}
+                    </button>
+                </div>
+                <p class="firewall-hint">${this.t('firewall.hint')}</p>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+
+        // Animate in
+        setTimeout(() => overlay.classList.add('show'), 10);
+
+        // Handle buttons
+        document.getElementById('acceptFirewallBtn').addEventListener('click', () => {
+            this.sendToBackend('requestFirewallSetup', {});
+            overlay.remove();
+        });
+
+        document.getElementById('skipFirewallBtn').addEventListener('click', () => {
+            overlay.classList.remove('show');
+            setTimeout(() => overlay.remove(), 300);
+        });
+    }
+
+    requestFirewallSetup() {
+        this.sendToBackend('requestFirewallSetup', {});
+    }
+
+    updateNetworkStatusItem(component, status, message) {
+        let iconId, detailId;
+        switch (component) {
+            case 'Firewall':
+                iconId = 'firewallStatus';
+                detailId = 'firewallDetail';
+                break;
+            case 'UPnP':
+                iconId = 'upnpStatus';
+                detailId = 'upnpDetail';
+                break;
+            case 'NAT':
+            case 'STUN':
+                iconId = 'natStatus';
+                detailId = 'natDetail';
+                break;
+        }
+
+        if (iconId) {
+            const iconEl = document.getElementById(iconId);
+            const detailEl = document.getElementById(detailId);
+            if (iconEl) {
+                const svg = iconEl.querySelector('.status-icon');
+                svg.classList.remove('pending', 'ready', 'warning', 'error');
+                svg.classList.add(status.toLowerCase());
+            }
+            if (detailEl) {
+                detailEl.textContent = message;
+            }
+        }
+    }
+
+    updateFullNetworkStatus(data) {
+        // Firewall
+        const firewallIcon = document.querySelector('#firewallStatus .status-icon');
+        const firewallDetail = document.getElementById('firewallDetail');
+        const firewallBtn = document.getElementById('configureFirewallBtn');
+        if (firewallIcon) {
+            firewallIcon.classList.remove('pending', 'ready', 'warning', 'error');
+            firewallIcon.classList.add(data.firewallConfigured ? 'ready' : 'warning');
+        }
+        if (firewallDetail) {
+            firewallDetail.textContent = data.firewallConfigured ? 'Configured ✓' : 'Not configured';
+        }
+        if (firewallBtn) {
+            firewallBtn.style.display = data.firewallConfigured ? 'none' : 'block';
+        }
+
+        // UPnP
+        const upnpIcon = document.querySelector('#upnpStatus .status-icon');
+        const upnpDetail = document.getElementById('upnpDetail');
+        const upnpBtn = document.getElementById('configureUpnpBtn');
+        if (upnpIcon) {
+            upnpIcon.classList.remove('pending', 'ready', 'warning', 'error');
+            upnpIcon.classList.add(data.upnpAvailable ? (data.portMapped ? 'ready' : 'warning') : 'error');
+        }
+        if (upnpDetail) {
+            upnpDetail.textContent = data.upnpAvailable
+                ? (data.portMapped ? `Port mapped ✓` : 'Available')
+                : 'Not available';
+        }
+        if (upnpBtn) {
+            upnpBtn.style.display = data.upnpAvailable && !data.portMapped ? 'block' : 'none';
+        }
+
+        // NAT
+        const natIcon = document.querySelector('#natStatus .status-icon');
+        const natDetail = document.getElementById('natDetail');
+        if (natIcon) {
+            natIcon.classList.remove('pending', 'ready', 'warning', 'error');
+            const isGoodNat = data.natType === 'None' || data.natType === 'FullCone';
+            natIcon.classList.add(isGoodNat ? 'ready' : (data.natType === 'Symmetric' ? 'warning' : 'ready'));
+        }
+        if (natDetail) {
+            natDetail.textContent = data.natType || 'Unknown';
+        }
+
+        // Public IP
+        const publicIpIcon = document.querySelector('#publicIpStatus .status-icon');
+        const publicIpDetail = document.getElementById('publicIpDetail');
+        if (publicIpIcon) {
+            publicIpIcon.classList.remove('pending', 'ready', 'warning', 'error');
+            publicIpIcon.classList.add(data.externalIp ? 'ready' : 'warning');
+        }
+        if (publicIpDetail) {
+            publicIpDetail.textContent = data.externalIp || data.publicEndpoint || 'Not detected';
+        }
+    }
+
+    updateSetupProgress(data) {
+        // Could show a progress indicator
+        console.log(`Setup: ${data.message} (${data.percentComplete}%)`);
+    }
+
+    handleFirewallResult(data) {
+        if (data.success) {
+            this.showNotification('Firewall configured successfully!');
+            this.sendToBackend('getNetworkStatus', {});
+        } else if (data.requiresElevation) {
+            this.showNotification('Admin rights required. Run as Administrator.');
+        } else {
+            this.showNotification(`Firewall error: ${data.message}`);
+        }
+    }
+
+    handleUpnpResult(data) {
+        if (data.success) {
+            this.showNotification(`Port mapped successfully! External IP: ${data.externalIp || 'detected'}`);
+            this.sendToBackend('getNetworkStatus', {});
+        } else {
+            this.showNotification(`UPnP error: ${data.message}`);
+        }
+    }
+
+    showDiagnosticResults(data) {
+        // Create a modal or expand section with results
+        const recommendations = data.recommendations?.join('\n- ') || 'No issues found';
+
+        let summary = `Network Diagnostics Results
+
+Firewall: ${data.firewallConfigured ? '[OK] Configured' : '[X] Not configured'}
+Internet: ${data.internetConnected ? `[OK] Connected (${data.internetLatency}ms)` : '[X] Offline'}
+STUN: ${data.stunSuccess ? `[OK] ${data.publicEndpoint}` : '[X] Failed'}
+NAT Type: ${data.natType}
+UPnP: ${data.upnpFound ? `[OK] Found (${data.gatewayAddress})` : '[X] Not found'}
+
+Recommendations:
+- ${recommendations}
+        `.trim();
+
+        alert(summary);
+    }
+
+    async configureFirewall() {
+        try {
+            this.handleFirewallResult(await this.rpc.call('configureFirewall'));
+        } catch (err) {
+            this.handleFirewallResult(err.data || { success: false, message: err.message });
+        }
+    }
+
+    async configureUpnp() {
+        try {
+            this.handleUpnpResult(await this.rpc.call('configureUpnp'));
+        } catch (err) {
+            this.handleUpnpResult(err.data || { success: false, message: err.message });
+        }
+    }
+
+    async runDiagnostics() {
+        try {
+            // Diagnostics probe STUN, UPnP and the internet, so allow plenty of time
+            this.showDiagnosticResults(await this.rpc.call('runDiagnostics', {}, { timeout: 60000 }));
+        } catch (err) {
+            this.showNotification(`Diagnostics failed: ${err.message}`);
+        }
+    }
+
+    showUpdateBanner(data) {
+        // Remove existing banner if any
+        const existing = document.querySelector('.update-banner');
+        if (existing) existing.remove();
+
+        const banner = document.createElement('div');
+        banner.className = 'update-banner';
+        banner.innerHTML = `
+            <div class="update-banner-content">
+                <div class="update-banner-icon">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                        <polyline points="7 10 12 15 17 10"/>
+                        <line x1="12" y1="15" x2="12" y2="3"/>
+                    </svg>
+                </div>
+                <div class="update-banner-text">
+                    <strong>v${this.escapeHtml(data.latestVersion)} available!</strong>
+                    <span>You're on v${this.escapeHtml(data.currentVersion)}</span>
+                </div>
+                <button class="btn btn-primary btn-sm update-btn" data-action="downloadUpdate" data-url="${this.escapeHtml(data.downloadUrl)}">
+                    Update
+                </button>
+                <button class="update-close" data-action="dismissUpdateBanner">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"/>
+                        <line x1="6" y1="6" x2="18" y2="18"/>
+                    </svg>
+                </button>
+            </div>
+        `;
+        document.body.appendChild(banner);
+
+        // Animate in
+        setTimeout(() => banner.classList.add('show'), 10);
+    }
+
+    downloadUpdate(url) {
+        this.sendToBackend('openUrl', { url });
+    }
+
+    showNotification(message) {
+        // Simple notification - could be improved with a toast system
+        const notification = document.createElement('div');
+        notification.className = 'notification';
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.classList.add('show');
+        }, 10);
+
+        setTimeout(() => {
+            notification.classList.remove('show');
+            setTimeout(() => notification.remove(), 300);
+        }, 3000);
+    }
+
+    sendToBackend(action, data) {
+        console.log('sendToBackend:', action, data);
+        if (window.SyncBeam) {
+            console.log('Using SyncBeam.send');
+            window.SyncBeam.send(action, data);
+        } else if (window.chrome && window.chrome.webview) {
+            console.log('Using chrome.webview.postMessage');
+            window.chrome.webview.postMessage(JSON.stringify({ action, data }));
+        } else {
+            console.error('No backend bridge available!');
+            return false;
+        }
+        return true;
+    }
+
+    updateLocalPeerInfo() {
+        const localPeerInfo = document.getElementById('localPeerInfo');
+        if (localPeerInfo && this.store.state.localPeerId) {
+            localPeerInfo.innerHTML = `
+                <span class="status-dot"></span>
+                <span class="peer-id">${this.escapeHtml(this.store.state.localPeerId.substring(0, 12))}...</span>
+            `;
+            localPeerInfo.title = this.store.state.localFingerprint
+                ? `${this.t('identity.fingerprint')}: ${formatFingerprint(this.store.state.localFingerprint)}`
+                : this.store.state.localPeerId;
+        }
+
+        const currentPort = document.getElementById('currentListenPort');
+        if (currentPort && this.store.state.listenPort) {
+            currentPort.textContent = this.store.state.listenPort;
+        }
+    }
+
+    updateSettingsInfo() {
+        // Settings info update (no secret to update anymore)
+    }
+
+    renderPeers() {
+        // Now calls renderDevices which shows all network devices
+        this.renderDevices();
+        this.renderTargetPeerPicker();
+        this.renderClipboardPeerMatrix();
+        this.renderComposePeers();
+        this.renderInventory();
+    }
+
+    renderTargetPeerPicker() {
+        const select = document.getElementById('targetPeerSelect');
+        if (!select) return;
+
+        const { connectedPeers, selectedTargetPeer } = this.store.state;
+        const options = Array.from(connectedPeers.keys()).map(peerId => `
+            <option value="${this.escapeHtml(peerId)}">${this.escapeHtml(this.getPeerDisplayName(peerId))}</option>
+        `).join('');
+
+        select.innerHTML = `<option value="">${this.t('transfers.askEachTime')}</option>${options}`;
+        select.value = selectedTargetPeer || '';
+    }
+
+    getPeerDisplayName(peerId) {
+        if (!peerId) return '';
+        return this.peerProfiles[peerId]?.nickname || this.getPeerDefaultName(peerId);
+    }
+
+    // Name the network gives a peer, ignoring any nickname
+    getPeerDefaultName(peerId) {
+        for (const device of this.store.state.networkDevices.values()) {
+            if (device.peerId === peerId && device.hostname) {
+                return device.hostname;
+            }
+        }
+
+        const endpoint = this.store.state.discoveredPeers.get(peerId)?.endpoint;
+        if (endpoint) {
+            return endpoint.split(':')[0];
+        }
+
+        return `${peerId.substring(0, 8)}...`;
+    }
+
+    // Peer profiles: nickname, color, trust and last seen fingerprint
+    loadPeerProfiles() {
+        try {
+            return JSON.parse(localStorage.getItem('syncbeam-peer-profiles') || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    getPeerProfile(peerId) {
+        const stored = this.peerProfiles[peerId] || {};
+        return {
+            nickname: stored.nickname || '',
+            color: PEER_COLORS.includes(stored.color)
+                ? stored.color
+                : PEER_COLORS[parseInt(peerId.substring(0, 2), 16) % PEER_COLORS.length || 0],
+            trust: stored.trust || 'none',
+            fingerprint: stored.fingerprint || null
+        };
+    }
+
+    updatePeerProfile(peerId, changes) {
+        this.peerProfiles[peerId] = { ...this.peerProfiles[peerId], ...changes };
+        localStorage.setItem('syncbeam-peer-profiles', JSON.stringify(this.peerProfiles));
+    }
+
+    isPeerBlocked(peerId) {
+        return this.peerProfiles[peerId]?.trust === 'blocked';
+    }
+
+    // The peer ID is derived from the key, so a peer whose fingerprint does not
+    // start with its ID is lying about one of them
+    isPeerRefused({ peerId, fingerprint }) {
+        return this.isPeerBlocked(peerId) || !fingerprintMatchesPeerId(peerId, fingerprint);
+    }
+
+    rememberPeerFingerprint(peerId, fingerprint) {
+        if (this.peerProfiles[peerId]?.fingerprint === fingerprint) return;
+        this.updatePeerProfile(peerId, { fingerprint });
+        this.renderKnownDevices();
+    }
+
+    /**
+     * A new key always comes with a new peer ID, so a key change shows up as an
+     * address the user knows answering with a different peer. The warning is
+     * kept on the new peer until the user decides.
+     */
+    notePeerIdentityChange(previousPeerId, peerId, address) {
+        if (!previousPeerId || !peerId || previousPeerId === peerId) return;
+
+        this.updatePeerProfile(peerId, {
+            keyChange: {
+                previousPeerId,
+                previous: this.peerProfiles[previousPeerId]?.fingerprint || previousPeerId,
+                current: this.getPeerFingerprint(peerId) || peerId,
+                address,
+                detectedAt: this.peerProfiles[peerId]?.keyChange?.detectedAt || Date.now()
+            }
+        });
+        this.renderPeers();
+        this.renderKnownDevices();
+        this.showKeyChangeWarning(peerId);
+    }
+
+    // Fingerprint of the live connection, falling back to the last one seen
+    getPeerFingerprint(peerId) {
+        return this.store.state.connectedPeers.get(peerId)?.fingerprint || this.peerProfiles[peerId]?.fingerprint || null;
+    }
+
+    isPeerVerified(peerId) {
+        const stored = this.peerProfiles[peerId];
+        return !!stored?.verified && !stored.keyChange && stored.verified.fingerprint === stored.fingerprint;
+    }
+
+    markPeerVerified(peerId, fingerprint, method) {
+        this.updatePeerProfile(peerId, {
+            fingerprint,
+            keyChange: null,
+            verified: { fingerprint, method, at: Date.now() }
+        });
+        this.renderPeers();
+        this.renderKnownDevices();
+        this.showNotification(this.t('verify.done'));
+    }
+
+    removePeerVerification(peerId) {
+        this.updatePeerProfile(peerId, { verified: null });
+        this.renderPeers();
+        this.renderKnownDevices();
+        this.showNotification(this.t('verify.removed'));
+    }
+
+    acceptPeerKey(peerId) {
+        const change = this.peerProfiles[peerId]?.keyChange;
+        if (!change) return;
+
+        // The new peer keeps the name and color the user gave the old one, but not
+        // its trust or verification: those belong to the old key
+        const previous = this.peerProfiles[change.previousPeerId] || {};
+        this.updatePeerProfile(peerId, {
+            nickname: this.peerProfiles[peerId].nickname || previous.nickname,
+            color: this.peerProfiles[peerId].color || previous.color,
+            keyChange: null,
+            verified: null
+        });
+        this.renderPeers();
+        this.renderKnownDevices();
+    }
+
+    showKeyChangeWarning(peerId) {
+        const change = this.peerProfiles[peerId]?.keyChange;
+        if (!change || this.keyWarningsShown.has(peerId)) return;
+        this.keyWarningsShown.add(peerId);
+
+        const overlay = this.createDialog(`
+            <h2>${this.t('keyChange.title')}</h2>
+            <p><strong>${this.escapeHtml(this.getPeerDisplayName(change.previousPeerId))}</strong>
+                (${this.escapeHtml(change.address)}) ${this.t('keyChange.message')}</p>
+            <div class="identity-field">
+                <label>${this.t('keyChange.previous')}</label>
+                <code class="fingerprint">${this.escapeHtml(formatFingerprint(change.previous))}</code>
+            </div>
+            <div class="identity-field">
+                <label>${this.t('keyChange.current')}</label>
+                <code class="fingerprint">${this.escapeHtml(formatFingerprint(this.getPeerFingerprint(peerId) || change.current))}</code>
+            </div>
+            <div class="dialog-actions">
+                <button class="btn btn-secondary" data-choice="later">${this.t('keyChange.later')}</button>
+                <button class="btn btn-secondary" data-choice="block">${this.t('keyChange.block')}</button>
+                <button class="btn btn-secondary" data-choice="accept">${this.t('keyChange.accept')}</button>
+                <button class="btn btn-primary" data-choice="verify">${this.t('keyChange.verify')}</button>
+            </div>
+        `, 'warning-dialog');
+
+        overlay.querySelectorAll('[data-choice]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.closeDialog(overlay);
+                this.keyWarningsShown.delete(peerId);
+                if (btn.dataset.choice === 'block') this.savePeerProfile(peerId, { trust: 'blocked' });
+                if (btn.dataset.choice === 'accept') this.acceptPeerKey(peerId);
+                if (btn.dataset.choice === 'verify') this.showVerifyDialog(peerId);
+            });
+        });
+    }
+
+    async showVerifyDialog(peerId) {
+        const fingerprint = this.store.state.connectedPeers.get(peerId)?.fingerprint;
+        if (!fingerprint || !this.store.state.localFingerprint) {
+            this.showNotification(this.t('verify.unavailable'));
+            return;
+        }
+
+        const groups = await computeSafetyNumber(this.store.state.localFingerprint, fingerprint);
+        const qr = QrCode.encode(`SYNCBEAM-VERIFY:${groups.join('')}`);
+        const verified = this.isPeerVerified(peerId) && this.peerProfiles[peerId].verified.fingerprint === fingerprint;
+
+        const overlay = this.createDialog(`
+            <h2>${this.t('verify.title')}: ${this.escapeHtml(this.getPeerDisplayName(peerId))}</h2>
+            <p>${this.t('verify.hint')}</p>
+            <div class="verify-body">
+                ${qr.toSvg()}
+                <div class="identity-field">
+                    <label>${this.t('verify.numbers')}</label>
+                    <div class="safety-number">
+                        ${groups.map(group => `<span>${group}</span>`).join('')}
+                    </div>
+                </div>
+            </div>
+            <div class="dialog-actions">
+                <button class="btn btn-secondary" data-choice="cancel">${this.t('verify.cancel')}</button>
+                ${verified ? `
+                    <button class="btn btn-secondary" data-choice="unverify">${this.t('verify.unverify')}</button>
+                ` : `
+                    <button class="btn btn-secondary" data-choice="mismatch">${this.t('verify.mismatch')}</button>
+                    <button class="btn btn-secondary" data-choice="scanned">${this.t('verify.scanned')}</button>
+                    <button class="btn btn-primary" data-choice="compared">${this.t('verify.compared')}</button>
+                `}
+            </div>
+        `, 'verify-dialog');
+
+        overlay.querySelectorAll('[data-choice]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.closeDialog(overlay);
+                switch (btn.dataset.choice) {
+                    case 'compared':
+                    case 'scanned':
+                        this.markPeerVerified(peerId, fingerprint, btn.dataset.choice);
+                        break;
+                    case 'unverify':
+                        this.removePeerVerification(peerId);
+                        break;
+                    case 'mismatch':
+                        this.savePeerProfile(peerId, { trust: 'blocked', verified: null });
+                        this.showNotification(this.t('verify.mismatchBlocked'));
+                        break;
+                }
+            });
+        });
+    }
+
+    refusePeer(peerId) {
+        this.sendToBackend('disconnectPeer', { peerId });
+        this.store.dispatch('peerRefused', { peerId });
+
+        // Discovery keeps reconnecting, so only the first refusal is reported
+        if (!this.refusedPeers.has(peerId)) {
+            this.refusedPeers.add(peerId);
+            const reason = this.isPeerBlocked(peerId) ? 'peers.blockedRefused' : 'peers.identityMismatch';
+            this.showNotification(`${this.t(reason)}: ${this.getPeerDisplayName(peerId)}`);
+        }
+    }
+
+    savePeerProfile(peerId, changes) {
+        const wasBlocked = this.isPeerBlocked(peerId);
+        this.updatePeerProfile(peerId, changes);
+        if (wasBlocked !== this.isPeerBlocked(peerId)) this.syncClipboardSettings();
+
+        if (!wasBlocked && this.isPeerBlocked(peerId)) {
+            if (this.store.state.connectedPeers.has(peerId)) this.refusePeer(peerId);
+            this.store.state.incomingOffers
+                .filter(o => o.peerId === peerId)
+                .forEach(o => this.rejectOffer(o.transferId));
+        }
+
+        this.renderPeers();
+        this.renderKnownDevices();
+        this.renderTransfers();
+        this.renderClipboard();
+        this.showNotification(this.t('profile.saved'));
+    }
+
+    forgetPeerProfile(peerId) {
+        const wasBlocked = this.isPeerBlocked(peerId);
+        delete this.peerProfiles[peerId];
+        localStorage.setItem('syncbeam-peer-profiles', JSON.stringify(this.peerProfiles));
+        if (wasBlocked) this.syncClipboardSettings();
+        this.renderPeers();
+        this.renderKnownDevices();
+    }
+
+    showPeerProfileDialog(peerId) {
+        const profile = this.getPeerProfile(peerId);
+        const overlay = this.createDialog(`
+            <h2>${this.t('profile.title')}</h2>
+            <div class="identity-field">
+                <label for="peerNicknameInput">${this.t('profile.nickname')}</label>
+                <input type="text" class="input" id="peerNicknameInput" maxlength="40"
+                    value="${this.escapeHtml(profile.nickname)}" placeholder="${this.escapeHtml(this.getPeerDefaultName(peerId))}">
+            </div>
+            <div class="identity-field">
+                <label>${this.t('profile.color')}</label>
+                <div class="color-swatches">
+                    ${PEER_COLORS.map(color => `
+                        <button type="button" class="color-swatch ${color === profile.color ? 'selected' : ''}"
+                            data-color="${color}" style="background: ${color}" aria-label="${color}"></button>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="identity-field">
+                <label for="peerTrustInput">${this.t('profile.trust')}</label>
+                <select class="select" id="peerTrustInput">
+                    ${['none', 'trusted', 'blocked'].map(trust => `
+                        <option value="${trust}" ${trust === profile.trust ? 'selected' : ''}>${this.t(`profile.trust.${trust}`)}</option>
+                    `).join('')}
+                </select>
+                <p class="setting-note">${this.t('profile.trustHint')}</p>
+            </div>
+            <div class="identity-field">
+                <label>${this.t('identity.peerId')}</label>
+                <code class="fingerprint">${this.escapeHtml(peerId)}</code>
+            </div>
+            <div class="identity-field">
+                <label>${this.t('identity.fingerprint')}</label>
+                ${profile.fingerprint
+                    ? `<code class="fingerprint">${this.escapeHtml(formatFingerprint(profile.fingerprint))}</code>`
+                    : `<p class="setting-note">${this.t('profile.noFingerprint')}</p>`}
+                ${profile.fingerprint ? `<p class="setting-note">${this.renderVerificationNote(peerId)}</p>` : ''}
+            </div>
+            <div class="dialog-actions">
+                <button class="btn btn-secondary" data-dialog-cancel>${this.t('profile.cancel')}</button>
+                <button class="btn btn-primary" data-dialog-save>${this.t('profile.save')}</button>
+            </div>
+        `, 'peer-profile-dialog');
+
+        let color = profile.color;
+        overlay.querySelectorAll('.color-swatch').forEach(swatch => {
+            swatch.addEventListener('click', () => {
+                color = swatch.dataset.color;
+                overlay.querySelectorAll('.color-swatch').forEach(s => s.classList.toggle('selected', s === swatch));
+            });
+        });
+
+        overlay.querySelector('[data-dialog-cancel]').addEventListener('click', () => this.closeDialog(overlay));
+        overlay.querySelector('[data-dialog-save]').addEventListener('click', () => {
+            this.savePeerProfile(peerId, {
+                nickname: overlay.querySelector('#peerNicknameInput').value.trim(),
+                color,
+                trust: overlay.querySelector('#peerTrustInput').value
+            });
+            this.closeDialog(overlay);
+        });
+    }
+
+    renderVerificationNote(peerId) {
+        if (this.peerProfiles[peerId]?.keyChange) return this.t('peers.keyChanged');
+        if (!this.isPeerVerified(peerId)) return this.t('profile.notVerified');
+
+        const { at, method } = this.peerProfiles[peerId].verified;
+        return `${this.t('profile.verifiedOn')} ${new Date(at).toLocaleDateString()} (${this.t(`verify.method.${method}`)})`;
+    }
+
+    renderPeerBadges(peerId) {
+        const profile = this.getPeerProfile(peerId);
+        const stored = this.peerProfiles[peerId];
+        return [
+            stored?.keyChange ? `<span class="peer-trust key-changed">${this.t('peers.keyChanged')}</span>` : '',
+            this.isPeerVerified(peerId) ? `<span class="peer-trust verified">${this.t('peers.verified')}</span>` : '',
+            profile.trust !== 'none' ? `<span class="peer-trust ${profile.trust}">${this.t(`peers.${profile.trust}`)}</span>` : ''
+        ].join('');
+    }
+
+    showLocalIdentityDialog() {
+        if (!this.store.state.localPeerId) return;
+
+        const fingerprint = this.store.state.localFingerprint;
+        const overlay = this.createDialog(`
+            <h2>${this.t('identity.title')}</h2>
+            <p>${this.t('identity.hint')}</p>
+            <div class="identity-field">
+                <label>${this.t('identity.peerId')}</label>
+                <code class="fingerprint">${this.escapeHtml(this.store.state.localPeerId)}</code>
+            </div>
+            ${fingerprint ? `
+                <div class="identity-field">
+                    <label>${this.t('identity.fingerprint')}</label>
+                    <code class="fingerprint">${this.escapeHtml(formatFingerprint(fingerprint))}</code>
+                </div>
+            ` : ''}
+            <div class="dialog-actions">
+                ${fingerprint ? `<button class="btn btn-secondary" data-copy-fingerprint>${this.t('identity.copy')}</button>` : ''}
+                <button class="btn btn-primary" data-dialog-cancel>${this.t('identity.close')}</button>
+            </div>
+        `);
+
+        overlay.querySelector('[data-copy-fingerprint]')?.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(fingerprint);
+                this.showNotification(this.t('identity.copied'));
+            } catch (e) {
+                console.warn('Clipboard write failed:', e);
+            }
+        });
+        overlay.querySelector('[data-dialog-cancel]').addEventListener('click', () => this.closeDialog(overlay));
+    }
+
+    renderKnownDevices() {
+        const list = document.getElementById('knownDevicesList');
+        if (!list) return;
+
+        const peerIds = Object.keys(this.peerProfiles);
+        if (peerIds.length === 0) {
+            list.innerHTML = `<p class="setting-note">${this.t('settings.noKnownDevices')}</p>`;
+            return;
+        }
+
+        list.innerHTML = peerIds.map(peerId => {
+            const profile = this.getPeerProfile(peerId);
+            return `
+                <div class="known-device">
+                    <span class="known-device-color" style="background: ${this.escapeHtml(profile.color)}"></span>
+                    <div class="known-device-info">
+                        <span class="known-device-name">${this.escapeHtml(this.getPeerDisplayName(peerId))}</span>
+                        <span class="peer-picker-id" title="${this.escapeHtml(formatFingerprint(profile.fingerprint))}">${this.escapeHtml(peerId.substring(0, 12))}...</span>
+                    </div>
+                    ${this.renderPeerBadges(peerId)}
+                    <button class="btn btn-secondary btn-sm" data-action="showPeerProfileDialog" data-id="${this.escapeHtml(peerId)}">${this.t('peers.edit')}</button>
+                    <button class="btn btn-secondary btn-sm" data-action="forgetPeerProfile" data-id="${this.escapeHtml(peerId)}">${this.t('profile.forget')}</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderDevices() {
+        const grid = document.getElementById('peersGrid');
+        if (!grid) return;
+
+        const allDevices = this.collectDevices();
+        const visible = allDevices.filter(device => this.matchesDeviceFilters(device));
+        this.renderDeviceFilters(allDevices, visible.length);
+
+        if (allDevices.length === 0) {
+            const scanning = this.store.state.isScanning;
+            grid.innerHTML = `
+                <div class="empty-state">
+                    <svg class="empty-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                        <circle cx="12" cy="12" r="10"/>
+                        <path d="M12 6v6l4 2"/>
+                        <path d="M2 12h2M20 12h2M12 2v2M12 20v2"/>
+                    </svg>
+                    <h3>${this.t(scanning ? 'peers.scanning' : 'peers.noDevices')}</h3>
+                    <p>${this.t(scanning ? 'peers.scanningHint' : 'peers.noDevicesHint')}</p>
+                </div>
+            `;
+            return;
+        }
+
+        if (visible.length === 0) {
+            grid.innerHTML = `
+                <div class="empty-state small">
+                    <p>${this.t('devices.noMatches')}</p>
+                    <button class="btn btn-secondary btn-sm" data-action="clearDeviceFilters">${this.t('devices.clearFilters')}</button>
+                </div>
+            `;
+            return;
+        }
+
+        // Sort: SyncBeam devices first, then connected, then by IP
+        visible.sort((a, b) => {
+            if (a.isConnected !== b.isConnected) return b.isConnected ? 1 : -1;
+            if (a.hasSyncBeam !== b.hasSyncBeam) return b.hasSyncBeam ? 1 : -1;
+            return a.ip.localeCompare(b.ip);
+        });
+
+        const rows = [];
+        for (const { label, devices } of this.groupDevices(visible)) {
+            if (label !== null) {
+                rows.push({
+                    key: `group:${label}`,
+                    render: () => `<h3 class="device-group-title">${this.escapeHtml(label)} <span>${devices.length}</span></h3>`,
+                    fullWidth: true
+                });
+            }
+            for (const device of devices) {
+                rows.push({ key: `device:${device.bookmark?.id ?? device.ip}`, render: () => this.renderDeviceCard(device) });
+            }
+        }
+        this.getKeyedList(grid).update(rows);
+    }
+
+    getKeyedList(container) {
+        if (!this.keyedLists.has(container.id)) {
+            this.keyedLists.set(container.id, new KeyedList(container));
+        }
+        return this.keyedLists.get(container.id);
+    }
+
+    loadDeviceFilters() {
+        let saved = {};
+        try {
+            const parsed = JSON.parse(localStorage.getItem('syncbeam-device-filters') || '{}');
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) saved = parsed;
+        } catch (e) {
+            console.warn('Could not read device filters:', e);
+        }
+        return {
+            search: '',  // Not remembered, so a stale search never hides devices on startup
+            syncBeamOnly: saved.syncBeamOnly === true,
+            connectedOnly: saved.connectedOnly === true,
+            types: Array.isArray(saved.types) ? saved.types.filter(t => typeof t === 'string') : [],
+            groupBy: DEVICE_GROUPINGS.includes(saved.groupBy) ? saved.groupBy : 'none'
+        };
+    }
+
+    saveDeviceFilters() {
+        const { syncBeamOnly, connectedOnly, types, groupBy } = this.deviceFilters;
+        localStorage.setItem('syncbeam-device-filters', JSON.stringify({ syncBeamOnly, connectedOnly, types, groupBy }));
+    }
+
+    setupDeviceFilters() {
+        const search = document.getElementById('deviceSearch');
+        if (search) {
+            search.addEventListener('input', () => {
+                this.deviceFilters.search = search.value;
+                this.renderDevices();
+            });
+        }
+        const groupBy = document.getElementById('deviceGroupBy');
+        if (groupBy) {
+            groupBy.value = this.deviceFilters.groupBy;
+            groupBy.addEventListener('change', () => {
+                this.deviceFilters.groupBy = groupBy.value;
+                this.saveDeviceFilters();
+                this.renderDevices();
+            });
+        }
+    }
+
+    toggleDeviceFilter(name) {
+        this.deviceFilters[name] = !this.deviceFilters[name];
+        this.saveDeviceFilters();
+        this.renderDevices();
+    }
+
+    toggleDeviceTypeFilter(type) {
+        const types = this.deviceFilters.types;
+        this.deviceFilters.types = types.includes(type) ? types.filter(t => t !== type) : [...types, type];
+        this.saveDeviceFilters();
+        this.renderDevices();
+    }
+
+    clearDeviceFilters() {
+        Object.assign(this.deviceFilters, { search: '', syncBeamOnly: false, connectedOnly: false, types: [] });
+        const search = document.getElementById('deviceSearch');
+        if (search) search.value = '';
+        this.saveDeviceFilters();
+        this.renderDevices();
+    }
+
+    matchesDeviceFilters(device) {
+        const { search, syncBeamOnly, connectedOnly, types } = this.deviceFilters;
+        if (syncBeamOnly && !device.hasSyncBeam) return false;
+        if (connectedOnly && !device.isConnected) return false;
+        if (types.length > 0 && !types.includes(device.deviceType || 'Unknown')) return false;
+
+        const query = search.trim().toLowerCase();
+        if (!query) return true;
+        const nickname = device.peerId ? this.peerProfiles[device.peerId]?.nickname : null;
+        return [nickname, device.hostname, device.ip, device.peerId]
+            .some(value => value && value.toLowerCase().includes(query));
+    }
+
+    renderDeviceFilters(devices, visibleCount) {
+        const chips = document.getElementById('deviceFilterChips');
+        if (chips) {
+            const { syncBeamOnly, connectedOnly, types } = this.deviceFilters;
+            // Offer the types on the network now, plus any still selected from before
+            const available = [...new Set([...devices.map(d => d.deviceType || 'Unknown'), ...types])].sort();
+            chips.innerHTML = `
+                <button class="filter-chip ${syncBeamOnly ? 'active' : ''}" data-action="toggleDeviceFilter" data-filter="syncBeamOnly">
+                    ${this.t('devices.syncBeamOnly')}
+                </button>
+                <button class="filter-chip ${connectedOnly ? 'active' : ''}" data-action="toggleDeviceFilter" data-filter="connectedOnly">
+                    ${this.t('devices.connectedOnly')}
+                </button>
+                ${available.map(type => `
+                    <button class="filter-chip ${types.includes(type) ? 'active' : ''}" data-action="toggleDeviceTypeFilter" data-id="${this.escapeHtml(type)}">
+                        ${this.escapeHtml(this.getDeviceTypeLabel(type))}
+                    </button>
+                `).join('')}
+            `;
+        }
+
+        const count = document.getElementById('deviceFilterCount');
+        if (count) {
+            count.textContent = devices.length > 0 ? `${visibleCount} / ${devices.length} ${this.t('devices.shown')}` : '';
+        }
+    }
+
+    getDeviceTypeLabel(type) {
+        const key = `deviceType.${type}`;
+        const label = this.t(key);
+        return label === key ? type : label;
+    }
+
+    groupDevices(devices) {
+        const { groupBy } = this.deviceFilters;
+        if (groupBy === 'none') return [{ label: null, devices }];
+
+        const groups = new Map();
+        for (const device of devices) {
+            let key;
+            if (groupBy === 'type') {
+                key = device.deviceType || 'Unknown';
+            } else {
+                // Bookmarks by host name have no subnet
+                key = ipv4ToInt(device.ip) !== null ? `${device.ip.split('.').slice(0, 3).join('.')}.0/24` : '';
+            }
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(device);
+        }
+
+        const label = (key) => groupBy === 'type'
+            ? this.getDeviceTypeLabel(key)
+            : key || this.t('devices.otherAddresses');
+        const order = (key) => groupBy === 'type' ? label(key) : (key ? ipv4ToInt(key.split('/')[0]) : Infinity);
+
+        return Array.from(groups.entries())
+            .sort(([a], [b]) => {
+                const [x, y] = [order(a), order(b)];
+                return typeof x === 'string' ? x.localeCompare(y) : x - y;
+            })
+            .map(([key, grouped]) => ({ label: label(key), devices: grouped }));
+    }
+
+    collectDevices() {
+        // Combine network devices with discovered peers
+        const { networkDevices, discoveredPeers, connectedPeers } = this.store.state;
+        const allDevices = new Map([...networkDevices]);
+
+        // Also add discovered peers that might not be in network scan yet
+        for (const [peerId, peer] of discoveredPeers) {
+            const ip = peer.endpoint?.split(':')[0];
+            if (ip && !allDevices.has(ip)) {
+                allDevices.set(ip, {
+                    ip: ip,
+                    hostname: null,
+                    hasSyncBeam: true,
+                    peerId: peerId,
+                    isConnected: connectedPeers.has(peerId)
+                });
+            } else if (ip && allDevices.has(ip)) {
+                // Update existing device with SyncBeam info (store state is never mutated)
+                allDevices.set(ip, {
+                    ...allDevices.get(ip),
+                    hasSyncBeam: true,
+                    peerId: peerId,
+                    isConnected: connectedPeers.has(peerId)
+                });
+            }
+        }
+
+        // Bookmarked addresses show up even before a scan finds them
+        for (const bookmark of this.bookmarks) {
+            const match = Array.from(allDevices.entries()).find(([, device]) =>
+                (bookmark.peerId && device.peerId === bookmark.peerId) || device.ip === bookmark.host);
+            if (match) {
+                allDevices.set(match[0], { ...match[1], bookmark });
+                continue;
+            }
+            allDevices.set(bookmark.id, {
+                ip: bookmark.host,
+                hostname: null,
+                hasSyncBeam: true,
+                peerId: bookmark.peerId,
+                isConnected: !!bookmark.peerId && this.store.state.connectedPeers.has(bookmark.peerId),
+                bookmark
+            });
+        }
+
+        return Array.from(allDevices.values());
+    }
+
+    renderDeviceCard(device) {
+        const isConnected = device.isConnected;
+        const hasSyncBeam = device.hasSyncBeam;
+        const isConnecting = (device.isConnecting || (device.peerId && this.store.state.discoveredPeers.get(device.peerId)?.connecting) ||
+            (device.bookmark && this.connectingBookmarks.has(device.bookmark.id))) && !isConnected;
+        const profile = device.peerId ? this.getPeerProfile(device.peerId) : null;
+        const displayName = profile?.nickname || device.hostname || device.ip;
+        const shortName = displayName.length > 18 ? displayName.substring(0, 18) + '...' : displayName;
+        const deviceType = device.deviceType || 'Unknown';
+        const deviceIcon = this.getDeviceIcon(deviceType);
+        const isBlocked = profile?.trust === 'blocked';
+
+        let statusText, statusClass;
+        if (isBlocked) {
+            statusText = this.t('peers.blocked');
+            statusClass = 'blocked';
+        } else if (isConnected) {
+            statusText = this.t('peers.connected');
+            statusClass = 'connected';
+        } else if (isConnecting) {
+            statusText = this.t('peers.connecting');
+            statusClass = 'connecting';
+        } else if (device.stale) {
+            statusText = this.t('peers.stale');
+            statusClass = 'stale';
+        } else if (hasSyncBeam) {
+            statusText = this.t('peers.hasSyncBeam');
+            statusClass = 'syncbeam';
+        } else {
+            statusText = this.t('peers.noSyncBeam');
+            statusClass = 'no-syncbeam';
+        }
+
+        return `
+            <div class="peer-card ${statusClass} ${device.peerId && this.peerProfiles[device.peerId]?.keyChange ? 'key-changed' : ''}" data-ip="${this.escapeHtml(device.ip)}" data-peer-id="${this.escapeHtml(device.peerId || '')}">
+                <div class="peer-card-header">
+                    <div class="peer-avatar ${hasSyncBeam ? '' : 'no-syncbeam'}" ${profile && hasSyncBeam ? `style="background: ${this.escapeHtml(profile.color)}"` : ''}>
+                        ${deviceIcon}
+                    </div>
+                    <div class="peer-info">
+                        <div class="peer-name" title="${this.escapeHtml(displayName)}">
+                            ${this.escapeHtml(shortName)}
+                            ${profile && !isBlocked ? this.renderPeerBadges(device.peerId) : ''}
+                            ${device.bookmark ? `<span class="peer-trust bookmarked">${this.t('peers.bookmarked')}</span>` : ''}
+                        </div>
+                        <div class="peer-status">
+                            <span class="peer-status-dot ${statusClass}"></span>
+                            ${statusText}
+                        </div>
+                    </div>
+                </div>
+                <div class="peer-endpoint">${device.bookmark ? this.escapeHtml(this.formatBookmarkAddress(device.bookmark)) : this.escapeHtml(device.ip)}</div>
+                ${isConnected ? this.renderClipboardPeerToggles(device.peerId) : ''}
+                ${device.bookmark ? `
+                    <label class="checkbox-row peer-bookmark-option">
+                        <input type="checkbox" ${device.bookmark.autoReconnect ? 'checked' : ''} data-action="setBookmarkAutoReconnect" data-id="${this.escapeHtml(device.bookmark.id)}">
+                        <span>${this.t('peers.autoReconnect')}</span>
+                    </label>
+                ` : ''}
+                <div class="peer-card-actions">
+                    ${isBlocked ? `
+                        <span class="peer-hint">${this.t('peers.blocked')}</span>
+                    ` : isConnected ? `
+                        <button class="btn btn-secondary btn-sm" data-action="sendFileToPeer" data-id="${this.escapeHtml(device.peerId)}">
+                            ${this.t('peers.sendFile')}
+                        </button>
+                        ${this.isPeerVerified(device.peerId) ? '' : `
+                            <button class="btn btn-secondary btn-sm" data-action="showVerifyDialog" data-id="${this.escapeHtml(device.peerId)}">
+                                ${this.t('peers.verify')}
+                            </button>
+                        `}
+                    ` : (hasSyncBeam ? (isConnecting ? `
+                        <span class="peer-hint">${this.t('peers.connecting')}</span>
+                    ` : device.bookmark ? `
+                        <button class="btn btn-primary btn-sm" data-action="connectToBookmark" data-id="${this.escapeHtml(device.bookmark.id)}">
+                            ${this.t('peers.connect')}
+                        </button>
+                    ` : `
+                        <button class="btn btn-primary btn-sm" data-action="connectToDevice" data-peer-id="${this.escapeHtml(device.peerId || '')}" data-ip="${this.escapeHtml(device.ip)}">
+                            ${this.t('peers.connect')}
+                        </button>
+                    `) : `
+                        <span class="peer-hint">${this.t('peers.noSyncBeam')}</span>
+                    `)}
+                    ${device.peerId ? `
+                        <button class="btn btn-secondary btn-sm" data-action="showPeerProfileDialog" data-id="${this.escapeHtml(device.peerId)}">
+                            ${this.t('peers.edit')}
+                        </button>
+                    ` : ''}
+                    ${device.bookmark ? `
+                        <button class="btn btn-secondary btn-sm" data-action="removeBookmark" data-id="${this.escapeHtml(device.bookmark.id)}">
+                            ${this.t('peers.removeBookmark')}
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    loadScanOptions() {
+        let saved = {};
+        try {
+            const parsed = JSON.parse(localStorage.getItem('syncbeam-scan-options') || '{}');
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) saved = parsed;
+        } catch (e) {
+            console.warn('Could not read scan options:', e);
+        }
+        return {
+            subnet: typeof saved.subnet === 'string' ? saved.subnet : '',  // '' scans every interface
+            customSubnet: typeof saved.customSubnet === 'string' ? saved.customSubnet : '',
+            keepResults: saved.keepResults === true
+        };
+    }
+
+    saveScanOptions() {
+        localStorage.setItem('syncbeam-scan-options', JSON.stringify(this.scanOptions));
+    }
+
+    setupScanControls() {
+        const select = document.getElementById('scanSubnetSelect');
+        const custom = document.getElementById('scanCustomSubnet');
+        const keep = document.getElementById('scanKeepResults');
+
+        if (select) {
+            select.addEventListener('change', () => {
+                this.scanOptions.subnet = select.value;
+                this.saveScanOptions();
+                this.renderScanControls();
+            });
+        }
+        if (custom) {
+            custom.value = this.scanOptions.customSubnet;
+            custom.addEventListener('change', () => {
+                this.scanOptions.customSubnet = custom.value.trim();
+                this.saveScanOptions();
+            });
+            custom.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && !this.store.state.isScanning) this.scanNetwork();
+            });
+        }
+        if (keep) {
+            keep.checked = this.scanOptions.keepResults;
+            keep.addEventListener('change', () => {
+                this.scanOptions.keepResults = keep.checked;
+                this.saveScanOptions();
+            });
+        }
+
+        this.renderScanControls();
+        this.renderScanStatus();
+    }
+
+    loadScanSubnets() {
+        this.rpc.call('getScanSubnets', {})
+            .then(data => {
+                this.scanSubnets = data.subnets;
+                this.renderScanControls();
+            })
+            .catch(() => {});  // Older hosts only scan every interface
+    }
+
+    renderScanControls() {
+        const select = document.getElementById('scanSubnetSelect');
+        const custom = document.getElementById('scanCustomSubnet');
+        if (!select) return;
+
+        const { subnet } = this.scanOptions;
+        const known = this.scanSubnets.some(s => s.cidr === subnet);
+        select.innerHTML = `
+            <option value="">${this.t('scan.allInterfaces')}</option>
+            ${this.scanSubnets.map(s => `
+                <option value="${this.escapeHtml(s.cidr)}">${this.escapeHtml(s.interfaceName ? `${s.cidr} (${s.interfaceName})` : s.cidr)}</option>
+            `).join('')}
+            ${subnet && subnet !== 'custom' && !known ? `<option value="${this.escapeHtml(subnet)}">${this.escapeHtml(subnet)}</option>` : ''}
+            <option value="custom">${this.t('scan.custom')}</option>
+        `;
+        select.value = subnet;
+        if (custom) custom.hidden = subnet !== 'custom';
+    }
+
+    renderScanStatus() {
+        const button = document.getElementById('scanNetworkBtn');
+        const label = button?.querySelector('[data-i18n]');
+        if (button && label) {
+            button.classList.toggle('btn-primary', !this.store.state.isScanning);
+            button.classList.toggle('btn-secondary', this.store.state.isScanning);
+            label.setAttribute('data-i18n', this.store.state.isScanning ? 'scan.cancel' : 'peers.scanNetwork');
+            label.textContent = this.t(label.getAttribute('data-i18n'));
+        }
+
+        const status = document.getElementById('scanStatus');
+        if (!status) return;
+
+        const { probed, total, found, cancelled, finished, error } = this.store.state.scan;
+        if (!this.store.state.isScanning && !finished) {
+            status.innerHTML = '';
+            return;
+        }
+
+        if (!this.store.state.isScanning && error) {
+            status.innerHTML = `<span class="scan-progress-text">${this.t('scan.failed')}: ${this.escapeHtml(error)}</span>`;
+            return;
+        }
+
+        const percent = total > 0 ? Math.min(100, Math.round(probed / total * 100)) : 0;
+        const outcome = this.store.state.isScanning ? '' : `${this.t(cancelled ? 'scan.cancelled' : 'scan.completed')} · `;
+        status.innerHTML = `
+            <div class="scan-progress ${this.store.state.isScanning ? 'active' : ''}">
+                <div class="scan-progress-bar" style="width: ${this.store.state.isScanning ? percent : 100}%"></div>
+            </div>
+            <span class="scan-progress-text">
+                ${outcome}${probed} / ${total} ${this.t('scan.progress')} · ${found} ${this.t('scan.found')}
+            </span>
+        `;
+    }
+
+    loadDeviceInventory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('syncbeam-device-inventory') || '{}');
+            return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (e) {
+            console.warn('Could not read device inventory:', e);
+            return {};
+        }
+    }
+
+    saveDeviceInventory() {
+        // Scans report devices in bursts; write once things settle
+        clearTimeout(this.inventorySaveTimer);
+        this.inventorySaveTimer = setTimeout(() => {
+            try {
+                localStorage.setItem('syncbeam-device-inventory', JSON.stringify(this.deviceInventory));
+            } catch (e) {
+                console.warn('Could not save device inventory:', e);
+            }
+        }, 1000);
+    }
+
+    recordDeviceSighting({ ip = null, peerId = null, hostname = null, deviceType = null,
+        macAddress = null, vendor = null, hasSyncBeam = false }) {
+        const now = Date.now();
+        const records = Object.values(this.deviceInventory);
+
+        // A known peer ID or MAC is the same device even at a new address;
+        // otherwise only an anonymous record at the same IP matches
+        let record = (peerId && records.find(r => r.peerId === peerId))
+            || (macAddress && records.find(r => r.macAddress === macAddress))
+            || (ip && records.find(r => r.ip === ip && !r.peerId && !r.macAddress))
+            || null;
+
+        if (record && ip && (peerId || macAddress)) {
+            // Fold in what a scan saw at this IP before the device was identified
+            const anonymous = records.find(r => r !== record && r.ip === ip && !r.peerId && !r.macAddress);
+            if (anonymous) {
+                record.firstSeen = Math.min(record.firstSeen, anonymous.firstSeen);
+                record.hostname = record.hostname || anonymous.hostname;
+                delete this.deviceInventory[anonymous.id];
+            }
+        }
+
+        if (!record) {
+            const id = `dev-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+            record = { id, ip: null, firstSeen: now, ipHistory: [] };
+            this.deviceInventory[id] = record;
+            this.pruneDeviceInventory();
+        }
+
+        // A second instance on the same machine is not a key change
+        if (peerId && macAddress && record.macAddress === macAddress && !this.store.state.connectedPeers.has(record.peerId)) {
+            this.notePeerIdentityChange(record.peerId, peerId, macAddress);
+        }
+
+        // Sightings that know less than earlier ones must not erase what was learned
+        record.peerId = peerId || record.peerId || null;
+        record.macAddress = macAddress || record.macAddress || null;
+        record.vendor = vendor || record.vendor || null;
+        record.hostname = hostname || record.hostname || null;
+        record.deviceType = deviceType && deviceType !== 'Unknown' ? deviceType : (record.deviceType || 'Unknown');
+        record.hasSyncBeam = hasSyncBeam || !!record.hasSyncBeam || !!record.peerId;
+        record.lastSeen = now;
+
+        if (ip) {
+            const current = record.ipHistory[record.ipHistory.length - 1];
+            if (current?.ip === ip) {
+                current.lastSeen = now;
+            } else {
+                record.ipHistory = [...record.ipHistory, { ip, firstSeen: now, lastSeen: now }].slice(-MAX_INVENTORY_IPS);
+            }
+            record.ip = ip;
+        }
+
+        this.saveDeviceInventory();
+    }
+
+    pruneDeviceInventory() {
+        const records = Object.values(this.deviceInventory);
+        if (records.length <= MAX_INVENTORY_DEVICES) return;
+
+        records
+            .sort((a, b) => a.lastSeen - b.lastSeen)
+            .slice(0, records.length - MAX_INVENTORY_DEVICES)
+            .forEach(r => delete this.deviceInventory[r.id]);
+    }
+
+    forgetInventoryDevice(id) {
+        delete this.deviceInventory[id];
+        this.saveDeviceInventory();
+        this.renderInventory();
+    }
+
+    clearDeviceInventory() {
+        this.deviceInventory = {};
+        this.saveDeviceInventory();
+        this.renderInventory();
+    }
+
+    loadInventoryLayout() {
+        let saved = {};
+        try {
+            const parsed = JSON.parse(localStorage.getItem('syncbeam-inventory-layout') || '{}');
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) saved = parsed;
+        } catch (e) {
+            console.warn('Could not read inventory layout:', e);
+        }
+        return {
+            layout: saved.layout === 'inventory' ? 'inventory' : 'grid',
+            sort: INVENTORY_COLUMNS.includes(saved.sort) ? saved.sort : 'lastSeen',
+            descending: saved.descending !== false
+        };
+    }
+
+    saveInventoryLayout() {
+        localStorage.setItem('syncbeam-inventory-layout', JSON.stringify(this.inventoryLayout));
+    }
+
+    setupInventoryView() {
+        document.querySelectorAll('.layout-btn[data-layout]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.inventoryLayout.layout = btn.dataset.layout;
+                this.saveInventoryLayout();
+                this.applyInventoryLayout();
+            });
+        });
+
+        const search = document.getElementById('inventorySearch');
+        if (search) {
+            search.addEventListener('input', () => {
+                this.inventoryFilters.search = search.value;
+                this.renderInventory();
+            });
+        }
+        const status = document.getElementById('inventoryStatusFilter');
+        if (status) {
+            status.addEventListener('change', () => {
+                this.inventoryFilters.status = status.value;
+                this.renderInventory();
+            });
+        }
+        document.getElementById('clearInventoryBtn')?.addEventListener('click', () => this.clearDeviceInventory());
+
+        this.applyInventoryLayout();
+    }
+
+    applyInventoryLayout() {
+        const showInventory = this.inventoryLayout.layout === 'inventory';
+        document.querySelectorAll('.layout-btn[data-layout]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.layout === this.inventoryLayout.layout);
+        });
+        const grid = document.getElementById('peersGrid');
+        const filters = document.getElementById('deviceFilters');
+        const inventory = document.getElementById('inventoryView');
+        if (grid) grid.hidden = showInventory;
+        if (filters) filters.hidden = showInventory;
+        if (inventory) inventory.hidden = !showInventory;
+        this.renderInventory();
+    }
+
+    sortInventory(column) {
+        if (this.inventoryLayout.sort === column) {
+            this.inventoryLayout.descending = !this.inventoryLayout.descending;
+        } else {
+            this.inventoryLayout.sort = column;
+            // Dates read best newest first, text A to Z
+            this.inventoryLayout.descending = column === 'firstSeen' || column === 'lastSeen';
+        }
+        this.saveInventoryLayout();
+        this.renderInventory();
+    }
+
+    isInventoryDeviceOnline(record) {
+        if (record.peerId && this.store.state.connectedPeers.has(record.peerId)) return true;
+        const device = record.ip ? this.store.state.networkDevices.get(record.ip) : null;
+        return !!device && !device.stale;
+    }
+
+    getInventoryRows() {
+        const { search, status } = this.inventoryFilters;
+        const query = search.trim().toLowerCase();
+        const { sort, descending } = this.inventoryLayout;
+
+        const rows = Object.values(this.deviceInventory).map(record => ({
+            ...record,
+            name: (record.peerId && this.peerProfiles[record.peerId]?.nickname) || record.hostname || record.ip || record.peerId || '-',
+            online: this.isInventoryDeviceOnline(record)
+        })).filter(row => {
+            if (status === 'online' && !row.online) return false;
+            if (status === 'offline' && row.online) return false;
+            if (status === 'syncbeam' && !row.hasSyncBeam) return false;
+            if (status === 'ipChanged' && row.ipHistory.length < 2) return false;
+            if (!query) return true;
+            return [row.name, row.hostname, row.macAddress, row.vendor, row.peerId, ...row.ipHistory.map(h => h.ip)]
+                .some(value => value && value.toLowerCase().includes(query));
+        });
+
+        const compare = (a, b) => {
+            if (sort === 'firstSeen' || sort === 'lastSeen') return a[sort] - b[sort];
+            if (sort === 'ip') return (ipv4ToInt(a.ip || '') ?? Infinity) - (ipv4ToInt(b.ip || '') ?? Infinity);
+            return (a[sort] || '').localeCompare(b[sort] || '');
+        };
+        return rows.sort((a, b) => descending ? compare(b, a) : compare(a, b));
+    }
+
+    renderInventory() {
+        const container = document.getElementById('inventoryTable');
+        if (!container || this.inventoryLayout.layout !== 'inventory') return;
+
+        const rows = this.getInventoryRows();
+        if (rows.length === 0) {
+            const filtered = this.inventoryFilters.search.trim() || this.inventoryFilters.status;
+            container.innerHTML = `
+                <div class="empty-state small">
+                    <p>${this.t(filtered ? 'inventory.noMatches' : 'inventory.empty')}</p>
+                </div>
+            `;
+            return;
+        }
+
+        const { sort, descending } = this.inventoryLayout;
+        const formatDate = (time) => new Date(time).toLocaleString();
+
+        container.innerHTML = `
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        ${INVENTORY_COLUMNS.map(column => `
+                            <th>
+                                <button class="inventory-sort ${column === sort ? 'active' : ''}" data-action="sortInventory" data-id="${this.escapeHtml(column)}">
+                                    ${this.t(`inventory.col.${column}`)}
+                                    ${column === sort ? (descending ? '&#9662;' : '&#9652;') : ''}
+                                </button>
+                            </th>
+                        `).join('')}
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => {
+                        const previous = row.ipHistory.slice(0, -1).reverse();
+                        const previousTitle = previous
+                            .map(h => `${h.ip} (${formatDate(h.firstSeen)} - ${formatDate(h.lastSeen)})`)
+                            .join('\n');
+                        const randomized = isRandomizedMac(row.macAddress);
+                        return `
+                            <tr class="${row.online ? 'online' : ''}">
+                                <td>
+                                    <span class="peer-status-dot ${row.online ? 'online' : 'no-syncbeam'}"></span>
+                                    ${this.escapeHtml(row.name)}
+                                </td>
+                                <td class="inventory-mono">
+                                    ${this.escapeHtml(row.ip || '-')}
+                                    ${previous.length ? `
+                                        <span class="inventory-ip-changes" title="${this.t('inventory.previousIps')}:\n${this.escapeHtml(previousTitle)}">+${previous.length}</span>
+                                    ` : ''}
+                                </td>
+                                <td class="inventory-mono">${this.escapeHtml(row.macAddress || '-')}</td>
+                                <td>${this.escapeHtml(row.vendor || (randomized ? this.t('inventory.randomizedMac') : '-'))}</td>
+                                <td>${this.escapeHtml(this.getDeviceTypeLabel(row.deviceType))}</td>
+                                <td class="inventory-mono" title="${this.escapeHtml(row.peerId || '')}">${this.escapeHtml(row.peerId ? row.peerId.substring(0, 12) : '-')}</td>
+                                <td>${formatDate(row.firstSeen)}</td>
+                                <td>${formatDate(row.lastSeen)}</td>
+                                <td>
+                                    <button class="btn btn-secondary btn-sm" data-action="forgetInventoryDevice" data-id="${this.escapeHtml(row.id)}">
+                                        ${this.t('inventory.forget')}
+                                    </button>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    toggleNetworkScan() {
+        if (this.store.state.isScanning) {
+            this.sendToBackend('cancelScan', {});
+        } else {
+            this.scanNetwork();
+        }
+    }
+
+    scanNetwork() {
+        let subnets = [];
+        if (this.scanOptions.subnet === 'custom') {
+            const range = parseScanCidr(this.scanOptions.customSubnet);
+            if (!range) {
+                this.showNotification(this.t('scan.invalidSubnet'));
+                document.getElementById('scanCustomSubnet')?.focus();
+                return;
+            }
+            subnets = [range.cidr];
+        } else if (this.scanOptions.subnet) {
+            subnets = [this.scanOptions.subnet];
+        }
+
+        this.store.dispatch('scanRequested', { keepResults: this.scanOptions.keepResults });
+        this.sendToBackend('scanNetwork', { subnets });
+    }
+
+    getDeviceIcon(deviceType) {
+        const icons = {
+            'Computer': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="2" y="3" width="20" height="14" rx="2" ry="2"/>
+                <line x1="8" y1="21" x2="16" y2="21"/>
+                <line x1="12" y1="17" x2="12" y2="21"/>
+            </svg>`,
+            'Phone': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="5" y="2" width="14" height="20" rx="2" ry="2"/>
+                <line x1="12" y1="18" x2="12.01" y2="18"/>
+            </svg>`,
+            'Tablet': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="4" y="2" width="16" height="20" rx="2" ry="2"/>
+                <line x1="12" y1="18" x2="12.01" y2="18"/>
+            </svg>`,
+            'Router': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="2" y="14" width="20" height="6" rx="1"/>
+                <path d="M6 14V6a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v8"/>
+                <line x1="6" y1="17" x2="6.01" y2="17"/>
+                <line x1="10" y1="17" x2="10.01" y2="17"/>
+            </svg>`,
+            'Printer': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="6,9 6,2 18,2 18,9"/>
+                <path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/>
+                <rect x="6" y="14" width="12" height="8"/>
+            </svg>`,
+            'SmartTV': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="2" y="7" width="20" height="15" rx="2" ry="2"/>
+                <polyline points="17,2 12,7 7,2"/>
+            </svg>`,
+            'GameConsole': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="6" y1="12" x2="10" y2="12"/>
+                <line x1="8" y1="10" x2="8" y2="14"/>
+                <line x1="15" y1="13" x2="15.01" y2="13"/>
+                <line x1="18" y1="11" x2="18.01" y2="11"/>
+                <rect x="2" y="6" width="20" height="12" rx="2"/>
+            </svg>`,
+            'SmartHome': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/>
+                <polyline points="9,22 9,12 15,12 15,22"/>
+            </svg>`,
+            'Server': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="2" y="2" width="20" height="8" rx="2" ry="2"/>
+                <rect x="2" y="14" width="20" height="8" rx="2" ry="2"/>
+                <line x1="6" y1="6" x2="6.01" y2="6"/>
+                <line x1="6" y1="18" x2="6.01" y2="18"/>
+            </svg>`,
+            'Unknown': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <circle cx="12" cy="12" r="10"/>
+                <path d="M9.09 9a3 3 0 0 1 5.83 1c0 2-3 3-3 3"/>
+                <line x1="12" y1="17" x2="12.01" y2="17"/>
+            </svg>`
+        };
+        return icons[deviceType] || icons['Unknown'];
+    }
+
+    connectToPeer(peerId) {
+        if (this.isPeerBlocked(peerId)) {
+            this.showNotification(this.t('peers.blockedConnect'));
+            return;
+        }
+
+        // Immediately show connecting state
+        this.store.dispatch('connectStarted', { peerId });
+        this.sendToBackend('connect', { peerId });
+    }
+
+    connectToDevice(peerId, ip) {
+        if (peerId && this.isPeerBlocked(peerId)) {
+            this.showNotification(this.t('peers.blockedConnect'));
+            return;
+        }
+
+        // Update UI immediately to show connecting state
+        this.store.dispatch('connectStarted', { peerId: peerId || null, ip });
+
+        // If we have a peerId, try that first; otherwise connect by IP
+        if (peerId) {
+            this.sendToBackend('connect', { peerId });
+        } else {
+            // Failures arrive as peerConnectionFailed as well, which resets the card
+            this.connectToAddress(ip).catch(() => {});
+        }
+    }
+
+    connectToAddress(host, port = null) {
+        return this.rpc.call('connectToIp', { ip: host, port }, { timeout: CONNECT_TIMEOUT_MS });
+    }
+
+    showConnectDialog() {
+        const overlay = this.createDialog(`
+            <h2>${this.t('connect.title')}</h2>
+            <p>${this.t('connect.hint')}</p>
+            <div class="identity-field">
+                <label for="connectHostInput">${this.t('connect.host')}</label>
+                <input type="text" class="input" id="connectHostInput" placeholder="192.168.1.20" autocomplete="off" spellcheck="false">
+            </div>
+            <div class="identity-field">
+                <label for="connectPortInput">${this.t('connect.port')}</label>
+                <input type="number" class="input" id="connectPortInput" min="1" max="65535"
+                    value="${this.store.state.listenPort || DEFAULT_LISTEN_PORT}">
+            </div>
+            <label class="checkbox-row">
+                <input type="checkbox" id="connectBookmarkInput" checked>
+                <span>${this.t('connect.saveBookmark')}</span>
+            </label>
+            <label class="checkbox-row">
+                <input type="checkbox" id="connectAutoReconnectInput">
+                <span>${this.t('connect.autoReconnect')}</span>
+            </label>
+            <p class="dialog-error" hidden></p>
+            <div class="dialog-actions">
+                <button class="btn btn-secondary" data-dialog-cancel>${this.t('connect.cancel')}</button>
+                <button class="btn btn-primary" data-dialog-connect>${this.t('connect.connect')}</button>
+            </div>
+        `, 'connect-dialog');
+
+        const hostInput = overlay.querySelector('#connectHostInput');
+        const portInput = overlay.querySelector('#connectPortInput');
+        const bookmarkInput = overlay.querySelector('#connectBookmarkInput');
+        const autoReconnectInput = overlay.querySelector('#connectAutoReconnectInput');
+        const errorText = overlay.querySelector('.dialog-error');
+        const connectBtn = overlay.querySelector('[data-dialog-connect]');
+        const cancelBtn = overlay.querySelector('[data-dialog-cancel]');
+
+        const showError = (message) => {
+            errorText.textContent = message;
+            errorText.hidden = !message;
+        };
+
+        bookmarkInput.addEventListener('change', () => {
+            autoReconnectInput.disabled = !bookmarkInput.checked;
+            if (!bookmarkInput.checked) autoReconnectInput.checked = false;
+        });
+
+        const submit = async () => {
+            // A port typed into the host field wins over the port field
+            const { host, port: inlinePort } = parsePeerAddress(hostInput.value);
+            const port = inlinePort ?? Number(portInput.value);
+            const error = !host ? 'connect.hostRequired'
+                : !isValidPeerHost(host) ? 'connect.invalidHost'
+                : !isValidPeerPort(port) ? 'connect.invalidPort'
+                : null;
+            if (error) {
+                showError(this.t(error));
+                (error === 'connect.invalidPort' && inlinePort === null ? portInput : hostInput).focus();
+                return;
+            }
+
+            showError('');
+            connectBtn.disabled = true;
+            connectBtn.textContent = this.t('connect.connecting');
+            try {
+                const result = await this.connectToAddress(host, port);
+                if (bookmarkInput.checked) {
+                    this.saveBookmark(host, port, {
+                        peerId: result.peerId || null,
+                        autoReconnect: autoReconnectInput.checked
+                    });
+                }
+                this.closeDialog(overlay);
+            } catch (err) {
+                showError(`${this.t('connect.failed')}: ${err.message}`);
+                connectBtn.disabled = false;
+                connectBtn.textContent = this.t('connect.connect');
+            }
+        };
+
+        hostInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') submit();
+        });
+        portInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') submit();
+        });
+        connectBtn.addEventListener('click', submit);
+        cancelBtn.addEventListener('click', () => this.closeDialog(overlay));
+        hostInput.focus();
+    }
+
+    loadBookmarks() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('syncbeam-bookmarks') || '[]');
+            return Array.isArray(saved)
+                ? saved.filter(b => b && typeof b.host === 'string' && isValidPeerPort(b.port))
+                : [];
+        } catch {
+            return [];
+        }
+    }
+
+    persistBookmarks() {
+        localStorage.setItem('syncbeam-bookmarks', JSON.stringify(this.bookmarks));
+    }
+
+    formatBookmarkAddress(bookmark) {
+        return bookmark.host.includes(':') ? `[${bookmark.host}]:${bookmark.port}` : `${bookmark.host}:${bookmark.port}`;
+    }
+
+    saveBookmark(host, port, { peerId = null, autoReconnect = false } = {}) {
+        const id = `${host.toLowerCase()}:${port}`;
+        const existing = this.bookmarks.find(b => b.id === id);
+        this.notePeerIdentityChange(existing?.peerId, peerId, this.formatBookmarkAddress({ host, port }));
+        const bookmark = {
+            id,
+            host,
+            port,
+            peerId: peerId || existing?.peerId || null,
+            autoReconnect,
+            lastConnectedAt: Date.now()
+        };
+        this.bookmarks = [...this.bookmarks.filter(b => b.id !== id), bookmark];
+        this.persistBookmarks();
+        this.renderPeers();
+    }
+
+    removeBookmark(id) {
+        this.bookmarks = this.bookmarks.filter(b => b.id !== id);
+        this.persistBookmarks();
+        this.renderPeers();
+        this.showNotification(this.t('connect.bookmarkRemoved'));
+    }
+
+    setBookmarkAutoReconnect(id, enabled) {
+        const bookmark = this.bookmarks.find(b => b.id === id);
+        if (!bookmark) return;
+        bookmark.autoReconnect = enabled;
+        this.persistBookmarks();
+    }
+
+    async connectToBookmark(id) {
+        const bookmark = this.bookmarks.find(b => b.id === id);
+        if (!bookmark || this.connectingBookmarks.has(id)) return;
+        if (bookmark.peerId && this.isPeerBlocked(bookmark.peerId)) {
+            this.showNotification(this.t('peers.blockedConnect'));
+            return;
+        }
+
+        this.connectingBookmarks.add(id);
+        this.renderPeers();
+        try {
+            const result = await this.connectToAddress(bookmark.host, bookmark.port);
+            this.notePeerIdentityChange(bookmark.peerId, result.peerId, this.formatBookmarkAddress(bookmark));
+            bookmark.peerId = result.peerId || bookmark.peerId;
+            bookmark.lastConnectedAt = Date.now();
+            this.persistBookmarks();
+        } catch {
+            // The host already reported the failure through peerConnectionFailed
+        } finally {
+            this.connectingBookmarks.delete(id);
+            this.renderPeers();
+        }
+    }
+
+    reconnectBookmarks() {
+        this.bookmarks
+            .filter(b => b.autoReconnect && !(b.peerId && (this.store.state.connectedPeers.has(b.peerId) || this.isPeerBlocked(b.peerId))))
+            .forEach(b => this.connectToBookmark(b.id));
+    }
+
+    sendFileToPeer(peerId) {
+        const fileInput = document.getElementById('fileInput');
+        if (fileInput) {
+            fileInput.dataset.targetPeer = peerId;
+            fileInput.click();
+        }
+    }
+
+    updateTransferProgress(data) {
+        if (!data.transferId) return;
+
+        if (!this.getTransfer(data.transferId)) {
+            // Transfer started from backend (e.g., incoming)
+            this.store.dispatch('transferReceiving', {
+                transfer: {
+                    id: data.transferId,
+                    name: data.fileName || data.name || 'Unknown',
+                    size: data.totalBytes || data.size || 0,
+                    progress: 0,
+                    speed: null,
+                    status: 'receiving',
+                    direction: 'incoming',
+                    peerId: data.peerId || null,
+                    startedAt: Date.now()
+                }
+            });
+        }
+
+        const transfer = this.getTransfer(data.transferId);
+        const changes = { progress: data.progress, speed: data.speed };
+        if (data.bytesTransferred != null) changes.bytesTransferred = data.bytesTransferred;
+        if (data.status) changes.status = data.status;
+        this.store.dispatch('transferUpdated', {
+            transferId: data.transferId,
+            changes: { ...changes, ...this.getSpeedSample({ ...transfer, ...changes }, data.speed) }
+        });
+    }
+
+    // Throughput: returns the speed fields to store after a progress event
+    getSpeedSample(transfer, reportedSpeed) {
+        const now = Date.now();
+        let sample = null;
+
+        // Byte deltas are steadier than the host's instantaneous speed, so
+        // the reported value is only used until two progress events arrive
+        if (transfer.bytesTransferred != null && transfer.lastSampleAt != null) {
+            const elapsed = now - transfer.lastSampleAt;
+            if (elapsed < SPEED_SAMPLE_MIN_MS) return {};
+            sample = Math.max(0, transfer.bytesTransferred - transfer.lastSampleBytes) / (elapsed / 1000);
+        } else if (reportedSpeed > 0) {
+            sample = reportedSpeed;
+        }
+
+        const stats = { lastSampleAt: now, lastSampleBytes: transfer.bytesTransferred ?? null };
+        if (sample === null) return stats;
+
+        const smoothedSpeed = transfer.smoothedSpeed == null
+            ? sample
+            : SPEED_SMOOTHING * sample + (1 - SPEED_SMOOTHING) * transfer.smoothedSpeed;
+        return {
+            ...stats,
+            smoothedSpeed,
+            speedHistory: [...(transfer.speedHistory || []), smoothedSpeed].slice(-SPEED_HISTORY_SAMPLES)
+        };
+    }
+
+    isTransferMoving(transfer) {
+        return (transfer.status === 'sending' || transfer.status === 'receiving' || transfer.status === 'pending') &&
+            transfer.smoothedSpeed > 0 &&
+            Date.now() - transfer.lastSampleAt < SPEED_STALE_MS;
+    }
+
+    getTransferEta(transfer) {
+        if (!this.isTransferMoving(transfer) || !transfer.size) return null;
+
+        const done = transfer.bytesTransferred ?? transfer.size * (transfer.progress || 0) / 100;
+        return Math.max(0, transfer.size - done) / transfer.smoothedSpeed * 1000;
+    }
+
+    getAggregateBandwidth() {
+        const totals = { upload: 0, download: 0 };
+        this.store.state.transfers.forEach(t => {
+            if (!this.isTransferMoving(t)) return;
+            totals[t.direction === 'incoming' ? 'download' : 'upload'] += t.smoothedSpeed;
+        });
+        return totals;
+    }
+
+    setupBandwidthMeter() {
+        this.renderBandwidth();
+        // Keeps the readout falling back to zero once progress events stop
+        setInterval(() => this.renderBandwidth(), 1000);
+    }
+
+    renderBandwidth() {
+        const meter = document.getElementById('bandwidthInfo');
+        if (!meter) return;
+
+        const { upload, download } = this.getAggregateBandwidth();
+        meter.classList.toggle('active', upload > 0 || download > 0);
+        meter.innerHTML = `
+            <span class="bandwidth-up" title="${this.t('bandwidth.upload')}">&uarr; ${this.formatSpeed(upload) || '0 B/s'}</span>
+            <span class="bandwidth-down" title="${this.t('bandwidth.download')}">&darr; ${this.formatSpeed(download) || '0 B/s'}</span>
+        `;
+    }
+
+    renderSparkline(samples) {
+        if (!samples || samples.length < 2) return '';
+
+        const width = 60;
+        const height = 16;
+        const max = Math.max(...samples) || 1;
+        const step = width / (SPEED_HISTORY_SAMPLES - 1);
+        const offset = width - (samples.length - 1) * step;
+        const points = samples
+            .map((value, i) => `${(offset + i * step).toFixed(1)},${(height - 1 - (value / max) * (height - 2)).toFixed(1)}`)
+            .join(' ');
+
+        return `
+            <svg class="transfer-sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5"/>
+            </svg>
+        `;
+    }
+
+    updateTransferStatus(transferId, status, progress = null, errorMessage = null) {
+        const transfer = this.getTransfer(transferId);
+        if (transfer) {
+            if (status === 'failed' && transfer.direction === 'outgoing') {
+                this.recordSendAttempt(transfer, errorMessage);
+                if (this.scheduleAutoRetry(transferId)) {
+                    this.pumpQueue();
+                    return;
+                }
+            }
+
+            const changes = { status };
+            if (progress !== null) changes.progress = progress;
+            this.store.dispatch('transferUpdated', { transferId, changes });
+            if (status === 'completed' || status === 'failed') {
+                this.recordTransferHistory(this.getTransfer(transferId), status, errorMessage);
+                // A send slot just freed up
+                this.pumpQueue();
+            }
+        }
+    }
+
+    removeTransfer(transferId) {
+        // The transfers subscription releases its file and retry timer
+        this.store.dispatch('transfersRemoved', { transferIds: [transferId] });
+    }
+
+    addIncomingTransfer(data) {
+        this.store.dispatch('transferReceiving', {
+            transfer: {
+                id: data.transferId,
+                name: data.name,
+                size: data.size,
+                progress: 0,
+                speed: null,
+                status: 'receiving',
+                direction: 'incoming',
+                peerId: data.peerId,
+                startedAt: Date.now()
+            }
+        });
+    }
+
+    queueIncomingOffer(data) {
+        const offer = {
+            transferId: data.transferId,
+            peerId: data.peerId,
+            name: data.fileName || data.name || 'Unknown',
+            size: data.fileSize ?? data.size ?? 0,
+            mimeType: data.mimeType || null,
+            expiresAt: Date.now() + OFFER_TIMEOUT_MS
+        };
+
+        if (!offer.transferId || !offer.peerId) return;
+
+        const alreadyKnown = this.store.state.incomingOffers.some(o => o.transferId === offer.transferId)
+            || !!this.getTransfer(offer.transferId);
+        if (alreadyKnown) return;
+
+        if (this.isPeerBlocked(offer.peerId)) {
+            this.sendToBackend('cancelTransfer', { peerId: offer.peerId, transferId: offer.transferId });
+            return;
+        }
+
+        // Trust is only a label; auto-accept is its own per-peer choice
+        if (this.autoAcceptPeers.has(offer.peerId)) {
+            this.acceptOfferData(offer);
+            return;
+        }
+
+        this.store.dispatch('offerQueued', { offer });
+        this.startOfferTimer();
     }
 
-    showFirewallSetupDialog(data) {
-        // Remove existing dialog if any
-        const existing = document.querySelector('.firewall-dialog-overlay');
-        if (existing) existing.remove();
+    acceptOfferData(offer) {
+        this.sendToBackend('acceptFile', {
+            peerId: offer.peerId,
+            transferId: offer.transferId
+        });
+        this.addIncomingTransfer({
+            transferId: offer.transferId,
+            name: offer.name,
+            size: offer.size,
+            peerId: offer.peerId
+        });
+    }
 
-        const overlay = document.createElement('div');
-        overlay.className = 'firewall-dialog-overlay';
-        overlay.innerHTML = `
-            <div class="firewall-dialog">
-                <div class="firewall-dialog-icon">
+    takeOffer(transferId) {
+        const offer = this.store.state.incomingOffers.find(o => o.transferId === transferId);
+        if (offer) {
+            this.store.dispatch('offerRemoved', { transferId });
+        }
+        return offer;
+    }
+
+    acceptOffer(transferId) {
+        const offer = this.takeOffer(transferId);
+        if (offer) {
+            this.acceptOfferData(offer);
+        }
+    }
+
+    rejectOffer(transferId) {
+        const offer = this.takeOffer(transferId);
+        if (offer) {
+            this.sendToBackend('cancelTransfer', {
+                peerId: offer.peerId,
+                transferId: offer.transferId
+            });
+        }
+    }
+
+    loadAutoAcceptPeers() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('syncbeam-auto-accept') || '[]');
+            return new Set(Array.isArray(saved) ? saved.filter(id => typeof id === 'string') : []);
+        } catch (e) {
+            console.warn('Could not read auto-accepted devices:', e);
+            return new Set();
+        }
+    }
+
+    alwaysAcceptFrom(transferId) {
+        const offer = this.store.state.incomingOffers.find(o => o.transferId === transferId);
+        if (!offer) return;
+
+        this.autoAcceptPeers.add(offer.peerId);
+        localStorage.setItem('syncbeam-auto-accept', JSON.stringify([...this.autoAcceptPeers]));
+
+        // Everything already waiting from this peer is accepted too
+        this.store.state.incomingOffers
+            .filter(o => o.peerId === offer.peerId)
+            .forEach(o => this.acceptOffer(o.transferId));
+    }
+
+    acceptAllOffers() {
+        this.store.state.incomingOffers.forEach(o => this.acceptOffer(o.transferId));
+    }
+
+    rejectAllOffers() {
+        this.store.state.incomingOffers.forEach(o => this.rejectOffer(o.transferId));
+    }
+
+    startOfferTimer() {
+        if (this._offerTimer) return;
+
+        this._offerTimer = setInterval(() => {
+            const now = Date.now();
+            const expired = this.store.state.incomingOffers.filter(o => o.expiresAt <= now);
+            if (expired.length > 0) {
+                expired.forEach(o => this.rejectOffer(o.transferId));
+                this.showNotification(this.t('offers.expired'));
+            }
+
+            if (this.store.state.incomingOffers.length === 0) {
+                clearInterval(this._offerTimer);
+                this._offerTimer = null;
+            }
+
+            // Rejecting re-renders the panel; otherwise only the countdowns change
+            this.updateOfferCountdowns();
+        }, 1000);
+    }
+
+    // Touches only the countdown text so focus, hover and clicks in the panel survive a tick
+    updateOfferCountdowns() {
+        const panel = document.getElementById('incomingOffers');
+        if (!panel) return;
+
+        const now = Date.now();
+        const offers = new Map(this.store.state.incomingOffers.map(o => [o.transferId, o]));
+        panel.querySelectorAll('.offer-item').forEach(item => {
+            const offer = offers.get(item.dataset.transferId);
+            const expiry = item.querySelector('.offer-expiry');
+            if (offer && expiry) expiry.textContent = this.formatOfferExpiry(offer, now);
+        });
+    }
+
+    formatOfferExpiry(offer, now) {
+        return `${this.t('offers.expiresIn')} ${Math.max(0, Math.ceil((offer.expiresAt - now) / 1000))}s`;
+    }
+
+    renderIncomingOffers() {
+        let panel = document.getElementById('incomingOffers');
+        const offers = this.store.state.incomingOffers;
+
+        if (offers.length === 0) {
+            if (panel) panel.remove();
+            return;
+        }
+
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'incomingOffers';
+            panel.className = 'offer-panel';
+            document.body.appendChild(panel);
+        }
+
+        const now = Date.now();
+        panel.innerHTML = `
+            <div class="offer-panel-header">
+                <strong>${this.t('offers.title')} (${offers.length})</strong>
+                ${offers.length > 1 ? `
+                    <div class="offer-panel-actions">
+                        <button class="btn btn-primary btn-sm" data-action="acceptAllOffers">${this.t('offers.acceptAll')}</button>
+                        <button class="btn btn-secondary btn-sm" data-action="rejectAllOffers">${this.t('offers.rejectAll')}</button>
+                    </div>
+                ` : ''}
+            </div>
+            ${offers.map(offer => `
+                <div class="offer-item" data-transfer-id="${this.escapeHtml(offer.transferId)}">
+                    <div class="offer-name" title="${this.escapeHtml(offer.name)}">${this.escapeHtml(offer.name)}</div>
+                    <div class="offer-meta">
+                        <span>${this.formatSize(offer.size)}</span>
+                        <span>${this.t('offers.from')}: ${this.escapeHtml(this.getPeerDisplayName(offer.peerId))}</span>
+                        <span class="offer-expiry">${this.formatOfferExpiry(offer, now)}</span>
+                    </div>
+                    <div class="offer-actions">
+                        <button class="btn btn-primary btn-sm" data-action="acceptOffer" data-id="${this.escapeHtml(offer.transferId)}">${this.t('offers.accept')}</button>
+                        <button class="btn btn-secondary btn-sm" data-action="rejectOffer" data-id="${this.escapeHtml(offer.transferId)}">${this.t('offers.reject')}</button>
+                        <button class="offer-always" data-action="alwaysAcceptFrom" data-id="${this.escapeHtml(offer.transferId)}">${this.t('offers.alwaysAccept')}</button>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    renderTransfers() {
+        this.renderTransferQueue();
+        this.renderBandwidth();
+
+        const list = document.getElementById('transferList');
+        if (!list) return;
+
+        // Queued standalone sends are listed in the queue panel instead
+        const { folderJobs } = this.store.state;
+        const transfers = this.store.state.transfers.filter(t => t.jobId || !this.isQueuedStatus(t.status));
+        if (transfers.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state small">
+                    <p>${this.t('transfers.noActive')}</p>
+                </div>
+            `;
+            return;
+        }
+
+        // Folder jobs render once, where their first file sits in the list
+        const rows = [];
+        const renderedJobs = new Set();
+        for (const transfer of transfers) {
+            if (transfer.jobId && folderJobs.has(transfer.jobId)) {
+                if (renderedJobs.has(transfer.jobId)) continue;
+                renderedJobs.add(transfer.jobId);
+                const job = folderJobs.get(transfer.jobId);
+                rows.push({ key: `job:${transfer.jobId}`, render: () => this.renderFolderJob(job) });
+            } else {
+                rows.push({ key: `transfer:${transfer.id}`, render: () => this.renderTransferItem(transfer) });
+            }
+        }
+        this.getKeyedList(list).update(rows);
+    }
+
+    renderTransferItem(transfer) {
+        const statusClass = transfer.status || 'pending';
+        const statusText = this.t(`transfers.status.${transfer.status}`) || transfer.status;
+        const hasFile = this.transferFiles.has(transfer.id);
+        const canRetry = hasFile && (transfer.status === 'failed' || transfer.status === 'retrying');
+        const speedText = this.formatSpeed(transfer.smoothedSpeed ?? transfer.speed);
+        const eta = this.getTransferEta(transfer);
+        const peerLabel = transfer.peerId
+            ? `${this.t(transfer.direction === 'incoming' ? 'transfers.from' : 'transfers.to')}: ${this.getPeerDisplayName(transfer.peerId)}`
+            : '';
+
+        return `
+            <div class="transfer-item ${statusClass}" data-transfer-id="${this.escapeHtml(transfer.id)}">
+                <div class="transfer-icon">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>
+                        <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+                        <polyline points="14,2 14,8 20,8"/>
                     </svg>
                 </div>
-                <h2>${this.t('firewall.setupTitle')}</h2>
-                <p>${this.t('firewall.setupMessage')}</p>
-                <p class="firewall-port">${this.t('firewall.port')}: <strong>${data.port}</strong></p>
-                <div class="firewall-dialog-actions">
-                    <button class="btn btn-primary" id="acceptFirewallBtn">
-                        ${this.t('firewall.configure')}
-                    </button>
-                    <button class="btn btn-secondary" id="skipFirewallBtn">
-                        ${this.t('firewall.skip')}
-                    </button>
+                <div class="transfer-info">
+                    <div class="transfer-name">${this.escapeHtml(transfer.name)}</div>
+                    <div class="transfer-meta">
+                        <span>${this.formatSize(transfer.size)}</span>
+                        ${peerLabel ? `<span class="transfer-peer" title="${this.escapeHtml(transfer.peerId)}">${this.escapeHtml(peerLabel)}</span>` : ''}
+                        ${speedText ? `<span class="transfer-speed">${speedText}</span>` : ''}
+                        ${eta !== null ? `<span class="transfer-eta">${this.t('transfers.eta')} ${this.formatDuration(eta)}</span>` : ''}
+                        ${transfer.status === 'sending' || transfer.status === 'receiving' ? this.renderSparkline(transfer.speedHistory) : ''}
+                        <span class="transfer-status">${statusText}</span>
+                        ${transfer.status === 'retrying' ? `<span class="transfer-retry-info">${this.getRetryInfo(transfer)}</span>` : ''}
+                    </div>
+                    ${transfer.attempts?.length ? this.renderTransferAttempts(transfer) : ''}
+                    <div class="transfer-progress">
+                        <div class="transfer-progress-bar" style="width: ${transfer.progress || 0}%"></div>
+                    </div>
                 </div>
-                <p class="firewall-hint">${this.t('firewall.hint')}</p>
+                ${canRetry ? `
+                    <button class="transfer-action" data-action="retryTransferNow" data-id="${this.escapeHtml(transfer.id)}" title="${this.t('transfers.retry')}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="23,4 23,10 17,10"/>
+                            <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
+                        </svg>
+                    </button>
+                ` : ''}
+                ${this.isActiveSend(transfer) && hasFile ? this.renderPauseButton(transfer.id, false) : ''}
+                <button class="transfer-cancel" data-action="cancelTransfer" data-id="${this.escapeHtml(transfer.id)}" title="${this.t('transfers.cancel')}">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"/>
+                        <line x1="6" y1="6" x2="18" y2="18"/>
+                    </svg>
+                </button>
             </div>
         `;
+    }
 
-        document.body.appendChild(overlay);
+    getRetryInfo(transfer) {
+        if (transfer.waitingForPeer) return this.t('transfers.waitingForPeer');
+        if (transfer.retryAt) return `${this.t('transfers.retryAt')} ${new Date(transfer.retryAt).toLocaleTimeString()}`;
+        return '';
+    }
 
-        // Animate in
-        setTimeout(() => overlay.classList.add('show'), 10);
+    renderTransferAttempts(transfer) {
+        const attempts = transfer.attempts;
+        return `
+            <div class="transfer-attempts">
+                <button class="transfer-attempts-toggle" data-action="toggleTransferAttempts" data-id="${this.escapeHtml(transfer.id)}">
+                    ${this.t('transfers.attempts')}: ${attempts.length} / ${Math.max(this.retryPolicy.maxAttempts, attempts.length)}
+                </button>
+                <span class="transfer-error" title="${this.escapeHtml(transfer.lastError || '')}">
+                    ${this.t('transfers.lastError')}: ${this.escapeHtml(transfer.lastError || this.t('transfers.unknownError'))}
+                </span>
+            </div>
+            ${transfer.showAttempts ? `
+                <ol class="transfer-attempt-list">
+                    ${attempts.map(attempt => `
+                        <li>
+                            <span class="transfer-attempt-time">${new Date(attempt.at).toLocaleTimeString()}</span>
+                            ${this.escapeHtml(attempt.error || this.t('transfers.unknownError'))}
+                        </li>
+                    `).join('')}
+                </ol>
+            ` : ''}
+        `;
+    }
 
-        // Handle buttons
-        document.getElementById('acceptFirewallBtn').addEventListener('click', () => {
-            this.sendToBackend('requestFirewallSetup', {});
-            overlay.remove();
-        });
+    toggleTransferAttempts(transferId) {
+        const transfer = this.getTransfer(transferId);
+        if (transfer) {
+            this.store.dispatch('transferUpdated', { transferId, changes: { showAttempts: !transfer.showAttempts } });
+        }
+    }
 
-        document.getElementById('skipFirewallBtn').addEventListener('click', () => {
-            overlay.classList.remove('show');
-            setTimeout(() => overlay.remove(), 300);
+    // Folder Jobs
+    createFolderJob(name, peerId, direction = 'outgoing') {
+        const job = {
+            id: `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            name,
+            peerId,
+            direction,
+            skipped: 0,
+            expanded: false,
+            collapsedDirs: [],
+            createdAt: Date.now()
+        };
+        this.store.dispatch('folderJobCreated', { job });
+        return job;
+    }
+
+    getJobTransfers(jobId) {
+        return this.store.state.transfers.filter(t => t.jobId === jobId);
+    }
+
+    getFolderJobStats(job) {
+        const files = this.getJobTransfers(job.id);
+        const stats = {
+            total: files.length,
+            completed: 0,
+            failed: 0,
+            active: 0,
+            paused: 0,
+            totalBytes: 0,
+            transferredBytes: 0,
+            progress: 0,
+            eta: null
+        };
+
+        files.forEach(file => {
+            const size = file.size || 0;
+            stats.totalBytes += size;
+            stats.transferredBytes += file.status === 'completed'
+                ? size
+                : Math.min(size, size * (file.progress || 0) / 100);
+
+            if (file.status === 'completed') stats.completed++;
+            else if (file.status === 'failed') stats.failed++;
+            else stats.active++;
+            if (file.status === 'paused') stats.paused++;
         });
+
+        stats.progress = stats.totalBytes > 0
+            ? (stats.transferredBytes / stats.totalBytes) * 100
+            : (stats.total > 0 ? (stats.completed / stats.total) * 100 : 0);
+
+        // ETA from the job's average rate, which is steadier than per-file speeds
+        const elapsed = (Date.now() - job.createdAt) / 1000;
+        if (stats.active > 0 && elapsed > 0 && stats.transferredBytes > 0) {
+            const rate = stats.transferredBytes / elapsed;
+            stats.eta = ((stats.totalBytes - stats.transferredBytes) / rate) * 1000;
+        }
+
+        return stats;
     }
 
-    requestFirewallSetup() {
-        this.sendToBackend('requestFirewallSetup', {});
+    getFolderJobStatus(stats) {
+        if (stats.active > 0) {
+            if (stats.paused === stats.active) return 'paused';
+            return stats.completed + stats.failed > 0 ? 'sending' : 'pending';
+        }
+        if (stats.failed > 0) return 'failed';
+        return 'completed';
     }
 
-    updateNetworkStatusItem(component, status, message) {
-        let iconId, detailId;
-        switch (component) {
-            case 'Firewall':
-                iconId = 'firewallStatus';
-                detailId = 'firewallDetail';
-                break;
-            case 'UPnP':
-                iconId = 'upnpStatus';
-                detailId = 'upnpDetail';
-                break;
-            case 'NAT':
-            case 'STUN':
-                iconId = 'natStatus';
-                detailId = 'natDetail';
-                break;
+    renderFolderJob(job) {
+        const stats = this.getFolderJobStats(job);
+        const status = this.getFolderJobStatus(stats);
+        const peerLabel = job.peerId
+            ? `${this.t(job.direction === 'incoming' ? 'transfers.from' : 'transfers.to')}: ${this.getPeerDisplayName(job.peerId)}`
+            : '';
+
+        return `
+            <div class="folder-job ${job.expanded ? 'expanded' : ''}" data-job-id="${this.escapeHtml(job.id)}">
+                <div class="transfer-item ${status}">
+                    <button class="folder-job-toggle" data-action="toggleFolderJob" data-id="${this.escapeHtml(job.id)}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="9,18 15,12 9,6"/>
+                        </svg>
+                    </button>
+                    <div class="transfer-icon">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
+                        </svg>
+                    </div>
+                    <div class="transfer-info">
+                        <div class="transfer-name">${this.escapeHtml(job.name)}</div>
+                        <div class="transfer-meta">
+                            <span>${stats.completed} / ${stats.total} ${this.t('transfers.files')}</span>
+                            <span>${this.formatSize(stats.transferredBytes)} / ${this.formatSize(stats.totalBytes)}</span>
+                            ${peerLabel ? `<span class="transfer-peer">${this.escapeHtml(peerLabel)}</span>` : ''}
+                            ${stats.eta !== null ? `<span class="transfer-speed">${this.t('transfers.eta')} ${this.formatDuration(stats.eta)}</span>` : ''}
+                            ${stats.failed > 0 ? `<span class="folder-job-failed">${stats.failed} ${this.t('transfers.failedCount')}</span>` : ''}
+                            ${job.skipped > 0 ? `<span class="folder-job-skipped">${job.skipped} ${this.t('transfers.skippedCount')}</span>` : ''}
+                            <span class="transfer-status">${this.t(`transfers.status.${status}`)}</span>
+                        </div>
+                        <div class="transfer-progress">
+                            <div class="transfer-progress-bar" style="width: ${stats.progress.toFixed(1)}%"></div>
+                        </div>
+                    </div>
+                    ${stats.active > 0 && job.direction === 'outgoing' ? this.renderPauseButton(job.id, status === 'paused') : ''}
+                    ${stats.failed > 0 && stats.active === 0 ? `
+                        <button class="btn btn-secondary btn-sm" data-action="retryFailedInJob" data-id="${this.escapeHtml(job.id)}">
+                            ${this.t('transfers.retryFailed')}
+                        </button>
+                    ` : ''}
+                    <button class="transfer-cancel" data-action="cancelFolderJob" data-id="${this.escapeHtml(job.id)}" title="${this.t('transfers.cancelFolder')}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                </div>
+                ${job.expanded ? `<div class="folder-tree">${this.renderFolderTree(job)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    renderFolderTree(job) {
+        // Build a nested directory tree from the files' relative paths
+        const root = { dirs: new Map(), files: [] };
+        this.getJobTransfers(job.id).forEach(file => {
+            const parts = file.name.split('/');
+            // Paths start with the job folder itself
+            if (parts[0] === job.name) parts.shift();
+            const fileName = parts.pop();
+
+            let node = root;
+            parts.forEach(part => {
+                if (!node.dirs.has(part)) {
+                    node.dirs.set(part, { dirs: new Map(), files: [] });
+                }
+                node = node.dirs.get(part);
+            });
+            node.files.push({ fileName, transfer: file });
+        });
+
+        const renderNode = (node, path, depth) => {
+            const dirs = Array.from(node.dirs.entries())
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([name, child]) => {
+                    const dirPath = path ? `${path}/${name}` : name;
+                    const collapsed = job.collapsedDirs.includes(dirPath);
+                    return `
+                        <div class="folder-tree-dir ${collapsed ? 'collapsed' : ''}" style="padding-left: ${depth * 16}px"
+                             data-action="toggleFolderJobDir" data-id="${this.escapeHtml(job.id)}" data-dir="${this.escapeHtml(dirPath)}">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="6,9 12,15 18,9"/>
+                            </svg>
+                            ${this.escapeHtml(name)}
+                        </div>
+                        ${collapsed ? '' : renderNode(child, dirPath, depth + 1)}
+                    `;
+                }).join('');
+
+            const files = node.files.map(({ fileName, transfer }) => `
+                <div class="folder-tree-file ${transfer.status}" style="padding-left: ${depth * 16 + 18}px">
+                    <span class="folder-tree-name">${this.escapeHtml(fileName)}</span>
+                    <span class="folder-tree-size">${this.formatSize(transfer.size)}</span>
+                    <span class="folder-tree-status">${['completed', 'failed', 'queued', 'paused', 'retrying'].includes(transfer.status)
+                        ? this.t(`transfers.status.${transfer.status}`)
+                        : `${Math.round(transfer.progress || 0)}%`}</span>
+                </div>
+            `).join('');
+
+            return dirs + files;
+        };
+
+        return renderNode(root, '', 0);
+    }
+
+    toggleFolderJob(jobId) {
+        const job = this.store.state.folderJobs.get(jobId);
+        if (job) {
+            this.store.dispatch('folderJobUpdated', { jobId, changes: { expanded: !job.expanded } });
         }
+    }
 
-        if (iconId) {
-            const iconEl = document.getElementById(iconId);
-            const detailEl = document.getElementById(detailId);
-            if (iconEl) {
-                const svg = iconEl.querySelector('.status-icon');
-                svg.classList.remove('pending', 'ready', 'warning', 'error');
-                svg.classList.add(status.toLowerCase());
-            }
-            if (detailEl) {
-                detailEl.textContent = message;
+    toggleFolderJobDir(jobId, dirPath) {
+        const job = this.store.state.folderJobs.get(jobId);
+        if (!job) return;
+
+        const collapsedDirs = job.collapsedDirs.includes(dirPath)
+            ? job.collapsedDirs.filter(dir => dir !== dirPath)
+            : [...job.collapsedDirs, dirPath];
+        this.store.dispatch('folderJobUpdated', { jobId, changes: { collapsedDirs } });
+    }
+
+    retryFailedInJob(jobId) {
+        this.getJobTransfers(jobId)
+            .filter(t => t.status === 'failed')
+            .forEach(t => this.retryTransfer(t));
+    }
+
+    cancelFolderJob(jobId) {
+        this.getJobTransfers(jobId).forEach(transfer => {
+            if (transfer.status !== 'completed' && transfer.status !== 'failed') {
+                if (transfer.dispatched) {
+                    this.sendToBackend('cancelTransfer', { peerId: transfer.peerId, transferId: transfer.id });
+                }
+                this.recordTransferHistory(transfer, 'cancelled');
             }
-        }
+        });
+        this.removeFolderJob(jobId);
+        this.pumpQueue();
+    }
+
+    removeFolderJob(jobId) {
+        this.store.dispatch('folderJobRemoved', { jobId });
     }
 
-    updateFullNetworkStatus(data) {
-        // Firewall
-        const firewallIcon = document.querySelector('#firewallStatus .status-icon');
-        const firewallDetail = document.getElementById('firewallDetail');
-        const firewallBtn = document.getElementById('configureFirewallBtn');
-        if (firewallIcon) {
-            firewallIcon.classList.remove('pending', 'ready', 'warning', 'error');
-            firewallIcon.classList.add(data.firewallConfigured ? 'ready' : 'warning');
-        }
-        if (firewallDetail) {
-            firewallDetail.textContent = data.firewallConfigured ? 'Configured ✓' : 'Not configured';
-        }
-        if (firewallBtn) {
-            firewallBtn.style.display = data.firewallConfigured ? 'none' : 'block';
-        }
+    finishFolderJobIfDone(jobId) {
+        const job = this.store.state.folderJobs.get(jobId);
+        if (!job) return;
 
-        // UPnP
-        const upnpIcon = document.querySelector('#upnpStatus .status-icon');
-        const upnpDetail = document.getElementById('upnpDetail');
-        const upnpBtn = document.getElementById('configureUpnpBtn');
-        if (upnpIcon) {
-            upnpIcon.classList.remove('pending', 'ready', 'warning', 'error');
-            upnpIcon.classList.add(data.upnpAvailable ? (data.portMapped ? 'ready' : 'warning') : 'error');
-        }
-        if (upnpDetail) {
-            upnpDetail.textContent = data.upnpAvailable
-                ? (data.portMapped ? `Port mapped ✓` : 'Available')
-                : 'Not available';
-        }
-        if (upnpBtn) {
-            upnpBtn.style.display = data.upnpAvailable && !data.portMapped ? 'block' : 'none';
+        const stats = this.getFolderJobStats(job);
+        // Jobs with failures stay so their files can be retried
+        if (stats.active === 0 && stats.failed === 0) {
+            setTimeout(() => this.removeFolderJob(jobId), 3000);
         }
+    }
 
-        // NAT
-        const natIcon = document.querySelector('#natStatus .status-icon');
-        const natDetail = document.getElementById('natDetail');
-        if (natIcon) {
-            natIcon.classList.remove('pending', 'ready', 'warning', 'error');
-            const isGoodNat = data.natType === 'None' || data.natType === 'FullCone';
-            natIcon.classList.add(isGoodNat ? 'ready' : (data.natType === 'Symmetric' ? 'warning' : 'ready'));
+    cancelTransfer(transferId) {
+        const transfer = this.getTransfer(transferId);
+        // Sends still waiting in the queue never reached the host
+        if (!transfer || transfer.direction !== 'outgoing' || transfer.dispatched) {
+            this.sendToBackend('cancelTransfer', { peerId: transfer?.peerId, transferId });
         }
-        if (natDetail) {
-            natDetail.textContent = data.natType || 'Unknown';
+        if (transfer) {
+            this.recordTransferHistory(transfer, 'cancelled');
         }
+        this.removeTransfer(transferId);
+        this.pumpQueue();
+    }
 
-        // Public IP
-        const publicIpIcon = document.querySelector('#publicIpStatus .status-icon');
-        const publicIpDetail = document.getElementById('publicIpDetail');
-        if (publicIpIcon) {
-            publicIpIcon.classList.remove('pending', 'ready', 'warning', 'error');
-            publicIpIcon.classList.add(data.externalIp ? 'ready' : 'warning');
-        }
-        if (publicIpDetail) {
-            publicIpDetail.textContent = data.externalIp || data.publicEndpoint || 'Not detected';
+    // Transfer History
+    loadTransferHistory() {
+        try {
+            return JSON.parse(localStorage.getItem('syncbeam-transfer-history') || '[]');
+        } catch (e) {
+            console.warn('Could not read transfer history:', e);
+            return [];
         }
     }
 
-    updateSetupProgress(data) {
-        // Could show a progress indicator
-        console.log(`Setup: ${data.message} (${data.percentComplete}%)`);
+    saveTransferHistory() {
+        // Folder jobs finish files in bursts; write once things settle
+        clearTimeout(this.historySaveTimer);
+        this.historySaveTimer = setTimeout(() => {
+            try {
+                localStorage.setItem('syncbeam-transfer-history', JSON.stringify(this.store.state.transferHistory));
+            } catch (e) {
+                console.warn('Could not save transfer history:', e);
+            }
+        }, 1000);
     }
 
-    handleFirewallResult(data) {
-        if (data.success) {
-            this.showNotification('Firewall configured successfully!');
-            this.sendToBackend('getNetworkStatus', {});
-        } else if (data.requiresElevation) {
-            this.showNotification('Admin rights required. Run as Administrator.');
-        } else {
-            this.showNotification(`Firewall error: ${data.message}`);
+    scheduleHistoryRender() {
+        clearTimeout(this.historyRenderTimer);
+        this.historyRenderTimer = setTimeout(() => this.renderHistory(), 250);
+    }
+
+    recordTransferHistory(transfer, status, errorMessage = null) {
+        // Only the first final status of a transfer counts
+        if (transfer.historyRecorded) return;
+        this.store.dispatch('transferUpdated', { transferId: transfer.id, changes: { historyRecorded: true } });
+
+        const finishedAt = Date.now();
+        const startedAt = transfer.startedAt || finishedAt;
+        const duration = finishedAt - startedAt;
+        const bytes = status === 'completed' ? (transfer.size || 0) : (transfer.bytesTransferred || 0);
+
+        const entry = {
+            id: transfer.id,
+            name: transfer.name,
+            direction: transfer.direction || 'outgoing',
+            peerId: transfer.peerId || null,
+            peerName: transfer.peerId ? this.getPeerDisplayName(transfer.peerId) : null,
+            size: transfer.size || 0,
+            startedAt,
+            finishedAt,
+            duration,
+            averageSpeed: duration > 0 ? Math.round(bytes / (duration / 1000)) : 0,
+            status,
+            errorMessage
+        };
+        // Saving and rendering follow from the transferHistory subscription
+        this.store.dispatch('transferHistoryRecorded', { entry });
+    }
+
+    setupHistoryView() {
+        const bind = (id, key, eventName = 'input') => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener(eventName, () => {
+                this.historyFilters[key] = el.value;
+                this.renderHistory();
+            });
+        };
+
+        bind('historySearch', 'search');
+        bind('historyPeerFilter', 'peerId', 'change');
+        bind('historyStatusFilter', 'status', 'change');
+        bind('historyFromDate', 'from', 'change');
+        bind('historyToDate', 'to', 'change');
+
+        this.renderHistory();
+    }
+
+    getFilteredHistory() {
+        const { search, peerId, status, from, to } = this.historyFilters;
+        const query = search.trim().toLowerCase();
+        // Date inputs are local calendar days; "to" includes the whole day
+        const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : null;
+        const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+
+        return this.store.state.transferHistory.filter(entry => {
+            if (query && !entry.name.toLowerCase().includes(query)) return false;
+            if (peerId && entry.peerId !== peerId) return false;
+            if (status && entry.status !== status) return false;
+            if (fromTime !== null && entry.finishedAt < fromTime) return false;
+            if (toTime !== null && entry.finishedAt > toTime) return false;
+            return true;
+        });
+    }
+
+    renderHistoryPeerFilter() {
+        const select = document.getElementById('historyPeerFilter');
+        if (!select) return;
+
+        const peers = new Map();
+        this.store.state.transferHistory.forEach(entry => {
+            if (entry.peerId && !peers.has(entry.peerId)) {
+                peers.set(entry.peerId, entry.peerName || entry.peerId.substring(0, 8));
+            }
+        });
+
+        select.innerHTML = `<option value="">${this.t('history.allPeers')}</option>` +
+            Array.from(peers).map(([peerId, name]) => `
+                <option value="${this.escapeHtml(peerId)}">${this.escapeHtml(name)}</option>
+            `).join('');
+        select.value = peers.has(this.historyFilters.peerId) ? this.historyFilters.peerId : '';
+        this.historyFilters.peerId = select.value;
+    }
+
+    renderHistory() {
+        const list = document.getElementById('historyList');
+        if (!list) return;
+
+        this.renderHistoryPeerFilter();
+        const entries = this.getFilteredHistory();
+
+        if (entries.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state small">
+                    <p>${this.t('history.empty')}</p>
+                </div>
+            `;
+            return;
         }
+
+        list.innerHTML = entries.map(entry => `
+            <div class="history-item ${entry.status}">
+                <div class="history-direction ${entry.direction}">
+                    ${entry.direction === 'incoming' ? this.t('history.received') : this.t('history.sent')}
+                </div>
+                <div class="history-info">
+                    <div class="history-name" title="${this.escapeHtml(entry.name)}">${this.escapeHtml(entry.name)}</div>
+                    <div class="history-meta">
+                        <span>${this.escapeHtml(entry.peerName || '-')}</span>
+                        <span>${this.formatSize(entry.size)}</span>
+                        <span>${this.formatDuration(entry.duration)}</span>
+                        ${entry.averageSpeed ? `<span>${this.formatSpeed(entry.averageSpeed)}</span>` : ''}
+                        <span>${new Date(entry.finishedAt).toLocaleString()}</span>
+                    </div>
+                    ${entry.errorMessage ? `<div class="history-error">${this.escapeHtml(entry.errorMessage)}</div>` : ''}
+                </div>
+                <span class="history-status">${this.t(`history.status.${entry.status}`)}</span>
+            </div>
+        `).join('');
     }
 
-    handleUpnpResult(data) {
-        if (data.success) {
-            this.showNotification(`Port mapped successfully! External IP: ${data.externalIp || 'detected'}`);
-            this.sendToBackend('getNetworkStatus', {});
+    clearTransferHistory() {
+        this.store.dispatch('transferHistoryCleared');
+    }
+
+    exportHistory(format) {
+        const entries = this.getFilteredHistory();
+        const stamp = new Date().toISOString().slice(0, 10);
+        let content, mimeType;
+
+        if (format === 'csv') {
+            const columns = ['name', 'direction', 'peerId', 'peerName', 'size', 'startedAt', 'finishedAt',
+                'duration', 'averageSpeed', 'status', 'errorMessage'];
+            const escapeCsv = (value) => {
+                if (value === null || value === undefined) return '';
+                const text = String(value);
+                return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const rows = entries.map(entry => columns.map(col => {
+                const value = col === 'startedAt' || col === 'finishedAt'
+                    ? new Date(entry[col]).toISOString()
+                    : entry[col];
+                return escapeCsv(value);
+            }).join(','));
+            content = [columns.join(','), ...rows].join('\n');
+            mimeType = 'text/csv';
         } else {
-            this.showNotification(`UPnP error: ${data.message}`);
+            content = JSON.stringify(entries, null, 2);
+            mimeType = 'application/json';
         }
-    }
 
-    showDiagnosticResults(data) {
-        // Create a modal or expand section with results
-        const recommendations = data.recommendations?.join('\n- ') || 'No issues found';
+        this.downloadFile(content, mimeType, `syncbeam-history-${stamp}.${format}`);
+    }
 
-        let summary = `Network Diagnostics Results
+    downloadFile(content, mimeType, fileName) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
 
-Firewall: ${data.firewallConfigured ? '[OK] Configured' : '[X] Not configured'}
-Internet: ${data.internetConnected ? `[OK] Connected (${data.internetLatency}ms)` : '[X] Offline'}
-STUN: ${data.stunSuccess ? `[OK] ${data.publicEndpoint}` : '[X] Failed'}
-NAT Type: ${data.natType}
-UPnP: ${data.upnpFound ? `[OK] Found (${data.gatewayAddress})` : '[X] Not found'}
+    formatDuration(ms) {
+        if (!ms || ms < 1000) return '<1s';
+        const totalSeconds = Math.round(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        if (minutes > 0) return `${minutes}m ${seconds}s`;
+        return `${seconds}s`;
+    }
 
-Recommendations:
-- ${recommendations}
-        `.trim();
+    formatSpeed(bytesPerSecond) {
+        if (!bytesPerSecond) return '';
+        return this.formatSize(bytesPerSecond) + '/s';
+    }
 
-        alert(summary);
+    /**
+     * Adds a clipboard payload to the history. Returns the stored item, or
+     * null when a peer rule or a privacy rule dropped it.
+     */
+    addClipboardItem(data) {
+        // The host filters too; this covers rules changed while a message was in flight.
+        // Snippets are sent on purpose, so they skip the clipboard sync rules.
+        if (data.peerId && this.isPeerBlocked(data.peerId)) return null;
+        if (data.peerId && !data.snippet && !this.getClipboardPeerRule(data.peerId).receive) return null;
+
+        const item = this.createClipboardItem(data);
+        if (!this.applyClipboardPrivacy(item)) return null;
+
+        this.store.dispatch('clipboardItemAdded', { item });
+        this.persistClipboardItem(item);
+        this.pruneClipboardHistory();
+        return item;
     }
 
-    configureFirewall() {
-        this.sendToBackend('configureFirewall', {});
+    // Per-peer clipboard sync
+    loadClipboardPeerRules() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('syncbeam-clipboard-peers') || '{}');
+            return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (e) {
+            console.warn('Could not read clipboard peer rules:', e);
+            return {};
+        }
     }
 
-    configureUpnp() {
-        this.sendToBackend('configureUpnp', {});
+    getClipboardPeerRule(peerId) {
+        return { send: true, receive: true, ...this.clipboardPeerRules[peerId] };
     }
 
-    runDiagnostics() {
-        this.sendToBackend('runDiagnostics', {});
+    setClipboardPeerRule(peerId, direction, enabled) {
+        this.clipboardPeerRules[peerId] = { ...this.getClipboardPeerRule(peerId), [direction]: enabled };
+        localStorage.setItem('syncbeam-clipboard-peers', JSON.stringify(this.clipboardPeerRules));
+        this.syncClipboardSettings();
+        this.renderPeers();
     }
 
-    showUpdateBanner(data) {
-        // Remove existing banner if any
-        const existing = document.querySelector('.update-banner');
-        if (existing) existing.remove();
+    syncClipboardSettings() {
+        const enabled = document.getElementById('clipboardSync')?.checked ?? true;
+        // Blocked peers get through for a moment on every reconnect before the UI
+        // refuses them, so the host must not sync with them in the meantime
+        const blocked = Object.keys(this.peerProfiles).filter(peerId => this.isPeerBlocked(peerId));
+        const sendDisabled = [...blocked];
+        const receiveDisabled = [...blocked];
+        Object.keys(this.clipboardPeerRules).forEach(peerId => {
+            if (this.isPeerBlocked(peerId)) return;
+            const rule = this.getClipboardPeerRule(peerId);
+            if (!rule.send) sendDisabled.push(peerId);
+            if (!rule.receive) receiveDisabled.push(peerId);
+        });
 
-        const banner = document.createElement('div');
-        banner.className = 'update-banner';
-        banner.innerHTML = `
-            <div class="update-banner-content">
-                <div class="update-banner-icon">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
-                        <polyline points="7 10 12 15 17 10"/>
-                        <line x1="12" y1="15" x2="12" y2="3"/>
-                    </svg>
-                </div>
-                <div class="update-banner-text">
-                    <strong>v${data.latestVersion} available!</strong>
-                    <span>You're on v${data.currentVersion}</span>
-                </div>
-                <button class="btn btn-primary btn-sm update-btn" onclick="app.downloadUpdate('${data.downloadUrl}')">
-                    Update
-                </button>
-                <button class="update-close" onclick="this.closest('.update-banner').remove()">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <line x1="18" y1="6" x2="6" y2="18"/>
-                        <line x1="6" y1="6" x2="18" y2="18"/>
-                    </svg>
-                </button>
-            </div>
-        `;
-        document.body.appendChild(banner);
+        // The host applies the same privacy rules before anything is sent or
+        // written to the clipboard; the history masking is a second layer
+        const rules = this.getClipboardPrivacyRules();
+        const privacy = {
+            blocklist: rules.blocklist.map(pattern => pattern.source),
+            detectors: rules.detectors,
+            maxBytes: rules.maxBytes
+        };
 
-        // Animate in
-        setTimeout(() => banner.classList.add('show'), 10);
+        this.sendToBackend('setClipboardSync', { enabled, sendDisabled, receiveDisabled, privacy });
     }
 
-    downloadUpdate(url) {
-        this.sendToBackend('openUrl', { url });
+    renderClipboardPeerToggles(peerId) {
+        const rule = this.getClipboardPeerRule(peerId);
+        return `
+            <div class="peer-clipboard-toggles">
+                <span class="peer-clipboard-label">${this.t('clipboard.cardLabel')}</span>
+                <label class="checkbox-row">
+                    <input type="checkbox" ${rule.send ? 'checked' : ''} data-action="setClipboardPeerRule" data-id="${this.escapeHtml(peerId)}" data-direction="send">
+                    <span>${this.t('clipboard.peerSend')}</span>
+                </label>
+                <label class="checkbox-row">
+                    <input type="checkbox" ${rule.receive ? 'checked' : ''} data-action="setClipboardPeerRule" data-id="${this.escapeHtml(peerId)}" data-direction="receive">
+                    <span>${this.t('clipboard.peerReceive')}</span>
+                </label>
+            </div>
+        `;
     }
 
-    showNotification(message) {
-        // Simple notification - could be improved with a toast system
-        const notification = document.createElement('div');
-        notification.className = 'notification';
-        notification.textContent = message;
-        document.body.appendChild(notification);
+    renderClipboardPeerMatrix() {
+        const matrix = document.getElementById('clipboardPeerMatrix');
+        if (!matrix) return;
 
-        setTimeout(() => {
-            notification.classList.add('show');
-        }, 10);
+        const peers = Array.from(this.store.state.connectedPeers.keys());
+        if (peers.length === 0) {
+            matrix.innerHTML = `<p class="setting-note">${this.t('clipboard.noPeers')}</p>`;
+            return;
+        }
 
-        setTimeout(() => {
-            notification.classList.remove('show');
-            setTimeout(() => notification.remove(), 300);
-        }, 3000);
+        matrix.innerHTML = `
+            <table class="clipboard-matrix">
+                <thead>
+                    <tr>
+                        <th>${this.t('clipboard.peerDevice')}</th>
+                        <th>${this.t('clipboard.peerSend')}</th>
+                        <th>${this.t('clipboard.peerReceive')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${peers.map(peerId => {
+                        const rule = this.getClipboardPeerRule(peerId);
+                        return `
+                            <tr>
+                                <td title="${this.escapeHtml(peerId)}">${this.escapeHtml(this.getPeerDisplayName(peerId))}</td>
+                                <td><input type="checkbox" ${rule.send ? 'checked' : ''} data-action="setClipboardPeerRule" data-id="${this.escapeHtml(peerId)}" data-direction="send"></td>
+                                <td><input type="checkbox" ${rule.receive ? 'checked' : ''} data-action="setClipboardPeerRule" data-id="${this.escapeHtml(peerId)}" data-direction="receive"></td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
     }
 
-    sendToBackend(action, data) {
-        console.log('sendToBackend:', action, data);
-        if (window.SyncBeam) {
-            console.log('Using SyncBeam.send');
-            window.SyncBeam.send(action, data);
-        } else if (window.chrome && window.chrome.webview) {
-            console.log('Using chrome.webview.postMessage');
-            window.chrome.webview.postMessage(JSON.stringify({ action, data }));
-        } else {
-            console.error('No backend bridge available!');
-        }
+    getClipboardPushPayload(item) {
+        if (item.image) return { contentType: 'Image', content: item.image };
+        if (item.html) return { contentType: 'Html', content: buildCfHtml(item.html) };
+        return { contentType: 'Text', content: item.text };
     }
 
-    updateLocalPeerInfo() {
-        const localPeerInfo = document.getElementById('localPeerInfo');
-        if (localPeerInfo && this.state.localPeerId) {
-            localPeerInfo.innerHTML = `
-                <span class="status-dot"></span>
-                <span class="peer-id">${this.state.localPeerId.substring(0, 12)}...</span>
-            `;
+    getClipboardItem(itemId) {
+        return this.store.state.clipboardHistory.find(i => i.id === itemId) || null;
+    }
+
+    async pushClipboardItem(itemId) {
+        const item = this.getClipboardItem(itemId);
+        // Masked items have to be revealed before they can be pushed
+        if (!item || (item.sensitive && !item.revealed)) return;
+
+        const peers = Array.from(this.store.state.connectedPeers.keys());
+        if (peers.length === 0) {
+            this.showNotification(this.t('peers.noConnected'));
+            return;
         }
 
-        const currentPort = document.getElementById('currentListenPort');
-        if (currentPort && this.state.listenPort) {
-            currentPort.textContent = this.state.listenPort;
+        const peerId = peers.length === 1
+            ? peers[0]
+            : await this.showPeerPickerDialog(this.t('clipboard.pushPick'));
+        if (!peerId) return;
+
+        try {
+            await this.rpc.call('pushClipboard', {
+                peerId,
+                ...this.getClipboardPushPayload(item),
+                allowSensitive: !!item.sensitive
+            });
+            this.showNotification(`${this.t('clipboard.pushed')} ${this.getPeerDisplayName(peerId)}`);
+        } catch (err) {
+            this.showNotification(`${this.t('clipboard.pushFailed')}: ${err.message}`);
         }
     }
 
-    updateSettingsInfo() {
-        // Settings info update (no secret to update anymore)
+    // Snippet compose panel
+    setupComposePanel() {
+        const input = document.getElementById('composeInput');
+        input?.addEventListener('input', () => this.renderComposePreview());
+        input?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.sendSnippet();
+            }
+        });
+        ['composeKind', 'composeLanguage'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.renderComposePreview());
+        });
+
+        this.renderComposePreview();
+        this.renderComposePeers();
     }
 
-    renderPeers() {
-        // Now calls renderDevices which shows all network devices
-        this.renderDevices();
+    getComposeSnippet() {
+        const content = document.getElementById('composeInput')?.value || '';
+        const chosenKind = document.getElementById('composeKind')?.value || 'auto';
+        const kind = chosenKind === 'auto' ? detectSnippetKind(content) : chosenKind;
+        const chosenLanguage = document.getElementById('composeLanguage')?.value || 'auto';
+        const language = kind !== 'code'
+            ? null
+            : chosenLanguage === 'auto' ? detectCodeLanguage(content) : chosenLanguage;
+
+        return {
+            content,
+            kind,
+            language,
+            openOnArrival: kind === 'url' && !!document.getElementById('composeOpenOnArrival')?.checked
+        };
     }
 
-    renderDevices() {
-        const grid = document.getElementById('peersGrid');
-        if (!grid) return;
+    renderComposePreview() {
+        const preview = document.getElementById('composePreview');
+        if (!preview) return;
 
-        // Combine network devices with discovered peers
-        const allDevices = new Map([...this.state.networkDevices]);
+        const { content, kind, language } = this.getComposeSnippet();
+        const languageSelect = document.getElementById('composeLanguage');
+        const openToggle = document.getElementById('composeOpenOnArrival');
+        if (languageSelect) languageSelect.disabled = kind !== 'code';
+        if (openToggle) openToggle.disabled = kind !== 'url';
 
-        // Also add discovered peers that might not be in network scan yet
-        for (const [peerId, peer] of this.state.discoveredPeers) {
-            const ip = peer.endpoint?.split(':')[0];
-            if (ip && !allDevices.has(ip)) {
-                allDevices.set(ip, {
-                    ip: ip,
-                    hostname: null,
-                    hasSyncBeam: true,
-                    peerId: peerId,
-                    isConnected: this.state.connectedPeers.has(peerId)
-                });
-            } else if (ip && allDevices.has(ip)) {
-                // Update existing device with SyncBeam info
-                const device = allDevices.get(ip);
-                device.hasSyncBeam = true;
-                device.peerId = peerId;
-                device.isConnected = this.state.connectedPeers.has(peerId);
-            }
+        preview.hidden = !content.trim();
+        if (preview.hidden) return;
+
+        const label = this.t(`compose.kind.${kind}`) + (language ? ` &middot; ${CODE_LANGUAGES[language].label}` : '');
+        preview.innerHTML = `
+            <span class="clipboard-type">${label}</span>
+            ${this.renderSnippetBody(kind, language, content)}
+        `;
+    }
+
+    renderSnippetBody(kind, language, text) {
+        if (kind === 'code') {
+            return `<pre class="code-snippet"><code>${highlightCode(text, language)}</code></pre>`;
+        }
+        if (kind === 'url') {
+            return `<div class="clipboard-content snippet-url">${this.escapeHtml(text.trim())}</div>`;
+        }
+        return `<div class="clipboard-content">${this.escapeHtml(text.substring(0, 200))}</div>`;
+    }
+
+    renderComposePeers() {
+        const container = document.getElementById('composePeers');
+        if (!container) return;
+
+        const peers = Array.from(this.store.state.connectedPeers.keys());
+        if (peers.length === 0) {
+            container.innerHTML = `<p class="setting-note">${this.t('compose.noConnected')}</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <span class="peer-clipboard-label">${this.t('compose.recipients')}</span>
+            ${peers.map(peerId => `
+                <label class="checkbox-row">
+                    <input type="checkbox" ${this.composePeers.has(peerId) ? 'checked' : ''} data-action="toggleComposePeer" data-id="${this.escapeHtml(peerId)}">
+                    <span>${this.escapeHtml(this.getPeerDisplayName(peerId))}</span>
+                </label>
+            `).join('')}
+        `;
+    }
+
+    toggleComposePeer(peerId, selected) {
+        if (selected) {
+            this.composePeers.add(peerId);
+        } else {
+            this.composePeers.delete(peerId);
+        }
+    }
+
+    async sendSnippet() {
+        const input = document.getElementById('composeInput');
+        const { content, kind, language, openOnArrival } = this.getComposeSnippet();
+        if (!content.trim()) return;
+        if (new TextEncoder().encode(content).length > MAX_SNIPPET_BYTES) {
+            this.showNotification(this.t('compose.tooLarge'));
+            return;
+        }
+
+        // With a single connected device there is nobody else to pick
+        const connected = Array.from(this.store.state.connectedPeers.keys());
+        let peerIds = connected.filter(id => this.composePeers.has(id));
+        if (peerIds.length === 0 && connected.length === 1) peerIds = connected;
+        if (peerIds.length === 0) {
+            this.showNotification(this.t(connected.length === 0 ? 'compose.noConnected' : 'compose.noRecipients'));
+            return;
         }
 
-        if (allDevices.size === 0) {
-            grid.innerHTML = `
-                <div class="empty-state">
-                    <svg class="empty-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                        <circle cx="12" cy="12" r="10"/>
-                        <path d="M12 6v6l4 2"/>
-                        <path d="M2 12h2M20 12h2M12 2v2M12 20v2"/>
-                    </svg>
-                    <h3>${this.t('peers.scanning')}</h3>
-                    <p>${this.t('peers.scanningHint')}</p>
-                </div>
-            `;
-            return;
+        const snippet = {
+            id: `snippet-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            kind,
+            content,
+            peers: Object.fromEntries(peerIds.map(id => [id, 'sending'])),
+            sentAt: Date.now()
+        };
+        this.store.dispatch('snippetSent', { snippet });
+
+        try {
+            const result = await this.rpc.call('sendSnippet', {
+                snippetId: snippet.id, peerIds, kind, content, language, openOnArrival
+            });
+            this.applySnippetSendResult(snippet.id, result);
+            if (input) input.value = '';
+            this.renderComposePreview();
+        } catch (err) {
+            this.applySnippetSendResult(snippet.id, err.data || { failed: peerIds });
+            this.showNotification(`${this.t('compose.sendFailed')}: ${err.message}`);
         }
+    }
 
-        // Sort: SyncBeam devices first, then connected, then by IP
-        const sortedDevices = Array.from(allDevices.values()).sort((a, b) => {
-            if (a.isConnected !== b.isConnected) return b.isConnected ? 1 : -1;
-            if (a.hasSyncBeam !== b.hasSyncBeam) return b.hasSyncBeam ? 1 : -1;
-            return a.ip.localeCompare(b.ip);
+    applySnippetSendResult(snippetId, result) {
+        const snippet = this.store.state.sentSnippets.find(s => s.id === snippetId);
+        if (!snippet) return;
+
+        const peers = {};
+        (result.failed || []).forEach(id => { peers[id] = 'failed'; });
+        // An acknowledgment can overtake the send result; never downgrade it
+        (result.sent || []).forEach(id => {
+            if (snippet.peers[id] === 'sending') peers[id] = 'sent';
         });
+        this.store.dispatch('snippetPeersUpdated', { snippetId, peers });
+    }
 
-        grid.innerHTML = sortedDevices.map(device => {
-            const isConnected = device.isConnected;
-            const hasSyncBeam = device.hasSyncBeam;
-            const isConnecting = (device.isConnecting || (device.peerId && this.state.discoveredPeers.get(device.peerId)?.connecting)) && !isConnected;
-            const displayName = device.hostname || device.ip;
-            const shortName = displayName.length > 18 ? displayName.substring(0, 18) + '...' : displayName;
-            const deviceType = device.deviceType || 'Unknown';
-            const deviceIcon = this.getDeviceIcon(deviceType);
-
-            let statusText, statusClass;
-            if (isConnected) {
-                statusText = this.t('peers.connected');
-                statusClass = 'connected';
-            } else if (isConnecting) {
-                statusText = this.t('peers.connecting');
-                statusClass = 'connecting';
-            } else if (hasSyncBeam) {
-                statusText = this.t('peers.hasSyncBeam');
-                statusClass = 'syncbeam';
-            } else {
-                statusText = this.t('peers.noSyncBeam');
-                statusClass = 'no-syncbeam';
-            }
+    markSnippetAcknowledged(data) {
+        const snippet = this.store.state.sentSnippets.find(s => s.id === data.snippetId);
+        if (!snippet || !(data.peerId in snippet.peers)) return;
 
-            return `
-                <div class="peer-card ${statusClass}" data-ip="${device.ip}">
-                    <div class="peer-card-header">
-                        <div class="peer-avatar ${hasSyncBeam ? '' : 'no-syncbeam'}">
-                            ${deviceIcon}
-                        </div>
-                        <div class="peer-info">
-                            <div class="peer-name" title="${displayName}">${shortName}</div>
-                            <div class="peer-status">
-                                <span class="peer-status-dot ${statusClass}"></span>
-                                ${statusText}
-                            </div>
-                        </div>
-                    </div>
-                    <div class="peer-endpoint">${device.ip}</div>
-                    <div class="peer-card-actions">
-                        ${isConnected ? `
-                            <button class="btn btn-secondary btn-sm" onclick="app.sendFileToPeer('${device.peerId}')">
-                                ${this.t('peers.sendFile')}
-                            </button>
-                        ` : (hasSyncBeam ? (isConnecting ? `
-                            <span class="peer-hint">${this.t('peers.connecting')}</span>
-                        ` : `
-                            <button class="btn btn-primary btn-sm" onclick="app.connectToDevice('${device.peerId || ''}', '${device.ip}')">
-                                ${this.t('peers.connect')}
-                            </button>
-                        `) : `
-                            <span class="peer-hint">${this.t('peers.noSyncBeam')}</span>
-                        `)}
+        this.store.dispatch('snippetPeersUpdated', { snippetId: snippet.id, peers: { [data.peerId]: 'acknowledged' } });
+        this.showNotification(`${this.t('compose.acknowledged')} ${this.getPeerDisplayName(data.peerId)}`);
+    }
+
+    renderSentSnippets() {
+        const list = document.getElementById('sentSnippets');
+        if (!list) return;
+
+        const snippets = this.store.state.sentSnippets;
+        if (snippets.length === 0) {
+            list.innerHTML = '';
+            return;
+        }
+
+        list.innerHTML = `
+            <h4>${this.t('compose.recent')}</h4>
+            ${snippets.map(snippet => `
+                <div class="sent-snippet">
+                    <span class="clipboard-type">${this.t(`compose.kind.${snippet.kind}`)}</span>
+                    <span class="sent-snippet-text" title="${this.escapeHtml(snippet.content)}">
+                        ${this.escapeHtml(snippet.content.trim().split('\n')[0].substring(0, 80))}
+                    </span>
+                    <div class="sent-snippet-peers">
+                        ${Object.entries(snippet.peers).map(([peerId, status]) => `
+                            <span class="snippet-status ${status}">
+                                ${this.escapeHtml(this.getPeerDisplayName(peerId))} &middot; ${this.t(`compose.status.${status}`)}
+                            </span>
+                        `).join('')}
                     </div>
                 </div>
-            `;
-        }).join('');
+            `).join('')}
+        `;
     }
 
-    scanNetwork() {
-        this.state.isScanning = true;
-        this.state.networkDevices.clear();
-        this.sendToBackend('scanNetwork', {});
-        this.renderDevices();
-    }
+    receiveSnippet(data) {
+        const kind = SNIPPET_KINDS.includes(data.kind) ? data.kind : 'text';
+        const item = this.addClipboardItem({
+            contentType: 'text',
+            content: data.content,
+            peerId: data.peerId,
+            snippet: { kind, language: CODE_LANGUAGES[data.language] ? data.language : null }
+        });
+        // Only snippets that made it into the history are acknowledged
+        if (!item) return;
 
-    getDeviceIcon(deviceType) {
-        const icons = {
-            'Computer': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <rect x="2" y="3" width="20" height="14" rx="2" ry="2"/>
-                <line x1="8" y1="21" x2="16" y2="21"/>
-                <line x1="12" y1="17" x2="12" y2="21"/>
-            </svg>`,
-            'Phone': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <rect x="5" y="2" width="14" height="20" rx="2" ry="2"/>
-                <line x1="12" y1="18" x2="12.01" y2="18"/>
-            </svg>`,
-            'Tablet': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <rect x="4" y="2" width="16" height="20" rx="2" ry="2"/>
-                <line x1="12" y1="18" x2="12.01" y2="18"/>
-            </svg>`,
-            'Router': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <rect x="2" y="14" width="20" height="6" rx="1"/>
-                <path d="M6 14V6a2 2 0 0 1 2-2h8a2 2 0 0 1 2 2v8"/>
-                <line x1="6" y1="17" x2="6.01" y2="17"/>
-                <line x1="10" y1="17" x2="10.01" y2="17"/>
-            </svg>`,
-            'Printer': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <polyline points="6,9 6,2 18,2 18,9"/>
-                <path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/>
-                <rect x="6" y="14" width="12" height="8"/>
-            </svg>`,
-            'SmartTV': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <rect x="2" y="7" width="20" height="15" rx="2" ry="2"/>
-                <polyline points="17,2 12,7 7,2"/>
-            </svg>`,
-            'GameConsole': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <line x1="6" y1="12" x2="10" y2="12"/>
-                <line x1="8" y1="10" x2="8" y2="14"/>
-                <line x1="15" y1="13" x2="15.01" y2="13"/>
-                <line x1="18" y1="11" x2="18.01" y2="11"/>
-                <rect x="2" y="6" width="20" height="12" rx="2"/>
-            </svg>`,
-            'SmartHome': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/>
-                <polyline points="9,22 9,12 15,12 15,22"/>
-            </svg>`,
-            'Server': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <rect x="2" y="2" width="20" height="8" rx="2" ry="2"/>
-                <rect x="2" y="14" width="20" height="8" rx="2" ry="2"/>
-                <line x1="6" y1="6" x2="6.01" y2="6"/>
-                <line x1="6" y1="18" x2="6.01" y2="18"/>
-            </svg>`,
-            'Unknown': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <circle cx="12" cy="12" r="10"/>
-                <path d="M9.09 9a3 3 0 0 1 5.83 1c0 2-3 3-3 3"/>
-                <line x1="12" y1="17" x2="12.01" y2="17"/>
-            </svg>`
-        };
-        return icons[deviceType] || icons['Unknown'];
+        this.sendToBackend('acknowledgeSnippet', { peerId: data.peerId, snippetId: data.snippetId });
+
+        const sender = this.getPeerDisplayName(data.peerId);
+        // The sender only asks; links open here only if the user allowed it in
+        // settings, otherwise they wait in the history. Masked items stay closed.
+        const mayOpen = this.clipboardSettings.openLinksOnArrival && !item.sensitive;
+        if (kind === 'url' && data.openOnArrival && mayOpen && this.openSnippetUrl(item.id)) {
+            this.showNotification(`${this.t('compose.opened')} ${sender}`);
+        } else {
+            this.showNotification(`${this.t('compose.received')} ${sender}`);
+        }
     }
 
-    connectToPeer(peerId) {
-        // Immediately show connecting state
-        const peer = this.state.discoveredPeers.get(peerId);
-        if (peer) {
-            peer.connecting = true;
-            peer.connected = false;
+    openSnippetUrl(itemId) {
+        const item = this.getClipboardItem(itemId);
+        if (!item) return false;
+
+        // Only web links go to the shell; anything else could launch a program
+        const url = item.text.trim();
+        if (!/^https?:\/\/\S+$/i.test(url)) {
+            this.showNotification(this.t('compose.unsafeUrl'));
+            return false;
         }
 
-        // Also update network devices
-        for (const [ip, device] of this.state.networkDevices) {
-            if (device.peerId === peerId) {
-                device.isConnecting = true;
-            }
+        this.sendToBackend('openUrl', { url });
+        return true;
+    }
+
+    // Clipboard privacy
+    loadClipboardPrivacy() {
+        try {
+            return { ...DEFAULT_CLIPBOARD_PRIVACY, ...JSON.parse(localStorage.getItem('syncbeam-clipboard-privacy') || '{}') };
+        } catch (e) {
+            return { ...DEFAULT_CLIPBOARD_PRIVACY };
         }
+    }
 
-        this.renderPeers();
-        this.sendToBackend('connect', { peerId });
+    getClipboardPrivacyRules() {
+        const { blocklist, detectors, maxPayloadKb } = this.clipboardPrivacy;
+        return {
+            blocklist: compileBlocklist(blocklist).patterns,
+            detectors,
+            maxBytes: maxPayloadKb * 1024
+        };
     }
 
-    connectToDevice(peerId, ip) {
-        // Update UI immediately to show connecting state
-        const device = this.state.networkDevices.get(ip);
-        if (device) {
-            device.isConnecting = true;
+    /**
+     * Drops blocked items and marks sensitive ones so they are masked,
+     * kept out of IndexedDB and expired. Returns false for blocked items.
+     */
+    applyClipboardPrivacy(item) {
+        const text = `${item.text} ${item.files.join(' ')}`;
+        const verdict = evaluateClipboardPrivacy(text, item.size, this.getClipboardPrivacyRules());
+
+        if (verdict.action === 'block') {
+            this.showNotification(`${this.t('clipboard.blocked')}: ${this.t(`privacy.reason.${verdict.reason}`)}`);
+            return false;
         }
 
-        if (peerId) {
-            const peer = this.state.discoveredPeers.get(peerId);
-            if (peer) {
-                peer.connecting = true;
-                peer.connected = false;
-            }
+        if (verdict.action === 'sensitive') {
+            const ttl = this.clipboardPrivacy.sensitiveExpiryMinutes * 60 * 1000;
+            item.sensitive = true;
+            item.sensitiveReason = verdict.reason;
+            item.revealed = false;
+            item.expiresAt = Date.now() + ttl;
+            setTimeout(() => this.expireClipboardItem(item.id), ttl);
         }
+        return true;
+    }
 
-        this.renderPeers();
+    expireClipboardItem(itemId) {
+        this.store.dispatch('clipboardItemsRemoved', { itemIds: [itemId] });
+    }
 
-        // If we have a peerId, try that first; otherwise connect by IP
-        if (peerId) {
-            this.sendToBackend('connect', { peerId });
-        } else {
-            this.sendToBackend('connectToIp', { ip });
+    toggleRevealClipboardItem(itemId) {
+        const item = this.getClipboardItem(itemId);
+        if (item?.sensitive) {
+            this.store.dispatch('clipboardItemUpdated', { itemId, changes: { revealed: !item.revealed } });
         }
     }
 
-    sendFileToPeer(peerId) {
-        const fileInput = document.getElementById('fileInput');
-        if (fileInput) {
-            fileInput.dataset.targetPeer = peerId;
-            fileInput.click();
+    renderClipboardPrivacy() {
+        const blocklist = document.getElementById('clipboardBlocklistInput');
+        const maxPayload = document.getElementById('clipboardMaxPayloadInput');
+        const expiry = document.getElementById('sensitiveExpiryInput');
+        const detectorList = document.getElementById('secretDetectorList');
+        if (blocklist) blocklist.value = this.clipboardPrivacy.blocklist;
+        if (maxPayload) maxPayload.value = this.clipboardPrivacy.maxPayloadKb;
+        if (expiry) expiry.value = this.clipboardPrivacy.sensitiveExpiryMinutes;
+
+        if (detectorList) {
+            detectorList.innerHTML = SECRET_DETECTORS.map(detector => `
+                <label class="checkbox-row">
+                    <input type="checkbox" value="${this.escapeHtml(detector.id)}" ${this.clipboardPrivacy.detectors.includes(detector.id) ? 'checked' : ''}>
+                    <span>${this.t(`privacy.detector.${detector.id}`)}</span>
+                </label>
+            `).join('');
         }
     }
 
-    updateTransferProgress(data) {
-        let transfer = this.state.transfers.find(t => t.id === data.transferId);
-        if (!transfer && data.transferId) {
-            // Transfer started from backend (e.g., incoming)
-            transfer = {
-                id: data.transferId,
-                name: data.name || 'Unknown',
-                size: data.size || 0,
-                progress: 0,
-                speed: null,
-                status: 'receiving'
-            };
-            this.state.transfers.push(transfer);
+    saveClipboardPrivacyFromSettings() {
+        const blocklist = document.getElementById('clipboardBlocklistInput')?.value || '';
+        const maxPayloadKb = parseInt(document.getElementById('clipboardMaxPayloadInput')?.value, 10);
+        const sensitiveExpiryMinutes = parseInt(document.getElementById('sensitiveExpiryInput')?.value, 10);
+
+        const { invalid } = compileBlocklist(blocklist);
+        if (invalid.length > 0) {
+            this.showNotification(`${this.t('settings.invalidPattern')}: ${invalid[0]}`);
+            return;
         }
-        if (transfer) {
-            transfer.progress = data.progress;
-            transfer.speed = data.speed;
-            if (data.status) transfer.status = data.status;
-            this.scheduleRenderTransfers();
+        if (isNaN(maxPayloadKb) || maxPayloadKb < 1 || maxPayloadKb > 102400 ||
+            isNaN(sensitiveExpiryMinutes) || sensitiveExpiryMinutes < 1 || sensitiveExpiryMinutes > 1440) {
+            this.showNotification(this.t('settings.privacyInvalid'));
+            this.renderClipboardPrivacy();
+            return;
         }
+
+        const detectors = Array.from(document.querySelectorAll('#secretDetectorList input:checked'))
+            .map(input => input.value);
+        this.clipboardPrivacy = { blocklist, detectors, maxPayloadKb, sensitiveExpiryMinutes };
+        localStorage.setItem('syncbeam-clipboard-privacy', JSON.stringify(this.clipboardPrivacy));
+        this.syncClipboardSettings();
+        this.showNotification(this.t('settings.privacySaved'));
     }
 
-    updateTransferStatus(transferId, status, progress = null) {
-        const transfer = this.state.transfers.find(t => t.id === transferId);
-        if (transfer) {
-            transfer.status = status;
-            if (progress !== null) transfer.progress = progress;
-            this.scheduleRenderTransfers();
+    // Clipboard persistence
+    async loadClipboardHistory() {
+        try {
+            const stored = await this.clipboardStore.getAll();
+            // Older versions stored Date objects; the store keeps plain JSON
+            const items = stored.map(item => ({ ...item, timestamp: new Date(item.timestamp).toISOString() }));
+            this.store.dispatch('clipboardHistoryLoaded', { items });
+        } catch (e) {
+            console.warn('Could not read clipboard history:', e);
         }
+
+        this.pruneClipboardHistory();
     }
 
-    removeTransfer(transferId) {
-        this.state.transfers = this.state.transfers.filter(t => t.id !== transferId);
-        this.scheduleRenderTransfers();
+    persistClipboardItem(item) {
+        // Sensitive items only ever live in memory
+        if (item.sensitive) return;
+
+        this.clipboardStore.put(item).catch(e => {
+            console.warn('Could not save clipboard item:', e);
+        });
     }
 
-    addIncomingTransfer(data) {
-        const existing = this.state.transfers.find(t => t.id === data.transferId);
-        if (!existing) {
-            this.state.transfers.push({
-                id: data.transferId,
-                name: data.name,
-                size: data.size,
-                progress: 0,
-                speed: null,
-                status: 'receiving',
-                peerId: data.peerId
+    getClipboardItemBytes(item) {
+        return (item.text?.length || 0) + (item.html?.length || 0) + (item.image?.length || 0);
+    }
+
+    // Applies retention, item and size limits, newest items first
+    pruneClipboardHistory() {
+        const { retentionDays, maxItems, maxSizeMb } = this.clipboardSettings;
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const maxBytes = maxSizeMb * 1024 * 1024;
+        const removed = [];
+        let count = 0;
+        let bytes = 0;
+        let full = false;
+
+        this.store.state.clipboardHistory.forEach(item => {
+            if (item.pinned) return;
+
+            const size = this.getClipboardItemBytes(item);
+            full = full || count >= maxItems || bytes + size > maxBytes;
+            if (full || new Date(item.timestamp).getTime() < cutoff) {
+                removed.push(item.id);
+                return;
+            }
+
+            count++;
+            bytes += size;
+        });
+
+        if (removed.length > 0) {
+            this.store.dispatch('clipboardItemsRemoved', { itemIds: removed });
+            this.clipboardStore.delete(removed).catch(e => {
+                console.warn('Could not prune clipboard history:', e);
             });
-            this.scheduleRenderTransfers();
         }
     }
 
-    renderTransfers() {
-        const list = document.getElementById('transferList');
-        if (!list) return;
+    async clearClipboardHistory() {
+        this.store.dispatch('clipboardHistoryCleared');
 
-        if (this.state.transfers.length === 0) {
-            list.innerHTML = `
-                <div class="empty-state small">
-                    <p>${this.t('transfers.noActive')}</p>
-                </div>
-            `;
-            return;
+        try {
+            await this.clipboardStore.clear();
+            this.showNotification(this.t('clipboard.cleared'));
+        } catch (e) {
+            console.warn('Could not clear stored clipboard history:', e);
         }
+    }
 
-        list.innerHTML = this.state.transfers.map(transfer => {
-            const statusClass = transfer.status || 'pending';
-            const statusText = this.t(`transfers.status.${transfer.status}`) || transfer.status;
-            const speedText = transfer.speed ? this.formatSpeed(transfer.speed) : '';
-            const isFolder = transfer.name.includes('/');
+    loadClipboardSettings() {
+        try {
+            return { ...DEFAULT_CLIPBOARD_SETTINGS, ...JSON.parse(localStorage.getItem('syncbeam-clipboard-settings') || '{}') };
+        } catch (e) {
+            return { ...DEFAULT_CLIPBOARD_SETTINGS };
+        }
+    }
 
-            return `
-                <div class="transfer-item ${statusClass}" data-transfer-id="${transfer.id}">
-                    <div class="transfer-icon">
-                        ${isFolder ? `
-                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
-                            </svg>
-                        ` : `
-                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
-                                <polyline points="14,2 14,8 20,8"/>
-                            </svg>
-                        `}
-                    </div>
-                    <div class="transfer-info">
-                        <div class="transfer-name">${this.escapeHtml(transfer.name)}</div>
-                        <div class="transfer-meta">
-                            <span>${this.formatSize(transfer.size)}</span>
-                            ${speedText ? `<span class="transfer-speed">${speedText}</span>` : ''}
-                            <span class="transfer-status">${statusText}</span>
-                        </div>
-                        <div class="transfer-progress">
-                            <div class="transfer-progress-bar" style="width: ${transfer.progress || 0}%"></div>
-                        </div>
-                    </div>
-                    <button class="transfer-cancel" onclick="app.cancelTransfer('${transfer.id}')" title="${this.t('transfers.cancel')}">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <line x1="18" y1="6" x2="6" y2="18"/>
-                            <line x1="6" y1="6" x2="18" y2="18"/>
-                        </svg>
-                    </button>
-                </div>
-            `;
-        }).join('');
+    renderClipboardSettings() {
+        const retention = document.getElementById('clipboardRetentionInput');
+        const maxItems = document.getElementById('clipboardMaxItemsInput');
+        const maxSize = document.getElementById('clipboardMaxSizeInput');
+        if (retention) retention.value = this.clipboardSettings.retentionDays;
+        if (maxItems) maxItems.value = this.clipboardSettings.maxItems;
+        if (maxSize) maxSize.value = this.clipboardSettings.maxSizeMb;
+        const openLinks = document.getElementById('clipboardOpenLinksInput');
+        if (openLinks) openLinks.checked = this.clipboardSettings.openLinksOnArrival;
     }
 
-    cancelTransfer(transferId) {
-        this.sendToBackend('cancelTransfer', { transferId });
-        this.removeTransfer(transferId);
+    saveClipboardSettingsFromSettings() {
+        const retentionDays = parseInt(document.getElementById('clipboardRetentionInput')?.value, 10);
+        const maxItems = parseInt(document.getElementById('clipboardMaxItemsInput')?.value, 10);
+        const maxSizeMb = parseInt(document.getElementById('clipboardMaxSizeInput')?.value, 10);
+
+        if (isNaN(retentionDays) || retentionDays < 1 || retentionDays > 3650 ||
+            isNaN(maxItems) || maxItems < 1 || maxItems > 10000 ||
+            isNaN(maxSizeMb) || maxSizeMb < 1 || maxSizeMb > 1024) {
+            this.showNotification(this.t('settings.clipboardInvalid'));
+            this.renderClipboardSettings();
+            return;
+        }
+
+        this.clipboardSettings = { ...this.clipboardSettings, retentionDays, maxItems, maxSizeMb };
+        localStorage.setItem('syncbeam-clipboard-settings', JSON.stringify(this.clipboardSettings));
+        this.pruneClipboardHistory();
+        this.showNotification(this.t('settings.clipboardSaved'));
     }
 
-    formatSpeed(bytesPerSecond) {
-        if (!bytesPerSecond) return '';
-        return this.formatSize(bytesPerSecond) + '/s';
+    // Clipboard search and filters
+    setupClipboardView() {
+        const bind = (id, key, eventName = 'input') => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener(eventName, () => {
+                this.clipboardFilters[key] = el.value;
+                this.renderClipboard();
+            });
+        };
+
+        bind('clipboardSearch', 'search');
+        bind('clipboardPeerFilter', 'peerId', 'change');
+        bind('clipboardTypeFilter', 'type', 'change');
+
+        this.setupComposePanel();
+        this.loadClipboardHistory();
     }
 
-    addClipboardItem(data) {
-        this.state.clipboardHistory.unshift({
-            id: Date.now(),
-            content: data.content,
-            type: data.type,
-            peerId: data.peerId,
-            timestamp: new Date()
+    getFilteredClipboard() {
+        const { search, peerId, type } = this.clipboardFilters;
+        const query = search.trim().toLowerCase();
+
+        return this.store.state.clipboardHistory.filter(item => {
+            if (peerId && (item.peerId || 'local') !== peerId) return false;
+            if (type && item.type !== type) return false;
+            if (query) {
+                // Masked content is not searchable until it is revealed
+                if (item.sensitive && !item.revealed) return false;
+                const haystack = `${item.text} ${item.files.join(' ')}`.toLowerCase();
+                if (!haystack.includes(query)) return false;
+            }
+            return true;
+        });
+    }
+
+    renderClipboardPeerFilter() {
+        const select = document.getElementById('clipboardPeerFilter');
+        if (!select) return;
+
+        const sources = new Map();
+        this.store.state.clipboardHistory.forEach(item => {
+            const key = item.peerId || 'local';
+            if (!sources.has(key)) {
+                sources.set(key, item.peerId ? this.getPeerDisplayName(item.peerId) : this.t('clipboard.local'));
+            }
         });
 
-        if (this.state.clipboardHistory.length > 50) {
-            this.state.clipboardHistory = this.state.clipboardHistory.slice(0, 50);
+        select.innerHTML = `<option value="">${this.t('clipboard.allPeers')}</option>` +
+            Array.from(sources).map(([key, name]) => `
+                <option value="${this.escapeHtml(key)}">${this.escapeHtml(name)}</option>
+            `).join('');
+        select.value = sources.has(this.clipboardFilters.peerId) ? this.clipboardFilters.peerId : '';
+        this.clipboardFilters.peerId = select.value;
+    }
+
+    /**
+     * Normalizes a clipboard payload into a history item. `text` is always
+     * the plain-text form; `html` and `image` hold the rich form when present.
+     */
+    createClipboardItem(data) {
+        const type = (data.contentType || data.type || 'text').toLowerCase();
+        const content = typeof data.content === 'string' ? data.content : null;
+        const item = {
+            id: `clip-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            type,
+            text: '',
+            html: null,
+            image: null,
+            files: [],
+            size: data.dataSize ?? content?.length ?? 0,
+            truncated: content === null,
+            peerId: data.peerId || null,
+            snippet: data.snippet || null,  // { kind, language } for snippets sent from a peer's compose panel
+            pinned: false,
+            timestamp: new Date().toISOString()
+        };
+        if (content === null) return item;
+
+        switch (type) {
+            case 'image':
+                if (/^data:image\//i.test(content)) item.image = content;
+                break;
+            case 'html': {
+                item.html = sanitizeHtml(extractHtmlFragment(content));
+                item.text = htmlToText(item.html).trim();
+                break;
+            }
+            case 'rtf':
+                item.text = rtfToText(content);
+                break;
+            case 'files':
+                item.files = Array.isArray(data.files)
+                    ? data.files.filter(f => typeof f === 'string')
+                    : content.split(/\r?\n/).filter(Boolean);
+                item.text = item.files.join('\n');
+                break;
+            default:
+                item.type = 'text';
+                item.text = content;
         }
+        return item;
+    }
 
-        this.renderClipboard();
+    togglePinClipboardItem(itemId) {
+        const item = this.getClipboardItem(itemId);
+        if (!item) return;
+
+        this.store.dispatch('clipboardItemUpdated', { itemId, changes: { pinned: !item.pinned } });
+        this.persistClipboardItem(this.getClipboardItem(itemId));
+        this.pruneClipboardHistory();
     }
 
     renderClipboard() {
         const history = document.getElementById('clipboardHistory');
         if (!history) return;
 
-        if (this.state.clipboardHistory.length === 0) {
+        this.renderClipboardPeerFilter();
+        const filtered = this.getFilteredClipboard();
+
+        if (filtered.length === 0) {
+            const emptyKey = this.store.state.clipboardHistory.length === 0 ? 'clipboard.noHistory' : 'clipboard.noMatches';
             history.innerHTML = `
                 <div class="empty-state small">
-                    <p>${this.t('clipboard.noHistory')}</p>
+                    <p>${this.t(emptyKey)}</p>
                 </div>
             `;
             return;
         }
 
-        history.innerHTML = this.state.clipboardHistory.map(item => `
-            <div class="clipboard-item" onclick="app.copyToClipboard('${item.id}')">
-                <div class="clipboard-content">${this.escapeHtml(item.content?.substring(0, 200) || '')}</div>
+        // Pinned items stay on top, newest first within each group
+        const items = [
+            ...filtered.filter(i => i.pinned),
+            ...filtered.filter(i => !i.pinned)
+        ];
+        this.getKeyedList(history).update(items.map(item => ({
+            key: `clip:${item.id}`,
+            render: () => this.renderClipboardItem(item)
+        })));
+    }
+
+    renderClipboardItem(item) {
+        const hasRich = !!(item.html || item.image);
+        const source = item.peerId ? this.getPeerDisplayName(item.peerId) : this.t('clipboard.local');
+
+        return `
+            <div class="clipboard-item ${item.pinned ? 'pinned' : ''}" data-clip-id="${this.escapeHtml(item.id)}">
+                <div class="clipboard-item-header">
+                    <span class="clipboard-type">${this.t(item.snippet ? `compose.kind.${item.snippet.kind}` : `clipboard.type.${item.type}`)}</span>
+                    ${item.pinned ? `<span class="clipboard-pinned">${this.t('clipboard.pinned')}</span>` : ''}
+                    ${item.sensitive ? `
+                        <span class="clipboard-sensitive" title="${this.t(`privacy.detector.${item.sensitiveReason}`)}">
+                            ${this.t('clipboard.sensitive')} &middot; ${this.t('clipboard.expiresIn')} ${this.formatDuration(item.expiresAt - Date.now())}
+                        </span>
+                    ` : ''}
+                    <div class="clipboard-actions">
+                        ${item.sensitive ? `
+                            <button class="btn btn-secondary btn-sm" data-action="toggleRevealClipboardItem" data-id="${this.escapeHtml(item.id)}">
+                                ${this.t(item.revealed ? 'clipboard.hide' : 'clipboard.reveal')}
+                            </button>
+                        ` : `
+                            <button class="btn btn-secondary btn-sm" data-action="togglePinClipboardItem" data-id="${this.escapeHtml(item.id)}">
+                                ${this.t(item.pinned ? 'clipboard.unpin' : 'clipboard.pin')}
+                            </button>
+                        `}
+                        ${item.text ? `
+                            <button class="btn btn-secondary btn-sm" data-action="copyClipboardItem" data-id="${this.escapeHtml(item.id)}" data-mode="plain">
+                                ${this.t('clipboard.copyPlain')}
+                            </button>
+                        ` : ''}
+                        ${hasRich ? `
+                            <button class="btn btn-secondary btn-sm" data-action="copyClipboardItem" data-id="${this.escapeHtml(item.id)}" data-mode="rich">
+                                ${this.t('clipboard.copyRich')}
+                            </button>
+                        ` : ''}
+                        ${item.snippet?.kind === 'url' && (!item.sensitive || item.revealed) ? `
+                            <button class="btn btn-secondary btn-sm" data-action="openSnippetUrl" data-id="${this.escapeHtml(item.id)}">
+                                ${this.t('clipboard.openLink')}
+                            </button>
+                        ` : ''}
+                        ${(item.text || item.image) && (!item.sensitive || item.revealed) ? `
+                            <button class="btn btn-secondary btn-sm" data-action="pushClipboardItem" data-id="${this.escapeHtml(item.id)}">
+                                ${this.t('clipboard.push')}
+                            </button>
+                        ` : ''}
+                    </div>
+                </div>
+                ${this.renderClipboardPreview(item)}
                 <div class="clipboard-meta">
-                    <span>${this.t('clipboard.from')}: ${item.peerId?.substring(0, 8) || 'Local'}...</span>
-                    <span>${this.formatTime(item.timestamp)}</span>
+                    <span>${this.t('clipboard.from')}: ${this.escapeHtml(source)}</span>
+                    <span>${this.formatSize(item.size)} &middot; ${this.formatTime(item.timestamp)}</span>
                 </div>
             </div>
-        `).join('');
+        `;
+    }
+
+    renderClipboardPreview(item) {
+        if (item.sensitive && !item.revealed) {
+            const length = Math.min(item.text.length || 12, 48);
+            return `<div class="clipboard-content masked">${'\u2022'.repeat(length)}</div>`;
+        }
+        if (item.truncated) {
+            return `<div class="clipboard-content muted">${this.t('clipboard.tooLarge')}</div>`;
+        }
+        if (item.image) {
+            return `<img class="clipboard-image" src="${this.escapeHtml(item.image)}" alt="">`;
+        }
+        if (item.html) {
+            // Already sanitized when the item was created
+            return `<div class="clipboard-html">${item.html}</div>`;
+        }
+        if (item.snippet) {
+            return this.renderSnippetBody(item.snippet.kind, item.snippet.language, item.text);
+        }
+        if (item.files.length > 0) {
+            return `
+                <div class="clipboard-files">
+                    ${item.files.map(path => `
+                        <span class="file-chip" title="${this.escapeHtml(path)}">${this.escapeHtml(path.split(/[\\/]/).pop() || path)}</span>
+                    `).join('')}
+                </div>
+            `;
+        }
+        return `<div class="clipboard-content">${this.escapeHtml(item.text.substring(0, 200))}</div>`;
     }
 
-    copyToClipboard(itemId) {
-        const item = this.state.clipboardHistory.find(i => i.id === parseInt(itemId));
-        if (item && item.content) {
-            navigator.clipboard.writeText(item.content);
+    async copyClipboardItem(itemId, mode = 'plain') {
+        const item = this.getClipboardItem(itemId);
+        if (!item) return;
+
+        try {
+            if (mode === 'rich' && item.image) {
+                const blob = dataUrlToBlob(item.image);
+                await navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })]);
+            } else if (mode === 'rich' && item.html) {
+                await navigator.clipboard.write([new ClipboardItem({
+                    'text/html': new Blob([item.html], { type: 'text/html' }),
+                    'text/plain': new Blob([item.text], { type: 'text/plain' })
+                })]);
+            } else {
+                await navigator.clipboard.writeText(item.text);
+            }
+            this.showNotification(this.t('clipboard.copied'));
+        } catch (e) {
+            console.warn('Clipboard write failed:', e);
+            this.showNotification(this.t('clipboard.copyFailed'));
         }
     }
 
@@ -1429,10 +8069,8 @@ Recommendations:
     }
 
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return escapeMarkup(text);
     }
 }
 
-const app = new SyncBeamApp();
+new SyncBeamApp();